@@ -0,0 +1,112 @@
+// Endpoint scenarios from postman_collection.json, shared by two runners:
+// - scripts/test-routing.js runs them offline through the /api/query pipeline, with replayed LLM fixtures
+//   and the fixture weather provider
+// - scripts/test-endpoints.js sends them to a running server
+// Scenario fields (all optional except name):
+// - body: request body; authorization: Authorization header (default: a valid test token)
+// - status: expected HTTP status
+// - routing: expected { tool, action, entity, insufficientInfo } of the plan (offline only; /api/query does not return the plan)
+// - response: the answer (or error) must contain one of these strings
+// - data: true when the body must carry a data array
+// - firestore: true when the scenario reads or writes the database; offline, only its routing is checked
+
+const query = (text) => ({ query: text });
+
+const AUTH_SCENARIOS = [
+    { name: 'Missing Authorization header', authorization: null, body: query('Tell me the weather in New York'), status: 401 },
+    { name: 'Invalid token', authorization: 'Bearer invalid_token_12345', body: query('Tell me the weather in New York'), status: 401 },
+];
+
+const VALIDATION_SCENARIOS = [
+    { name: 'Empty query', body: query(''), status: 400 },
+    { name: 'Missing query field', body: {}, status: 400 },
+];
+
+const QUERY_SCENARIOS = [
+    // Weather
+    { name: 'Weather in Mumbai', body: query('Weather in Mumbai'), status: 200, response: ['Mumbai'], routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Weather in San Francisco', body: query('Tell me the weather in San Francisco'), status: 200, response: ['San Francisco'], routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Weather in New York', body: query('Tell me the weather in New York'), status: 200, routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Weather in London', body: query('Tell me the weather in London'), status: 200, routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Temperature in New York', body: query("What's the temperature in New York?"), status: 200, routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Weather in Tokyo', body: query("How's the weather in Tokyo?"), status: 200, response: ['Tokyo'], routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Weather in an unknown city', body: query("What's the weather in XyzInvalidCity123?"), routing: { tool: 'weather', action: 'current', insufficientInfo: false } },
+    { name: 'Rain forecast', body: query('Will it rain in Pune tomorrow afternoon?'), status: 200, routing: { tool: 'weather', action: 'forecast', insufficientInfo: false } },
+    { name: 'Weekend forecast', body: query('Weather this weekend in Goa'), status: 200, routing: { tool: 'weather', action: 'forecast', insufficientInfo: false } },
+
+    // Database reads
+    { name: 'Count employees', body: query('How many employees are there?'), status: 200, firestore: true, routing: { tool: 'database', action: 'count', entity: 'employees', insufficientInfo: false } },
+    { name: 'Employees joined last month', body: query('How many employees joined last month?'), status: 200, firestore: true, routing: { tool: 'database', action: 'count', entity: 'employees', insufficientInfo: false } },
+    { name: 'List all orders', body: query('List all orders'), status: 200, data: true, firestore: true, routing: { tool: 'database', action: 'read', entity: 'orders', insufficientInfo: false } },
+    { name: 'Orders over $500', body: query('List all orders over $500'), status: 200, firestore: true, routing: { tool: 'database', action: 'read', entity: 'orders', insufficientInfo: false } },
+    { name: 'List products', body: query('List products'), status: 200, data: true, firestore: true, routing: { tool: 'database', action: 'read', entity: 'products', insufficientInfo: false } },
+    { name: 'Show all products', body: query('Show me all products'), status: 200, data: true, firestore: true, routing: { tool: 'database', action: 'read', entity: 'products', insufficientInfo: false } },
+
+    // Database writes
+    { name: 'Add a product', body: query('Add a new product: Gaming Laptop, price: 1500, stock: 10'), status: 200, response: ['Gaming Laptop', 'uccessfully added'], firestore: true, routing: { tool: 'database', action: 'create', entity: 'products', insufficientInfo: false } },
+    { name: 'Add an employee', body: query('Add a new employee named Sarah Johnson with email sarah.johnson@company.com in the HR department'), status: 200, firestore: true, routing: { tool: 'database', action: 'create', entity: 'employees', insufficientInfo: false } },
+    { name: 'Add an order', body: query('Add a new order for $750'), status: 200, firestore: true, routing: { tool: 'database', action: 'create', entity: 'orders', insufficientInfo: false } },
+    { name: 'Infer the entity from a salary', body: query('Add Anurag salary 50000'), status: 200, response: ['employees'], firestore: true, routing: { tool: 'database', action: 'create', entity: 'employees', insufficientInfo: false } },
+    { name: 'Update a salary', body: query("Update employee John Doe's salary to $80000"), status: 200, firestore: true, routing: { tool: 'database', action: 'update', entity: 'employees', insufficientInfo: false } },
+    { name: 'Delete a product', body: query('Delete product PROD-001'), status: 200, firestore: true, routing: { tool: 'database', action: 'delete', entity: 'products', insufficientInfo: false } },
+
+    // Missing information
+    { name: 'Weather without a location', body: query("What's the weather?"), status: 200, routing: { tool: 'weather', insufficientInfo: true } },
+    { name: 'Order without details', body: query('Add a new order'), status: 200, routing: { insufficientInfo: true } },
+    { name: 'Record without details', body: query('Add a record'), status: 200, response: ['details', 'try', 'Try'], routing: { insufficientInfo: true } },
+    { name: 'Vague query', body: query('Help me'), status: 200, routing: { insufficientInfo: true } },
+];
+
+// Requests one user can send per minute before getting 429 (see src/lib/rateLimiter.js)
+const RATE_LIMIT_SCENARIO = { name: 'Rate limit (11 requests in a minute)', body: query('Tell me the weather in Paris'), requests: 11, status: 429 };
+
+/**
+ * Compare a response with a scenario's expectations
+ * @param {Object} scenario - Scenario from this file
+ * @param {Object} result - { status, body, routing: plan summary from the "routing" event, null when routing failed,
+ *   undefined when the runner cannot see the plan }
+ * @param {Object} [options] - { offline: true when the database is not available }
+ * @returns {string[]} - Mismatches
+ */
+function checkScenario(scenario, { status, body, routing }, { offline = false } = {}) {
+    const mismatches = [];
+    const expected = scenario.routing || {};
+    const step = routing?.steps?.[0] || {};
+    // Offline, database steps fail without Firestore: only the routing says whether the scenario works
+    const checkResult = !(offline && scenario.firestore);
+
+    if (routing !== undefined && scenario.routing) {
+        if (!routing) {
+            mismatches.push(`routing: no plan (${body?.error || 'routing failed'})`);
+            return mismatches;
+        }
+        if (expected.insufficientInfo !== undefined && routing.insufficientInfo !== expected.insufficientInfo) {
+            mismatches.push(`insufficientInfo: expected ${expected.insufficientInfo}, got ${routing.insufficientInfo}`);
+        }
+        ['tool', 'action', 'entity'].filter(field => expected[field] !== undefined && step[field] !== expected[field]).forEach(field => {
+            mismatches.push(`${field}: expected ${expected[field]}, got ${step[field]}`);
+        });
+    }
+
+    if (checkResult && scenario.status !== undefined && status !== scenario.status) {
+        mismatches.push(`status: expected ${scenario.status}, got ${status} (${body?.error || body?.response || ''})`);
+    }
+    if (checkResult && scenario.response) {
+        const text = String(body?.response || body?.error || '');
+        if (!scenario.response.some(part => text.includes(part))) {
+            mismatches.push(`response: expected one of ${JSON.stringify(scenario.response)}, got ${JSON.stringify(text.slice(0, 200))}`);
+        }
+    }
+    if (checkResult && scenario.data && !Array.isArray(body?.data)) {
+        mismatches.push('data: expected an array of records');
+    }
+    return mismatches;
+}
+
+module.exports = {
+    AUTH_SCENARIOS,
+    VALIDATION_SCENARIOS,
+    QUERY_SCENARIOS,
+    RATE_LIMIT_SCENARIO,
+    checkScenario,
+};
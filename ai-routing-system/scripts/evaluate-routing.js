@@ -0,0 +1,339 @@
+// Routing accuracy evaluation against the golden dataset in eval/routing-dataset.json.
+// By default LLM calls are replayed from fixtures (LLM_FIXTURE_MODE=replay); set LLM_FIXTURE_MODE=record
+// (or any other value to call the providers without recording) to evaluate the configured providers.
+//   npm run eval-routing                      # report and compare with eval/routing-baseline.json
+//   npm run eval-routing -- --update-baseline # store this run as the new baseline
+//   npm run eval-routing -- --dataset <file> --baseline <file>
+// Exits with code 1 when a field's accuracy drops below the baseline, when a field that passed in the baseline
+// fails now, or when there is no baseline for this dataset version and model source.
+// Runs answered by the scripted mock provider (LLM_PROVIDERS=mock, or fixtures recorded from it) are a smoke test of
+// this harness: the mock answers each golden query from fixtures/mock-routing.json, so they say nothing about
+// routing quality. Record fixtures and a baseline from a real provider for that.
+const fs = require('fs');
+const path = require('path');
+
+if (!process.env.LLM_FIXTURE_MODE) process.env.LLM_FIXTURE_MODE = 'replay';
+
+// Evaluate the LLM router itself, not the rule-based fallback
+process.env.LLM_FALLBACK_ROUTER = 'false';
+// Every query must reach the router, not the routing cache
+process.env.ROUTING_CACHE_ENABLED = 'false';
+
+const { routeQuery } = require('../src/controllers/llmRouterController');
+const { getProviderChain, getModelsFor } = require('../src/lib/llm');
+const { listFixtureSources } = require('../src/lib/llm/fixtures');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+const RESET = '\x1b[0m';
+const CYAN = '\x1b[36m';
+
+const log = (msg, color = RESET) => console.log(`${color}${msg}${RESET}`);
+const section = (msg) => console.log(`\n${CYAN}${msg}${RESET}\n${'='.repeat(50)}`);
+
+// Step fields that can be scored; a field is only scored when the case's expectation sets it
+const STEP_FIELDS = ['tool', 'action', 'entity', 'location', 'locations', 'metric', 'order', 'when', 'partOfDay', 'focus', 'filters', 'sort', 'limit', 'data'];
+const NONE = '(none)';
+
+function parseArgs(argv) {
+    const args = {
+        dataset: path.join(__dirname, '..', 'eval', 'routing-dataset.json'),
+        baseline: path.join(__dirname, '..', 'eval', 'routing-baseline.json'),
+        updateBaseline: false,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dataset') args.dataset = path.resolve(argv[++i]);
+        else if (argv[i] === '--baseline') args.baseline = path.resolve(argv[++i]);
+        else if (argv[i] === '--update-baseline') args.updateBaseline = true;
+    }
+    return args;
+}
+
+/**
+ * Normalize a value for comparison: case-insensitive text, "$1,500" and "1500" equal 1500
+ * @param {*} value - Expected or predicted value
+ * @returns {*} - Comparable value
+ */
+function normalizeValue(value) {
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (/^\$?\d[\d,]*(\.\d+)?$/.test(text)) return Number(text.replace(/[$,]/g, ''));
+        return text.toLowerCase();
+    }
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalizeValue(value[key])]));
+    }
+    return value ?? null;
+}
+
+/**
+ * Compare one expected field with the prediction
+ * @param {string} field - Field name
+ * @param {*} expected - Expected value
+ * @param {*} predicted - Predicted value
+ * @returns {boolean}
+ */
+function fieldMatches(field, expected, predicted) {
+    // "Paris" and "Paris, FR" name the same place: compare the city part only
+    const city = (value) => (typeof value === 'string' ? value.split(',')[0].trim().toLowerCase() : value ?? null);
+    if (field === 'location') {
+        return city(expected) === city(predicted);
+    }
+    // Compared places in the order given
+    if (field === 'locations') {
+        return JSON.stringify((expected || []).map(city)) === JSON.stringify(Array.isArray(predicted) ? predicted.map(city) : null);
+    }
+    // A missing filters/data object on the prediction means "none"
+    if ((field === 'filters' || field === 'data') && predicted == null) predicted = {};
+    return JSON.stringify(normalizeValue(expected)) === JSON.stringify(normalizeValue(predicted));
+}
+
+/**
+ * Score one case
+ * @param {Object} testCase - { id, query, expected }
+ * @param {Object|null} plan - Routing plan, or null when routing failed
+ * @returns {Object} - { fields: { [field]: boolean }, mismatches: string[], actions: [expected, predicted][] }
+ */
+function scoreCase(testCase, plan) {
+    const { expected } = testCase;
+    const predictedSteps = plan?.steps || [];
+    const fields = {};
+    const mismatches = [];
+    const actions = [];
+
+    const score = (key, ok, detail) => {
+        fields[key] = ok;
+        if (!ok) mismatches.push(detail);
+    };
+
+    if (expected.insufficientInfo !== undefined) {
+        score('insufficientInfo', plan?.insufficientInfo === expected.insufficientInfo,
+            `insufficientInfo: expected ${expected.insufficientInfo}, got ${plan?.insufficientInfo}`);
+    }
+
+    if (expected.language !== undefined) {
+        score('language', Boolean(plan) && (plan.language || 'en') === expected.language,
+            `language: expected ${expected.language}, got ${plan?.language ?? null}`);
+    }
+
+    // Step counts only matter for answerable queries (insufficient plans may carry a placeholder step)
+    if (expected.steps && expected.insufficientInfo === false) {
+        score('stepCount', predictedSteps.length === expected.steps.length,
+            `stepCount: expected ${expected.steps.length}, got ${predictedSteps.length}`);
+    }
+
+    (expected.steps || []).forEach((expectedStep, index) => {
+        const predictedStep = predictedSteps[index] || {};
+        const parameters = predictedStep.parameters || {};
+        const predicted = { tool: predictedStep.tool, action: predictedStep.action, ...parameters };
+
+        if (expectedStep.action !== undefined) {
+            actions.push([expectedStep.action, predictedStep.action || NONE]);
+        }
+
+        STEP_FIELDS.filter(field => field in expectedStep).forEach(field => {
+            // A failed routing call scores nothing, even where "no value" was expected
+            score(`steps[${index}].${field}`, Boolean(plan) && fieldMatches(field, expectedStep[field], predicted[field]),
+                `steps[${index}].${field}: expected ${JSON.stringify(expectedStep[field])}, got ${JSON.stringify(predicted[field] ?? null)}`);
+        });
+    });
+
+    return { fields, mismatches, actions };
+}
+
+/**
+ * Aggregate per-field accuracy across cases (step fields are pooled across step positions)
+ * @param {Object[]} results - Scored cases
+ * @returns {Object} - { [field]: { correct, total } }
+ */
+function fieldAccuracy(results) {
+    const totals = {};
+    results.forEach(result => {
+        Object.entries(result.fields).forEach(([key, ok]) => {
+            const field = key.replace(/^steps\[\d+\]\./, '');
+            totals[field] = totals[field] || { correct: 0, total: 0 };
+            totals[field].total++;
+            if (ok) totals[field].correct++;
+        });
+    });
+    return totals;
+}
+
+function printAccuracy(totals, baseline) {
+    section('📊 PER-FIELD ACCURACY');
+    Object.entries(totals).forEach(([field, { correct, total }]) => {
+        const pct = (correct / total) * 100;
+        const before = baseline?.accuracy?.[field];
+        const delta = before !== undefined ? ` (baseline ${before.toFixed(1)}%)` : '';
+        const color = pct === 100 ? GREEN : pct >= 80 ? YELLOW : RED;
+        log(`   ${field.padEnd(18)} ${`${correct}/${total}`.padStart(7)}  ${pct.toFixed(1).padStart(5)}%${delta}`, color);
+    });
+}
+
+function printConfusionMatrix(results) {
+    section('🔀 ACTION CONFUSION MATRIX (rows: expected, columns: predicted)');
+    const pairs = results.flatMap(result => result.actions);
+    if (pairs.length === 0) {
+        log('   No cases with an expected action.', YELLOW);
+        return;
+    }
+
+    const labels = Array.from(new Set(pairs.flat())).sort((a, b) => (a === NONE) - (b === NONE) || a.localeCompare(b));
+    const width = Math.max(...labels.map(l => l.length), 8) + 2;
+    const counts = {};
+    pairs.forEach(([expected, predicted]) => {
+        counts[`${expected}|${predicted}`] = (counts[`${expected}|${predicted}`] || 0) + 1;
+    });
+
+    console.log(`   ${''.padEnd(width)}${labels.map(l => l.padStart(width)).join('')}`);
+    labels.forEach(row => {
+        const cells = labels.map(column => {
+            const count = counts[`${row}|${column}`] || 0;
+            const text = String(count || '.').padStart(width);
+            return count && row !== column ? `${RED}${text}${RESET}` : text;
+        });
+        console.log(`   ${row.padEnd(width)}${cells.join('')}`);
+    });
+}
+
+/**
+ * Who answered the run
+ * @returns {string[]} - "provider/model" names: the recorded fixtures' when replaying, the configured providers' otherwise
+ */
+function listSources() {
+    if (process.env.LLM_FIXTURE_MODE === 'replay') return listFixtureSources();
+    return getProviderChain().flatMap(provider => getModelsFor(provider).map(model => `${provider.name}/${model}`));
+}
+
+/**
+ * Fields whose accuracy is below the baseline's
+ * @param {Object} totals - From fieldAccuracy
+ * @param {Object} baseline - Stored baseline
+ * @returns {string[]} - "field: now% < baseline%" entries
+ */
+function findAccuracyDrops(totals, baseline) {
+    return Object.entries(baseline.accuracy)
+        .map(([field, before]) => {
+            const { correct = 0, total = 0 } = totals[field] || {};
+            // Same rounding as the stored baseline
+            const now = total > 0 ? Number(((correct / total) * 100).toFixed(1)) : 0;
+            return now < before ? `${field}: ${now.toFixed(1)}% < ${before.toFixed(1)}%` : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Fields that passed in the baseline and fail now
+ * @param {Object[]} results - Scored cases
+ * @param {Object} baseline - Stored baseline
+ * @returns {string[]} - "caseId: field" entries
+ */
+function findRegressions(results, baseline) {
+    const regressions = [];
+    results.forEach(result => {
+        const before = baseline.cases[result.id];
+        if (!before) return;
+        Object.entries(result.fields).forEach(([field, ok]) => {
+            if (!ok && before.fields[field] === true) regressions.push(`${result.id}: ${field}`);
+        });
+    });
+    return regressions;
+}
+
+async function runEvaluation() {
+    const args = parseArgs(process.argv.slice(2));
+    const dataset = JSON.parse(fs.readFileSync(args.dataset, 'utf8'));
+
+    section(`🧪 ROUTING EVALUATION (dataset v${dataset.version}, ${dataset.cases.length} cases)`);
+
+    const results = [];
+    for (const testCase of dataset.cases) {
+        let plan = null;
+        let error = null;
+        try {
+            plan = await routeQuery(testCase.query);
+        } catch (e) {
+            error = e.message;
+        }
+
+        const scored = scoreCase(testCase, plan);
+        if (error) scored.mismatches.unshift(`routing failed: ${error}`);
+        results.push({ id: testCase.id, query: testCase.query, ...scored });
+
+        if (scored.mismatches.length === 0) {
+            log(`   ✅ ${testCase.id}`, GREEN);
+        } else {
+            log(`   ❌ ${testCase.id} — ${testCase.query}`, RED);
+            scored.mismatches.forEach(m => log(`      ${m}`, RED));
+        }
+    }
+
+    const sources = listSources();
+    const source = sources.join(', ') || NONE;
+    const smokeTest = sources.length > 0 && sources.every(name => name.startsWith('mock/'));
+    const baseline = fs.existsSync(args.baseline) ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+    const comparable = baseline && baseline.datasetVersion === dataset.version && baseline.source === source;
+    const totals = fieldAccuracy(results);
+
+    printAccuracy(totals, comparable ? baseline : null);
+    printConfusionMatrix(results);
+
+    section('📈 BASELINE COMPARISON');
+    if (smokeTest) {
+        log(`   ⚠️  HARNESS SMOKE TEST: answers came from the scripted mock provider (${source}), not a real model.`, YELLOW);
+        log('      Accuracy here checks the evaluation harness, not routing quality.', YELLOW);
+    }
+    let regressions = [];
+    let drops = [];
+    // Without a comparable baseline a regression would go unnoticed, so that fails too (unless one is being written)
+    let failed = false;
+    if (!baseline) {
+        log(`   No baseline at ${args.baseline}. Run with --update-baseline to create one.`, args.updateBaseline ? YELLOW : RED);
+        failed = !args.updateBaseline;
+    } else if (baseline.datasetVersion !== dataset.version) {
+        log(`   Baseline is for dataset v${baseline.datasetVersion}, this is v${dataset.version}. Run with --update-baseline.`, args.updateBaseline ? YELLOW : RED);
+        failed = !args.updateBaseline;
+    } else if (!comparable) {
+        log(`   Baseline was recorded from ${baseline.source || NONE}, this run used ${source}. Run with --update-baseline.`, args.updateBaseline ? YELLOW : RED);
+        failed = !args.updateBaseline;
+    } else {
+        drops = findAccuracyDrops(totals, baseline);
+        regressions = findRegressions(results, baseline);
+        if (drops.length === 0 && regressions.length === 0) {
+            log(`   ✅ No regressions against baseline from ${baseline.generatedAt}`, GREEN);
+        }
+        if (drops.length > 0) {
+            log(`   ❌ ${drops.length} field(s) below the baseline accuracy from ${baseline.generatedAt}:`, RED);
+            drops.forEach(d => log(`      ${d}`, RED));
+        }
+        if (regressions.length > 0) {
+            log(`   ❌ ${regressions.length} regression(s) against baseline from ${baseline.generatedAt}:`, RED);
+            regressions.forEach(r => log(`      ${r}`, RED));
+        }
+    }
+
+    if (args.updateBaseline) {
+        const accuracy = Object.fromEntries(
+            Object.entries(totals).map(([field, { correct, total }]) => [field, Number(((correct / total) * 100).toFixed(1))])
+        );
+        fs.writeFileSync(args.baseline, `${JSON.stringify({
+            datasetVersion: dataset.version,
+            generatedAt: new Date().toISOString(),
+            providers: process.env.LLM_FIXTURE_MODE === 'replay' ? 'replay' : (process.env.LLM_PROVIDERS || 'gemini'),
+            source,
+            smokeTest,
+            accuracy,
+            cases: Object.fromEntries(results.map(result => [result.id, { fields: result.fields }])),
+        }, null, 2)}\n`);
+        log(`   Baseline written to ${args.baseline}`, CYAN);
+    }
+
+    process.exitCode = failed || drops.length > 0 || regressions.length > 0 ? 1 : 0;
+}
+
+runEvaluation().catch(error => {
+    console.error('Evaluation Error:', error);
+    process.exitCode = 1;
+});
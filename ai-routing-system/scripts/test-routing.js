@@ -0,0 +1,297 @@
+// Offline harness for the endpoint scenarios in scripts/endpoint-scenarios.js (the Postman collection's requests):
+// authentication, validation and rate limiting, then every query through the same pipeline as POST /api/query,
+// plus the rule-based fallback router, guardrail policy checks on update and delete plans, routing cache lookups
+// and money formatting of record fields.
+// By default LLM calls are replayed from fixtures (LLM_FIXTURE_MODE=replay) and weather comes from the fixture
+// provider, so no network or API key is needed. Database steps need Firestore, so those scenarios check their routing.
+// Record fresh fixtures after a prompt change with a real provider configured:
+//   LLM_FIXTURE_MODE=record npm run test-routing
+// Fixtures recorded from the scripted mock provider (fixtures/mock-routing.json) make the query scenarios a smoke test
+// of the pipeline: they pin its behavior for hand-written routing answers and say nothing about a model's routing.
+if (!process.env.LLM_FIXTURE_MODE) process.env.LLM_FIXTURE_MODE = 'replay';
+// A failing LLM call must fail the scenario, not fall back to the rule-based router
+process.env.LLM_FALLBACK_ROUTER = 'false';
+// Every query must reach the router, not the routing cache
+process.env.ROUTING_CACHE_ENABLED = 'false';
+// Repeatable answers: simulated weather, template responses
+process.env.WEATHER_PROVIDERS = 'fixture';
+process.env.RESPONSE_SYNTHESIS = 'false';
+
+const { authorizeQuery, validateQueryBody, processQuery } = require('../src/lib/queryPipeline');
+const { checkRateLimit } = require('../src/lib/rateLimiter');
+const { checkPlanPolicy } = require('../src/lib/guardrails');
+const { routeWithRules } = require('../src/lib/fallbackRouter');
+const { storeRouting, lookupRouting, flushRouting } = require('../src/lib/routingCache');
+const { listFixtureSources } = require('../src/lib/llm/fixtures');
+const { DEFAULT_PREFERENCES, formatFieldValue } = require('../src/lib/formatters');
+const { AUTH_SCENARIOS, VALIDATION_SCENARIOS, QUERY_SCENARIOS, RATE_LIMIT_SCENARIO, checkScenario } = require('./endpoint-scenarios');
+
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const YELLOW = '\x1b[33m';
+const RESET = '\x1b[0m';
+const CYAN = '\x1b[36m';
+
+const log = (msg, color = RESET) => console.log(`${color}${msg}${RESET}`);
+const section = (msg) => console.log(`\n${CYAN}${msg}${RESET}\n${'='.repeat(50)}`);
+
+// Every query runs as this user, in a new conversation
+const TEST_EMAIL = 'routing-harness@example.com';
+
+// Degraded-mode routing: the first step the rule-based router plans, and whether it asks for more information
+const FALLBACK_SCENARIOS = [
+    { query: 'list orders where status is pending', action: 'read', entity: 'orders', filters: { status: 'pending' }, insufficientInfo: false },
+    { query: 'show orders with status set to shipped', action: 'read', entity: 'orders', filters: { status: 'shipped' }, insufficientInfo: false },
+    { query: 'Show me employees in Sales', action: 'read', entity: 'employees', filters: { department: 'Sales' }, insufficientInfo: false },
+    { query: 'show employees in the HR department', action: 'read', entity: 'employees', filters: { department: 'HR' }, insufficientInfo: false },
+    { query: 'How many employees are in Engineering?', action: 'count', entity: 'employees', filters: { department: 'Engineering' }, insufficientInfo: false },
+    { query: 'Delete product PROD-001', action: 'delete', entity: 'products', filters: { productId: 'PROD-001' }, insufficientInfo: false },
+    { query: 'remove the employee named Jane Smith', action: 'delete', entity: 'employees', filters: { name: 'Jane Smith' }, insufficientInfo: false },
+    { query: 'remove John', action: 'delete', entity: null, filters: { name: 'John' }, insufficientInfo: false },
+    { query: 'delete Jane Smith', action: 'delete', entity: null, filters: { name: 'Jane Smith' }, insufficientInfo: false },
+    { query: 'remove all orders', action: 'delete', entity: 'orders', filters: {}, insufficientInfo: true },
+    { query: "Update employee John Doe's salary to 80000", action: 'update', entity: 'employees', filters: { name: 'John Doe' }, insufficientInfo: false },
+];
+
+// Plans and whether the policy lets them through. "filters" is short for one delete step with those filters.
+// The query must ask for the change, and filter values must appear in it as whole words or come from a step
+// (or earlier turn) that selects such records.
+const readEmployees = (filters) => ({ tool: 'database', action: 'read', parameters: { entity: 'employees', filters } });
+const firstOf = (step) => ({ $from: step, select: 'first' });
+const GUARDRAIL_SCENARIOS = [
+    { query: 'Delete product PROD-001', filters: { productId: 'PROD-001' }, allowed: true },
+    { query: 'remove the employee named Jane Smith', filters: { name: 'Jane Smith' }, allowed: true },
+    { query: 'delete order 1', filters: { orderId: '1' }, allowed: true },
+    { query: 'delete employees with salary $80,000', filters: { salary: 80000 }, allowed: true },
+    { query: 'remove the employee named Jane Smithson', filters: { name: 'Jane Smith' }, allowed: false },
+    { query: 'delete order ORD-100', filters: { orderId: '1' }, allowed: false },
+    { query: 'delete the employee', filters: { name: 'e' }, allowed: false },
+    { query: 'delete a product', filters: { name: 'a' }, allowed: false },
+    { query: 'remove all orders', filters: {}, allowed: false },
+    { query: 'प्रोडक्ट PROD-001 हटाओ', filters: { productId: 'PROD-001' }, allowed: true },
+    { query: 'elimina el pedido ORD-100', filters: { orderId: 'ORD-100' }, allowed: true },
+    { query: 'what is the weather in paris', filters: { orderId: 'ORD-100' }, allowed: false },
+    {
+        query: 'show me the Sales team',
+        steps: [{ tool: 'database', action: 'update', parameters: { entity: 'employees', filters: { department: 'Sales' }, data: { department: 'Sales' } } }],
+        allowed: false,
+    },
+    {
+        query: "Update employee John Doe's salary to $80000",
+        steps: [{ tool: 'database', action: 'update', parameters: { entity: 'employees', filters: { name: 'John Doe' }, data: { salary: 80000 } } }],
+        allowed: true,
+    },
+    {
+        query: 'delete order ORD-100',
+        steps: [{ tool: 'database', action: 'update', parameters: { entity: 'orders', filters: { orderId: 'ORD-100' }, data: { status: 'cancelled' } } }],
+        allowed: false,
+    },
+    {
+        query: 'what is the weather in paris',
+        steps: [readEmployees({}), { tool: 'database', action: 'delete', parameters: { entity: 'employees', filters: { id: firstOf(0) } } }],
+        allowed: false,
+    },
+    {
+        query: 'delete the first employee',
+        steps: [readEmployees({}), { tool: 'database', action: 'delete', parameters: { entity: 'employees', filters: { id: firstOf(0) } } }],
+        allowed: false,
+    },
+    {
+        query: 'delete the first employee in Sales',
+        steps: [readEmployees({ department: 'Sales' }), { tool: 'database', action: 'delete', parameters: { entity: 'employees', filters: { id: firstOf(0) } } }],
+        allowed: true,
+    },
+    {
+        query: 'delete the orders of the first employee in Sales',
+        steps: [
+            readEmployees({ department: 'Marketing' }),
+            { tool: 'database', action: 'read', parameters: { entity: 'orders', filters: { customerName: { ...firstOf(0), field: 'name' } } } },
+            { tool: 'database', action: 'delete', parameters: { entity: 'orders', filters: { id: { $from: 1, select: 'all' } } } },
+        ],
+        allowed: false,
+    },
+    {
+        query: 'delete the orders of the first employee in Sales',
+        steps: [
+            readEmployees({ department: 'Sales' }),
+            { tool: 'database', action: 'read', parameters: { entity: 'orders', filters: { customerName: { ...firstOf(0), field: 'name' } } } },
+            { tool: 'database', action: 'delete', parameters: { entity: 'orders', filters: { id: { $from: 1, select: 'all' } } } },
+        ],
+        allowed: true,
+    },
+    { query: 'Jane Smith', turns: [{ query: 'delete an employee', steps: [] }], filters: { name: 'Jane Smith' }, allowed: true },
+    {
+        query: 'Jane Smith',
+        turns: [{ query: 'delete order ORD-100', steps: [{ tool: 'database', action: 'delete', entity: 'orders', records: [] }] }],
+        filters: { name: 'Jane Smith' },
+        allowed: false,
+    },
+];
+
+// A cached plan, a new query and the match the cache must give it (null: ask the router) with lexical similarity.
+// A similar query may only differ in filler words: negations and extra conditions must miss.
+const PENDING_ORDERS = {
+    query: 'list orders where status is pending',
+    plan: { steps: [{ tool: 'database', action: 'read', parameters: { entity: 'orders', filters: { status: 'pending' } } }], insufficientInfo: false },
+};
+const NOT_PENDING_ORDERS = {
+    query: 'list orders where status is not pending',
+    plan: { steps: [{ tool: 'database', action: 'read', parameters: { entity: 'orders', filters: { status: 'pending' } } }], insufficientInfo: false },
+};
+const CHENNAI_WEATHER = {
+    query: 'weather in Chennai',
+    plan: { steps: [{ tool: 'weather', action: 'current', parameters: { location: 'Chennai, IN' } }], insufficientInfo: false },
+};
+const CACHE_SCENARIOS = [
+    { cached: PENDING_ORDERS, query: 'List orders where status is pending!', match: 'exact' },
+    { cached: PENDING_ORDERS, query: 'list the orders where status is pending', match: 'similar' },
+    { cached: PENDING_ORDERS, query: 'list orders where status is pending please', match: 'similar' },
+    { cached: PENDING_ORDERS, query: 'list orders where status is not pending', match: null },
+    { cached: PENDING_ORDERS, query: 'list orders where status isnt pending', match: null },
+    { cached: PENDING_ORDERS, query: "list orders where status isn't pending", match: null },
+    { cached: PENDING_ORDERS, query: 'list orders except where status is pending', match: null },
+    { cached: PENDING_ORDERS, query: 'list orders where status is pending in Mumbai', match: null },
+    { cached: NOT_PENDING_ORDERS, query: 'list orders where status is pending', match: null },
+    { cached: CHENNAI_WEATHER, query: 'weather in Mumbai', match: null },
+];
+
+// Record fields as the synthesized answer and the chat UI show them (default preferences: USD): money words only
+// mark a field as money when they end its name, so counts such as "totalItems" stay plain numbers
+const FORMAT_SCENARIOS = [
+    { field: 'salary', value: 80000, expected: '$80,000.00' },
+    { field: 'orderTotal', value: 1500, expected: '$1,500.00' },
+    { field: 'total_cost', value: 42.5, expected: '$42.50' },
+    { field: 'totalItems', value: 3, expected: 3 },
+    { field: 'totalOrders', value: 12, expected: 12 },
+    { field: 'balanceCount', value: 7, expected: 7 },
+];
+
+/**
+ * Send a scenario's request through the query pipeline, as POST /api/query would
+ * @param {Object} scenario - Query or validation scenario
+ * @returns {Promise<Object>} - { status, body, routing: the "routing" event, or null when routing failed }
+ */
+async function runRequest(scenario) {
+    const validation = validateQueryBody(scenario.body);
+    if (validation.status) return { status: validation.status, body: validation.body, routing: null };
+
+    let routing = null;
+    const { status, body } = await processQuery({
+        query: validation.query,
+        conversationId: null,
+        locale: validation.locale,
+        cursor: validation.cursor,
+        userEmail: TEST_EMAIL,
+        remaining: 9,
+    }, (event, data) => {
+        if (event === 'routing') routing = data;
+    });
+    return { status, body, routing };
+}
+
+/**
+ * Report one scenario's outcome
+ * @param {string} label - Scenario label
+ * @param {string[]} mismatches - From checkScenario
+ * @returns {boolean} - Whether it passed
+ */
+function report(label, mismatches) {
+    if (mismatches.length === 0) {
+        log(`   ✅ ${label}`, GREEN);
+        return true;
+    }
+    log(`   ❌ ${label}`, RED);
+    mismatches.forEach(m => log(`      ${m}`, RED));
+    return false;
+}
+
+async function runTests() {
+    let total = 0;
+    let failures = 0;
+    const record = (passed) => {
+        total++;
+        if (!passed) failures++;
+    };
+
+    section('🔐 AUTHENTICATION, VALIDATION AND RATE LIMITING');
+    for (const scenario of AUTH_SCENARIOS) {
+        const result = await authorizeQuery(scenario.authorization);
+        record(report(scenario.name, checkScenario(scenario, { status: result.status || 200, body: result.body })));
+    }
+    for (const scenario of VALIDATION_SCENARIOS) {
+        const { status, body } = validateQueryBody(scenario.body);
+        record(report(scenario.name, checkScenario(scenario, { status: status || 200, body })));
+    }
+    // Only the last request has to be refused
+    let limited;
+    for (let i = 0; i < RATE_LIMIT_SCENARIO.requests; i++) limited = checkRateLimit('rate-limit-harness@example.com');
+    record(report(RATE_LIMIT_SCENARIO.name, checkScenario(RATE_LIMIT_SCENARIO, { status: limited.allowed ? 200 : 429 })));
+
+    section(`🧭 QUERY SCENARIOS (fixture mode: ${process.env.LLM_FIXTURE_MODE})`);
+    const sources = process.env.LLM_FIXTURE_MODE === 'replay' ? listFixtureSources() : [];
+    if (sources.length > 0 && sources.every(name => name.startsWith('mock/'))) {
+        log(`   ⚠️  HARNESS SMOKE TEST: fixtures were recorded from the scripted mock provider (${sources.join(', ')}), not a real model.`, YELLOW);
+    }
+    for (const scenario of QUERY_SCENARIOS) {
+        const label = `${scenario.name}: ${scenario.body.query}`;
+        try {
+            record(report(label, checkScenario(scenario, await runRequest(scenario), { offline: true })));
+        } catch (error) {
+            record(report(label, [error.message]));
+        }
+    }
+
+    section('🧯 FALLBACK ROUTER SCENARIOS');
+    for (const scenario of FALLBACK_SCENARIOS) {
+        const plan = routeWithRules(scenario.query);
+        const step = plan.steps[0] || {};
+        const actual = { action: step.action, entity: step.parameters?.entity ?? null, filters: step.parameters?.filters || {}, insufficientInfo: plan.insufficientInfo };
+        const mismatches = ['action', 'entity', 'filters', 'insufficientInfo']
+            .filter(field => JSON.stringify(actual[field]) !== JSON.stringify(scenario[field]))
+            .map(field => `${field}: expected ${JSON.stringify(scenario[field])}, got ${JSON.stringify(actual[field])}`);
+        record(report(scenario.query, mismatches));
+    }
+
+    section('🛡️  GUARDRAIL SCENARIOS');
+    for (const scenario of GUARDRAIL_SCENARIOS) {
+        const steps = scenario.steps || [{ tool: 'database', action: 'delete', parameters: { entity: 'orders', filters: scenario.filters } }];
+        const { allowed, violations } = checkPlanPolicy(steps, { query: scenario.query, turns: scenario.turns });
+        const plan = scenario.steps
+            ? steps.map(step => `${step.action} ${JSON.stringify(step.parameters.filters)}`).join(', ')
+            : JSON.stringify(scenario.filters);
+        const label = `${scenario.turns ? `(after ${JSON.stringify(scenario.turns[0].query)}) ` : ''}${scenario.query}: ${plan}`;
+
+        record(report(`${label} ${scenario.allowed ? 'allowed' : 'refused'}`, allowed === scenario.allowed
+            ? []
+            : [`expected ${scenario.allowed ? 'allowed' : 'refused'}, got ${allowed ? 'allowed' : violations.join('; ')}`]));
+    }
+
+    section('🗂️  ROUTING CACHE SCENARIOS (lexical similarity)');
+    process.env.ROUTING_CACHE_ENABLED = 'true';
+    process.env.ROUTING_CACHE_SIMILARITY = 'lexical';
+    for (const scenario of CACHE_SCENARIOS) {
+        flushRouting();
+        await storeRouting(scenario.cached.query, scenario.cached.plan);
+        const hit = await lookupRouting(scenario.query);
+        const match = hit ? hit.match : null;
+
+        record(report(`${JSON.stringify(scenario.query)} after ${JSON.stringify(scenario.cached.query)}: ${scenario.match || 'miss'}`, match === scenario.match
+            ? []
+            : [`expected ${scenario.match || 'miss'}, got ${match ? `${match} (similarity ${hit.similarity})` : 'miss'}`]));
+    }
+    flushRouting();
+    process.env.ROUTING_CACHE_ENABLED = 'false';
+
+    section('💱 FIELD FORMATTING SCENARIOS');
+    for (const scenario of FORMAT_SCENARIOS) {
+        const formatted = formatFieldValue(scenario.field, scenario.value, DEFAULT_PREFERENCES);
+        record(report(`${scenario.field}: ${scenario.value} → ${JSON.stringify(scenario.expected)}`, formatted === scenario.expected
+            ? []
+            : [`expected ${JSON.stringify(scenario.expected)}, got ${JSON.stringify(formatted)}`]));
+    }
+
+    section(failures === 0 ? `🎉 ALL ${total} SCENARIOS PASSED` : `💥 ${failures}/${total} SCENARIOS FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+runTests();
@@ -0,0 +1,83 @@
+// src/app/api/admin/entity-schemas/route.js
+// Operator endpoint: list entity schemas (GET), define or replace one (PUT) or remove a custom one (DELETE ?entity=).
+
+import { NextResponse } from 'next/server';
+import { authenticateAdmin } from '../../../../lib/adminAuth';
+import { listSchemas, validateSchemaDefinition, saveSchema, deleteSchema } from '../../../../lib/entitySchemas';
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    return NextResponse.json({ schemas: await listSchemas() }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in entity schemas endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body.' }, { status: 400 });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json({ error: 'Request body must be an object with "entity" and "fields".' }, { status: 400 });
+    }
+
+    const errors = validateSchemaDefinition(body.entity, body.fields);
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join(' ') }, { status: 400 });
+    }
+
+    const schema = await saveSchema(body.entity, body.fields);
+    console.log(`Entity schema for ${schema.entity} saved by ${auth.email}`);
+
+    return NextResponse.json({ schema }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in entity schemas endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    const entity = new URL(request.url).searchParams.get('entity');
+    if (!entity) {
+      return NextResponse.json({ error: 'The "entity" query parameter is required.' }, { status: 400 });
+    }
+
+    const removed = await deleteSchema(entity);
+    console.log(`Entity schema for ${entity} ${removed ? 'removed' : 'not found'} (${auth.email})`);
+
+    return NextResponse.json({ removed }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in entity schemas endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,30 @@
+// src/app/api/admin/llm-status/route.js
+// Operator endpoint: health and circuit-breaker state of every configured LLM key and model.
+// Keys are identified by index and a short hash fingerprint, never by value.
+
+import { NextResponse } from 'next/server';
+import { authenticateAdmin } from '../../../../lib/adminAuth';
+import { getKeyStatus } from '../../../../lib/llm';
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    return NextResponse.json(
+      {
+        generatedAt: new Date().toISOString(),
+        keys: getKeyStatus(),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Unexpected error in LLM status endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
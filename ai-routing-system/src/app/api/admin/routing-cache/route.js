@@ -0,0 +1,45 @@
+// src/app/api/admin/routing-cache/route.js
+// Operator endpoint: inspect (GET) or flush (DELETE) the routing instruction cache.
+// DELETE flushes everything, or a single query with ?query=<text>.
+
+import { NextResponse } from 'next/server';
+import { authenticateAdmin } from '../../../../lib/adminAuth';
+import { getCacheStatus, flushRouting } from '../../../../lib/routingCache';
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    return NextResponse.json(getCacheStatus(), { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in routing cache endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    const query = new URL(request.url).searchParams.get('query');
+    const removed = flushRouting(query || undefined);
+    console.log(`Routing cache flushed by ${auth.email}: ${removed} entr${removed === 1 ? 'y' : 'ies'}${query ? ` for "${query}"` : ''}`);
+
+    return NextResponse.json({ removed }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in routing cache endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
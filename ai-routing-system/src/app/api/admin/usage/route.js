@@ -0,0 +1,46 @@
+// src/app/api/admin/usage/route.js
+// Operator endpoint: LLM token and cost usage per UTC day, broken down by user, model, API key and query type.
+// Query parameters: date=YYYY-MM-DD (last day, default today), days=1-30 (default 1), email=<user> (one user only).
+
+import { NextResponse } from 'next/server';
+import { authenticateAdmin } from '../../../../lib/adminAuth';
+import { getUsageReport, checkTokenBudget } from '../../../../lib/usageTracker';
+
+const MAX_DAYS = 30;
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    const params = new URL(request.url).searchParams;
+    const date = params.get('date') || undefined;
+    const days = params.has('days') ? Number(params.get('days')) : 1;
+    const email = params.get('email') || null;
+
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`)))) {
+      return NextResponse.json({ error: 'date must be a valid YYYY-MM-DD day.' }, { status: 400 });
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return NextResponse.json({ error: `days must be an integer from 1 to ${MAX_DAYS}.` }, { status: 400 });
+    }
+
+    return NextResponse.json(
+      {
+        generatedAt: new Date().toISOString(),
+        // Today's budget position for a single user
+        ...(email && { budget: await checkTokenBudget(email) }),
+        days: await getUsageReport({ date, days, email }),
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Unexpected error in usage endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+// src/app/api/admin/weather-cache/route.js
+// Operator endpoint: inspect (GET) or flush (DELETE) the weather result cache.
+
+import { NextResponse } from 'next/server';
+import { authenticateAdmin } from '../../../../lib/adminAuth';
+import { getCacheStatus, flushWeather } from '../../../../lib/weather';
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    return NextResponse.json(getCacheStatus(), { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in weather cache endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const auth = await authenticateAdmin(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    const removed = flushWeather();
+    console.log(`Weather cache flushed by ${auth.email}: ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+
+    return NextResponse.json({ removed }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in weather cache endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+// src/app/api/preferences/route.js
+// Signed-in user's display preferences: read (GET) or change some of them (PUT).
+
+import { NextResponse } from 'next/server';
+import { authenticateUser } from '../../../lib/adminAuth';
+import { getPreferences, updatePreferences, validatePreferences } from '../../../lib/preferences';
+
+export async function GET(request) {
+  try {
+    const auth = await authenticateUser(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    return NextResponse.json({ preferences: await getPreferences(auth.email) }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in preferences endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PUT(request) {
+  try {
+    const auth = await authenticateUser(request.headers.get('Authorization'));
+    if (auth.error) {
+      return NextResponse.json({ error: auth.error }, { status: auth.status });
+    }
+
+    let changes;
+    try {
+      changes = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body.' }, { status: 400 });
+    }
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return NextResponse.json({ error: 'Request body must be an object of preferences.' }, { status: 400 });
+    }
+
+    const errors = validatePreferences(changes);
+    if (errors.length > 0) {
+      return NextResponse.json({ error: errors.join(' ') }, { status: 400 });
+    }
+
+    return NextResponse.json({ preferences: await updatePreferences(auth.email, changes) }, { status: 200 });
+  } catch (error) {
+    console.error('Unexpected error in preferences endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,161 +1,34 @@
 // src/app/api/query/route.js
-// Main API endpoint for AI routing system
+// Main API endpoint for AI routing system (see /api/query/stream for the Server-Sent Events variant)
 
 import { NextResponse } from 'next/server';
-import { verifyToken } from '../../../lib/firebase/firebase';
-import { checkRateLimit } from '../../../lib/rateLimiter';
-import { routeQuery } from '../../../controllers/llmRouterController';
-import { getWeather } from '../../../controllers/weatherController';
-import { handleDatabaseOperation } from '../../../controllers/databaseController';
-import { getWeatherHelp, getDatabaseHelp, getGeneralHelp } from '../../../lib/capabilities';
+import { authorizeQuery, validateQueryBody, processQuery } from '../../../lib/queryPipeline';
 
 export async function POST(request) {
   try {
-    // Authentication Verification
-    const authHeader = request.headers.get('Authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return NextResponse.json(
-        { error: 'Authentication required. Please provide a valid token.' },
-        { status: 401 }
-      );
-    }
-
-    const idToken = authHeader.replace('Bearer ', '');
-    let userInfo;
-    try {
-      userInfo = await verifyToken(idToken);
-    } catch (error) {
-      return NextResponse.json(
-        { error: 'Invalid or expired authentication token.' },
-        { status: 401 }
-      );
-    }
-
-    const userEmail = userInfo.email;
-    if (!userEmail) {
-      return NextResponse.json(
-        { error: 'User email not found in token.' },
-        { status: 401 }
-      );
-    }
-
-    // Rate Limiting
-    const rateLimitResult = checkRateLimit(userEmail);
-    if (!rateLimitResult.allowed) {
-      return NextResponse.json(
-        {
-          error: 'Rate limit exceeded. Please try again later.',
-          remaining: rateLimitResult.remaining,
-          resetTime: rateLimitResult.resetTime,
-        },
-        { status: 429 }
-      );
+    // Authentication Verification & Rate Limiting
+    const auth = await authorizeQuery(request.headers.get('Authorization'));
+    if (auth.status) {
+      return NextResponse.json(auth.body, { status: auth.status });
     }
 
     // Request Validation
-    const body = await request.json();
-    const { query } = body;
-
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      return NextResponse.json(
-        { error: 'Query is required and must be a non-empty string.' },
-        { status: 400 }
-      );
+    const validation = validateQueryBody(await request.json());
+    if (validation.status) {
+      return NextResponse.json(validation.body, { status: validation.status });
     }
 
-    // Intelligence Routing
-    let routingInstructions;
-    try {
-      routingInstructions = await routeQuery(query);
-    } catch (error) {
-      console.error('LLM routing error:', error);
-      return NextResponse.json(
-        { error: 'Failed to process query. Please try again.' },
-        { status: 500 }
-      );
-    }
+    // Routing, Guardrails & Tool Execution
+    const { status, body } = await processQuery({
+      query: validation.query,
+      conversationId: validation.conversationId,
+      locale: validation.locale,
+      cursor: validation.cursor,
+      userEmail: auth.userEmail,
+      remaining: auth.rateLimitResult.remaining - 1,
+    });
 
-    // Context Analysis & Guided Assistance
-    if (routingInstructions.insufficientInfo === true) {
-      let helpMessage;
-      const { tool, missingInfo, guidedResponse } = routingInstructions;
-
-      if (guidedResponse) {
-        helpMessage = guidedResponse;
-      } else {
-        // Use static fallback if guided response is unavailable  
-        if (tool === 'weather') {
-          helpMessage = getWeatherHelp();
-        } else if (tool === 'database') {
-          helpMessage = getDatabaseHelp(missingInfo);
-        } else {
-          helpMessage = getGeneralHelp();
-        }
-      }
-
-      return NextResponse.json(
-        {
-          response: helpMessage,
-          remaining: rateLimitResult.remaining - 1,
-        },
-        { status: 200 }
-      );
-    }
-    // Tool Execution
-    let result;
-    const { tool, action, parameters = {} } = routingInstructions;
-
-    try {
-      if (tool === 'weather') {
-        const location = parameters?.location || parameters?.city || 'Unknown';
-        if (!location || location === 'Unknown') {
-          return NextResponse.json(
-            {
-              response: getWeatherHelp(),
-              remaining: rateLimitResult.remaining - 1,
-            },
-            { status: 200 }
-          );
-        }
-        result = await getWeather(location);
-      } else if (tool === 'database') {
-        const entity = parameters?.entity || 'records';
-        const dbResult = await handleDatabaseOperation(action, entity, parameters);
-
-        // Extract message string
-        result = dbResult.message || "Operation completed";
-
-        if (dbResult.data) {
-          return NextResponse.json(
-            {
-              response: result,
-              data: dbResult.data,
-              entity: entity,
-              remaining: rateLimitResult.remaining - 1,
-            },
-            { status: 200 }
-          );
-        }
-      } else {
-        throw new Error(`Unknown tool: ${tool}`);
-      }
-    } catch (error) {
-      console.error('Tool execution error:', error);
-      const errorMessage = error.message || 'An unknown error occurred';
-      return NextResponse.json(
-        { error: `Failed to execute ${tool} operation: ${errorMessage}` },
-        { status: 500 }
-      );
-    }
-
-    // 6. Return clean English response
-    return NextResponse.json(
-      {
-        response: result,
-        remaining: rateLimitResult.remaining - 1,
-      },
-      { status: 200 }
-    );
+    return NextResponse.json(body, { status });
 
   } catch (error) {
     console.error('Unexpected error in query endpoint:', error);
@@ -173,4 +46,3 @@ export async function GET() {
     { status: 405 }
   );
 }
-
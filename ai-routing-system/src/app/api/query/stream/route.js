@@ -0,0 +1,97 @@
+// src/app/api/query/stream/route.js
+// Streaming variant of /api/query over Server-Sent Events.
+// Authentication, rate-limit and validation errors are plain JSON responses; otherwise the response is
+// text/event-stream with progress events (routing_started, routing, step_started, step_completed, answering),
+// then "token" events carrying the answer text, then one "done" event with the same body /api/query returns.
+// A synthesized answer is streamed from the provider as it is generated; any other answer is sent as one token.
+
+import { NextResponse } from 'next/server';
+import { authorizeQuery, validateQueryBody, processQuery } from '../../../../lib/queryPipeline';
+
+const encoder = new TextEncoder();
+
+/**
+ * Format one Server-Sent Event
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {Uint8Array} - Encoded event
+ */
+const formatEvent = (event, data) => encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+export async function POST(request) {
+  try {
+    // Authentication Verification & Rate Limiting
+    const auth = await authorizeQuery(request.headers.get('Authorization'));
+    if (auth.status) {
+      return NextResponse.json(auth.body, { status: auth.status });
+    }
+
+    // Request Validation
+    const validation = validateQueryBody(await request.json());
+    if (validation.status) {
+      return NextResponse.json(validation.body, { status: validation.status });
+    }
+
+    const stream = new ReadableStream({
+      async start(controller) {
+        let closed = false;
+        let answered = false;
+        const send = (event, data) => {
+          if (event === 'token') answered = true;
+          if (closed) return;
+          try {
+            controller.enqueue(formatEvent(event, data));
+          } catch (error) {
+            // Client went away; keep processing so the turn is still recorded
+            closed = true;
+          }
+        };
+
+        try {
+          const { status, body } = await processQuery({
+            query: validation.query,
+            conversationId: validation.conversationId,
+            locale: validation.locale,
+            cursor: validation.cursor,
+            userEmail: auth.userEmail,
+            remaining: auth.rateLimitResult.remaining - 1,
+          }, send);
+
+          // Template answers, errors and failed synthesis were not streamed
+          const answer = body.response || body.error;
+          if (!answered && answer) send('token', { text: answer });
+          send('done', { status, ...body });
+        } catch (error) {
+          console.error('Unexpected error in query stream:', error);
+          send('error', { status: 500, error: 'An unexpected error occurred. Please try again.' });
+        } finally {
+          if (!closed) controller.close();
+        }
+      },
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+      },
+    });
+
+  } catch (error) {
+    console.error('Unexpected error in query stream endpoint:', error);
+    return NextResponse.json(
+      { error: 'An unexpected error occurred. Please try again.' },
+      { status: 500 }
+    );
+  }
+}
+
+// Handle unsupported methods
+export async function GET() {
+  return NextResponse.json(
+    { error: 'Method not allowed. Use POST to submit queries.' },
+    { status: 405 }
+  );
+}
@@ -1,8 +1,16 @@
 'use client';
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import apiClient from '../lib/apiClient';
+import { streamQuery, getPreferences, updatePreferences } from '../lib/apiClient';
 import { useAuth } from '../context/authContext';
+import {
+  UNIT_SYSTEMS,
+  DATE_FORMATS,
+  DEFAULT_PREFERENCES,
+  convertWindSpeed,
+  formatTemperature,
+  formatFieldValue,
+} from '../lib/formatters';
 
 // Configure background video URL here
 const BACKGROUND_VIDEO_URL = 'https://assets.mixkit.co/videos/preview/mixkit-slow-motion-of-clouds-in-the-sky-10346-large.mp4';
@@ -33,10 +41,32 @@ const mockProducts = [
 ];
 
 // Data Canvas Component (Translucent Center Overlay)
-const DataCanvas = ({ data, entity, onClose }) => {
+// datasets: [{ entity, data, locale, nextCursor, hasMore }] - one per plan step that returned records
+// preferences: the user's currency, timezone and date format for money and date fields
+// onLoadMore: (index) => Promise, appends the next page to datasets[index]
+const DataCanvas = ({ datasets, preferences, onClose, onLoadMore }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  if (!datasets || datasets.length === 0) return null;
+  const index = Math.min(activeIndex, datasets.length - 1);
+  const { data, entity, locale, hasMore } = datasets[index];
   if (!data || data.length === 0) return null;
   const columns = Object.keys(data[0]);
 
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    setLoadError(null);
+    try {
+      await onLoadMore(index);
+    } catch (error) {
+      setLoadError(error.message || 'Could not load more records.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/20 backdrop-blur-sm animate-fade-in">
       <div
@@ -51,7 +81,7 @@ const DataCanvas = ({ data, entity, onClose }) => {
             </div>
             <div>
               <h3 className="text-lg font-bold text-gray-800 capitalize">{entity || 'Database Records'}</h3>
-              <p className="text-sm text-gray-500">{data.length} records found</p>
+              <p className="text-sm text-gray-500">{data.length} records {hasMore ? 'shown, more available' : 'found'}</p>
             </div>
           </div>
           <button
@@ -62,6 +92,21 @@ const DataCanvas = ({ data, entity, onClose }) => {
           </button>
         </div>
 
+        {/* Step Tabs (multi-step queries) */}
+        {datasets.length > 1 && (
+          <div className="flex space-x-2 px-8 pt-4">
+            {datasets.map((dataset, idx) => (
+              <button
+                key={idx}
+                onClick={() => setActiveIndex(idx)}
+                className={`px-4 py-1.5 rounded-full text-sm font-medium capitalize transition-colors ${idx === activeIndex ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+              >
+                {idx + 1}. {dataset.entity}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* Scrollable Table */}
         <div className="flex-1 overflow-auto p-6 scrollbar-thin">
           <table className="w-full text-left border-collapse">
@@ -80,12 +125,9 @@ const DataCanvas = ({ data, entity, onClose }) => {
                   {columns.map((col) => (
                     <td key={col} className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
                       {(() => {
-                        const val = row[col];
+                        // Money fields and dates (including Firestore Timestamps) follow the user's preferences
+                        const val = formatFieldValue(col, row[col], preferences, locale);
                         if (val && typeof val === 'object') {
-                          // Handle Firestore Timestamp
-                          if (val._seconds !== undefined) {
-                            return new Date(val._seconds * 1000).toLocaleString();
-                          }
                           return JSON.stringify(val);
                         }
                         return val;
@@ -99,7 +141,17 @@ const DataCanvas = ({ data, entity, onClose }) => {
         </div>
 
         {/* Footer */}
-        <div className="px-8 py-4 bg-gray-50/50 border-t border-gray-200/50 flex justify-end">
+        <div className="px-8 py-4 bg-gray-50/50 border-t border-gray-200/50 flex items-center justify-end space-x-3">
+          {loadError && <span className="text-sm text-red-500 mr-auto">{loadError}</span>}
+          {hasMore && (
+            <button
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="px-6 py-2 bg-white hover:bg-gray-50 border border-gray-200 text-gray-700 text-sm font-medium rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loadingMore ? 'Loading...' : 'Load more'}
+            </button>
+          )}
           <button
             onClick={onClose}
             className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-xl shadow-lg shadow-blue-500/30 transition-all"
@@ -123,6 +175,259 @@ const DataCanvas = ({ data, entity, onClose }) => {
   );
 };
 
+// Icons for weather.conditions.* codes in the weather payload
+const CONDITION_ICONS = {
+  clearSkies: '☀️',
+  partlyCloudy: '⛅',
+  cloudy: '☁️',
+  overcast: '☁️',
+  fog: '🌫️',
+  drizzle: '🌦️',
+  lightRain: '🌦️',
+  rain: '🌧️',
+  heavyRain: '🌧️',
+  snow: '❄️',
+  thunderstorm: '⛈️',
+};
+
+// Weather Card Component - current conditions from the weather tool's structured payload
+// The payload comes in the user's unit system; the toggle shows the other one
+const WeatherCard = ({ weather }) => {
+  const payloadUnits = weather.units?.temperature === 'fahrenheit' ? 'imperial' : 'metric';
+  const [units, setUnits] = useState(payloadUnits);
+
+  // Back to metric, which the shared formatters convert from
+  const toCelsius = (value) => (payloadUnits === 'imperial' ? ((value - 32) * 5) / 9 : value);
+  const toKph = (value) => (payloadUnits === 'imperial' ? value * 1.609344 : value);
+
+  const temperature = (value) => (value === null || value === undefined ? '–' : formatTemperature(toCelsius(value), units));
+  const wind = weather.windSpeed === null
+    ? '–'
+    : `${convertWindSpeed(toKph(weather.windSpeed), units)} ${units === 'imperial' ? 'mph' : 'km/h'}`;
+  // Payload times are "YYYY-MM-DD HH:mm" in the location's local time
+  const clock = (stamp) => (stamp ? stamp.slice(11) : '–');
+
+  return (
+    <div className="mt-4 w-full max-w-sm rounded-2xl bg-gradient-to-br from-sky-50 to-blue-100/70 border border-blue-200/60 p-5 text-gray-800">
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="text-sm font-semibold text-gray-700">{weather.location}</p>
+          <p className="text-xs text-gray-500 capitalize">{weather.description || weather.condition || ''}</p>
+        </div>
+        <button
+          onClick={() => setUnits(prev => (prev === 'imperial' ? 'metric' : 'imperial'))}
+          className="px-2.5 py-1 rounded-full bg-white/80 text-xs font-medium text-blue-700 hover:bg-white transition-colors"
+          title="Switch units"
+        >
+          °C / °F
+        </button>
+      </div>
+
+      <div className="flex items-center space-x-4 mt-3">
+        <span className="text-5xl leading-none" aria-hidden="true">{CONDITION_ICONS[weather.condition] || '🌡️'}</span>
+        <div>
+          <p className="text-4xl font-semibold tracking-tight">{temperature(weather.temperature)}</p>
+          <p className="text-xs text-gray-500">Feels like {temperature(weather.feelsLike)}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-4 gap-y-2 mt-4 text-sm">
+        <div><span className="text-gray-500">Humidity</span> <span className="font-medium">{weather.humidity ?? '–'}%</span></div>
+        <div><span className="text-gray-500">Wind</span> <span className="font-medium">{wind}</span></div>
+        <div><span className="text-gray-500">Sunrise</span> <span className="font-medium">{clock(weather.sunrise)}</span></div>
+        <div><span className="text-gray-500">Sunset</span> <span className="font-medium">{clock(weather.sunset)}</span></div>
+      </div>
+
+      {(weather.simulated || weather.stale) && (
+        <p className="mt-3 text-xs font-medium text-amber-600">
+          {weather.simulated ? 'Simulated data, not a live report.' : `Last available report (${weather.observedAt} local time).`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Column headers for weather comparison rows (other fields keep their name)
+const COMPARISON_HEADERS = {
+  rank: '#',
+  location: 'Location',
+  temperatureC: 'Temp (°C)',
+  temperatureF: 'Temp (°F)',
+  feelsLikeC: 'Feels like (°C)',
+  feelsLikeF: 'Feels like (°F)',
+  humidity: 'Humidity (%)',
+  windKph: 'Wind (km/h)',
+  windMph: 'Wind (mph)',
+  conditions: 'Conditions',
+  airQualityIndex: 'AQI (1-5)',
+  airQuality: 'Air quality',
+  pm2_5: 'PM2.5 (µg/m³)',
+  pm10: 'PM10 (µg/m³)',
+};
+
+// Comparison Table Component - ranked rows from the weather tool's compare action, leader highlighted
+const ComparisonTable = ({ rows }) => {
+  const columns = Object.keys(rows[0]);
+
+  return (
+    <div className="mt-4 overflow-x-auto rounded-2xl border border-blue-200/60">
+      <table className="min-w-full text-sm text-gray-800">
+        <thead className="bg-sky-50 text-xs text-gray-500">
+          <tr>
+            {columns.map(column => (
+              <th key={column} className="px-3 py-2 text-left font-semibold whitespace-nowrap">{COMPARISON_HEADERS[column] || column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.location} className={row.rank === 1 ? 'bg-blue-50/70 font-medium' : 'border-t border-gray-100'}>
+              {columns.map(column => (
+                <td key={column} className="px-3 py-2 whitespace-nowrap capitalize">{row[column] ?? '–'}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Colors for air quality categories (index 1-5) and alert severities
+const AIR_QUALITY_STYLES = {
+  good: 'bg-green-100 text-green-800',
+  fair: 'bg-lime-100 text-lime-800',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  poor: 'bg-orange-100 text-orange-800',
+  veryPoor: 'bg-red-100 text-red-800',
+};
+const SEVERITY_STYLES = {
+  extreme: 'border-red-300 bg-red-50',
+  severe: 'border-orange-300 bg-orange-50',
+  moderate: 'border-yellow-300 bg-yellow-50',
+  minor: 'border-gray-200 bg-gray-50',
+};
+
+// Alerts Card Component - active weather alerts and air quality from the weather tool's alerts action
+const AlertsCard = ({ report }) => (
+  <div className="mt-4 w-full max-w-md rounded-2xl border border-blue-200/60 bg-white p-5 text-gray-800">
+    <div className="flex items-center justify-between">
+      <p className="text-sm font-semibold text-gray-700">{report.location}</p>
+      {report.airQuality && (
+        <span className={`px-2.5 py-1 rounded-full text-xs font-medium capitalize ${AIR_QUALITY_STYLES[report.airQuality.category] || ''}`}>
+          Air quality: {report.airQuality.label} ({report.airQuality.index}/5)
+        </span>
+      )}
+    </div>
+
+    {report.alerts === null && <p className="mt-3 text-xs text-gray-500">Alerts are not available from this weather provider.</p>}
+    {report.alerts?.length === 0 && <p className="mt-3 text-sm text-gray-600">No active weather alerts.</p>}
+    {report.alerts?.map((alert, idx) => (
+      <div key={idx} className={`mt-3 rounded-xl border p-3 ${SEVERITY_STYLES[alert.severity] || SEVERITY_STYLES.minor}`}>
+        <p className="text-sm font-semibold">
+          {alert.event}
+          {alert.severity && <span className="ml-2 text-xs font-medium uppercase text-gray-500">{alert.severity}</span>}
+        </p>
+        {/* Alert times are "YYYY-MM-DD HH:mm" in the location's local time */}
+        <p className="text-xs text-gray-500">{alert.start} – {alert.end}{alert.sender ? ` · ${alert.sender}` : ''}</p>
+        {alert.description && <p className="mt-1 text-sm">{alert.description}</p>}
+      </div>
+    ))}
+
+    {(report.simulated || report.stale) && (
+      <p className="mt-3 text-xs font-medium text-amber-600">
+        {report.simulated ? 'Simulated data, not a live report.' : 'Last available report.'}
+      </p>
+    )}
+  </div>
+);
+
+const UNIT_LABELS = { metric: 'Metric (°C, km/h, mm)', imperial: 'Imperial (°F, mph, in)' };
+const DATE_FORMAT_LABELS = { short: 'Short', medium: 'Medium', long: 'Long', iso: 'ISO (YYYY-MM-DD HH:mm)' };
+// Suggestions only: any ISO 4217 code or IANA timezone is accepted
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'JPY', 'CAD', 'AUD', 'MXN'];
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+
+// Preferences Panel Component - edits the units, currency, timezone and date format saved for the user
+const PreferencesPanel = ({ preferences, onSave, onClose }) => {
+  const [draft, setDraft] = useState(preferences);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (field) => (e) => setDraft(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave({ ...draft, currency: draft.currency.trim().toUpperCase(), timezone: draft.timezone.trim() });
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save your preferences.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fieldClass = 'mt-1 w-full px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm text-gray-900 focus:ring-2 focus:ring-blue-500';
+  // Money and dates are shown with the saved currency and format as a preview
+  const example = (field, value) => formatFieldValue(field, value, preferences);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/20 backdrop-blur-sm">
+      <div className="w-full max-w-md bg-white/95 backdrop-blur-xl rounded-3xl shadow-2xl border border-white/50 p-8">
+        <h3 className="text-lg font-bold text-gray-800">Preferences</h3>
+        <p className="text-sm text-gray-500">Used for weather answers, database values and this page.</p>
+
+        <div className="mt-6 space-y-4">
+          <label className="block text-sm font-medium text-gray-700">
+            Units
+            <select value={draft.units} onChange={update('units')} className={fieldClass}>
+              {UNIT_SYSTEMS.map(units => <option key={units} value={units}>{UNIT_LABELS[units]}</option>)}
+            </select>
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Currency
+            <input value={draft.currency} onChange={update('currency')} list="preference-currencies" maxLength={3} className={fieldClass} />
+            <datalist id="preference-currencies">
+              {COMMON_CURRENCIES.map(code => <option key={code} value={code} />)}
+            </datalist>
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Timezone
+            <input value={draft.timezone} onChange={update('timezone')} list="preference-timezones" className={fieldClass} />
+            <datalist id="preference-timezones">
+              {TIMEZONES.map(zone => <option key={zone} value={zone} />)}
+            </datalist>
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Date format
+            <select value={draft.dateFormat} onChange={update('dateFormat')} className={fieldClass}>
+              {DATE_FORMATS.map(format => <option key={format} value={format}>{DATE_FORMAT_LABELS[format]}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <p className="mt-4 text-xs text-gray-500">
+          Currently: {example('amount', 1234.5)} · {example('createdAt', new Date())}
+        </p>
+        {error && <p className="mt-2 text-sm font-medium text-red-600">{error}</p>}
+
+        <div className="mt-6 flex justify-end space-x-3">
+          <button onClick={onClose} className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white text-sm font-medium rounded-lg shadow-lg shadow-blue-500/30 transition-all"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const TypewriterText = ({ text, onComplete }) => {
   const [displayedText, setDisplayedText] = useState('');
   const [currentIndex, setCurrentIndex] = useState(0);
@@ -142,6 +447,33 @@ const TypewriterText = ({ text, onComplete }) => {
   return <span className="whitespace-pre-wrap leading-relaxed">{displayedText}</span>;
 };
 
+/**
+ * Turn a query stream progress event into a status line
+ * @param {string} event - Event name from /api/query/stream
+ * @param {Object} payload - Event data
+ * @returns {string|null} - Status text, or null to keep the current one
+ */
+const describeProgress = (event, payload) => {
+  switch (event) {
+    case 'routing_started':
+      return 'Understanding your request...';
+    case 'routing':
+      if (payload.insufficientInfo) return 'Working out what else I need...';
+      return `Planned: ${payload.steps.map(step => `${step.tool} ${step.action}${step.entity ? ` (${step.entity})` : ''}`).join(', then ')}`;
+    case 'step_started':
+      return `Step ${payload.step}: running ${payload.tool} ${payload.action}${payload.entity ? ` on ${payload.entity}` : ''}...`;
+    case 'step_completed':
+      if (payload.error) return `Step ${payload.step} failed.`;
+      return payload.rows !== null
+        ? `Step ${payload.step}: fetched ${payload.rows} row${payload.rows === 1 ? '' : 's'}.`
+        : `Step ${payload.step} done.`;
+    case 'answering':
+      return payload.synthesis ? 'Writing the answer...' : 'Preparing the answer...';
+    default:
+      return null;
+  }
+};
+
 const AIChatWindow = () => {
   const { user, logout, email: userEmail } = useAuth();
   const [messages, setMessages] = useState([
@@ -156,11 +488,16 @@ const AIChatWindow = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [remainingRequests, setRemainingRequests] = useState(null);
   const [typingMessageId, setTypingMessageId] = useState(null);
+  const [conversationId, setConversationId] = useState(null);
+  const [progress, setProgress] = useState(null);
 
   // Data Canvas State
   const [showCanvas, setShowCanvas] = useState(false);
-  const [canvasData, setCanvasData] = useState(null);
-  const [canvasEntity, setCanvasEntity] = useState('');
+  const [canvasDatasets, setCanvasDatasets] = useState(null);
+
+  // Display preferences (defaults until the saved ones load)
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [showPreferences, setShowPreferences] = useState(false);
 
   const chatEndRef = useRef(null);
   const chatContainerRef = useRef(null);
@@ -182,6 +519,17 @@ const AIChatWindow = () => {
     scrollToBottom();
   }, [messages, typingMessageId]);
 
+  useEffect(() => {
+    if (!user) return;
+    getPreferences()
+      .then(setPreferences)
+      .catch(error => console.error('Error loading preferences:', error));
+  }, [user]);
+
+  const handleSavePreferences = async (changes) => {
+    setPreferences(await updatePreferences(changes));
+  };
+
   const handleSendMessage = useCallback(async () => {
     if (!inputValue.trim() || isLoading) return;
 
@@ -195,40 +543,106 @@ const AIChatWindow = () => {
     setMessages(prev => [...prev, userMessage]);
     setInputValue('');
     setIsLoading(true);
+    setProgress('Thinking...');
+
+    const aiMessageId = Date.now() + 1;
+    let started = false;
+
+    // Progress events update the status bubble; answer tokens stream into the AI message
+    const handleEvent = (event, payload) => {
+      if (event === 'token') {
+        if (!started) {
+          started = true;
+          setProgress(null);
+          setMessages(prev => [...prev, { id: aiMessageId, sender: 'ai', content: '', streaming: true }]);
+          setTypingMessageId(aiMessageId);
+        }
+        setMessages(prev => prev.map(m => (m.id === aiMessageId ? { ...m, content: m.content + payload.text } : m)));
+        return;
+      }
+      const text = describeProgress(event, payload);
+      if (text && !started) setProgress(text);
+    };
 
     try {
-      const response = await apiClient.post('/query', {
-        query: userQuery
-      });
-
-      const { response: aiResponse, remaining, data, entity } = response.data;
-      setRemainingRequests(remaining);
+      const result = await streamQuery({
+        query: userQuery,
+        ...(conversationId && { conversationId })
+      }, handleEvent);
+
+      const { response: aiResponse, error: aiError, remaining, data, entity, steps, degraded, blocked, locale, conversationId: nextConversationId } = result;
+      if (remaining !== undefined) setRemainingRequests(remaining);
+      if (nextConversationId) setConversationId(nextConversationId);
+
+      // Multi-step answers carry per-step data; single-step answers carry data/entity
+      const results = steps || [{ entity, data }];
+      const datasets = results
+        .filter(result => Array.isArray(result.data) && result.data.length > 0 && result.entity !== 'weatherComparison')
+        .map(result => ({ entity: result.entity || 'Records', data: result.data, locale, nextCursor: result.nextCursor || null, hasMore: result.hasMore === true }));
+      // Current weather comes as a structured object and is shown as a card in the message
+      const weatherCards = results.filter(result => result.entity === 'weather' && result.data).map(result => result.data);
+      // So do weather comparisons (as a ranked table) and alerts
+      const comparisons = results.filter(result => result.entity === 'weatherComparison' && result.data?.length).map(result => result.data);
+      const alertReports = results.filter(result => result.entity === 'weatherAlerts' && result.data).map(result => result.data);
 
       // Check if we gained new data to visualize
-      if (data && data.length > 0) {
-        setCanvasData(data);
-        setCanvasEntity(entity || 'Records');
+      if (datasets.length > 0) {
+        setCanvasDatasets(datasets);
         setShowCanvas(true); // Auto-open canvas
       }
 
       const aiMessage = {
-        id: Date.now() + 1,
+        id: aiMessageId,
         sender: 'ai',
-        content: aiResponse,
-        remainingRequests: remaining
+        content: aiResponse || aiError || 'Something went wrong.',
+        remainingRequests: remaining,
+        degraded: degraded === true,
+        blocked: blocked === true,
+        weather: weatherCards,
+        comparisons,
+        alerts: alertReports
       };
 
-      setMessages(prev => [...prev, aiMessage]);
-      setTypingMessageId(aiMessage.id);
+      // The streamed text is replaced by the final answer (identical unless no tokens arrived)
+      setMessages(prev => (prev.some(m => m.id === aiMessageId)
+        ? prev.map(m => (m.id === aiMessageId ? aiMessage : m))
+        : [...prev, aiMessage]));
+      if (!started) setTypingMessageId(aiMessageId);
 
     } catch (error) {
       // ... existing error handling
       console.error(error);
-      setMessages(prev => [...prev, { id: Date.now() + 1, sender: 'ai', content: 'Something went wrong.' }]);
+      setMessages(prev => [...prev.filter(m => m.id !== aiMessageId), { id: aiMessageId, sender: 'ai', content: 'Something went wrong.' }]);
     } finally {
       setIsLoading(false);
+      setProgress(null);
     }
-  }, [inputValue, isLoading, remainingRequests]);
+  }, [inputValue, isLoading, remainingRequests, conversationId]);
+
+  // Next page of a canvas dataset: appended to the table, without a chat message
+  const handleLoadMore = async (index) => {
+    const result = await streamQuery({
+      query: 'Show more',
+      cursor: canvasDatasets[index].nextCursor,
+      ...(conversationId && { conversationId })
+    });
+    if (result.remaining !== undefined) setRemainingRequests(result.remaining);
+    if (!Array.isArray(result.data)) {
+      throw new Error(result.response || result.error || 'Could not load more records.');
+    }
+
+    setCanvasDatasets(prev => prev.map((dataset, idx) => (idx === index
+      ? { ...dataset, data: [...dataset.data, ...result.data], nextCursor: result.nextCursor || null, hasMore: result.hasMore === true }
+      : dataset)));
+  };
+
+  // Start a fresh conversation: follow-ups no longer refer to earlier turns
+  const handleNewConversation = () => {
+    setConversationId(null);
+    setCanvasDatasets(null);
+    setShowCanvas(false);
+    setMessages(prev => prev.slice(0, 1));
+  };
 
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -265,7 +679,7 @@ const AIChatWindow = () => {
 
             {/* View Data Button (Only appears if data is loaded) */}
             <div className="flex items-center space-x-4">
-              {canvasData && (
+              {canvasDatasets && (
                 <button
                   onClick={() => setShowCanvas(true)}
                   className="flex items-center px-4 py-2 bg-blue-100 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-200 transition-colors"
@@ -274,6 +688,8 @@ const AIChatWindow = () => {
                   View Data
                 </button>
               )}
+              <button onClick={() => setShowPreferences(true)} className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">Preferences</button>
+              <button onClick={handleNewConversation} className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">New Chat</button>
               <button onClick={handleLogout} className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50">Sign Out</button>
             </div>
           </div>
@@ -286,16 +702,31 @@ const AIChatWindow = () => {
               <div key={message.id} className={`flex ${message.sender === 'user' ? 'justify-end' : 'justify-start'} animate-message-in`}>
                 <div className={`max-w-3xl group ${message.sender === 'user' ? 'bg-gradient-to-br from-blue-600 to-blue-700 text-white rounded-3xl rounded-br-md shadow-lg p-5' : 'bg-white/95 backdrop-blur-xl text-gray-800 rounded-3xl rounded-bl-md shadow-lg border border-gray-200/50 px-7 py-5'}`}>
                   {message.sender === 'ai' && typingMessageId === message.id ? (
-                    <TypewriterText text={message.content} onComplete={() => setTypingMessageId(null)} />
+                    <TypewriterText text={message.content} onComplete={message.streaming ? undefined : () => setTypingMessageId(null)} />
                   ) : (
                     <span className="whitespace-pre-wrap leading-relaxed text-[15px]">{message.content}</span>
                   )}
+                  {message.weather?.map((weather, idx) => (
+                    <WeatherCard key={idx} weather={weather} />
+                  ))}
+                  {message.comparisons?.map((rows, idx) => (
+                    <ComparisonTable key={idx} rows={rows} />
+                  ))}
+                  {message.alerts?.map((report, idx) => (
+                    <AlertsCard key={idx} report={report} />
+                  ))}
+                  {message.degraded && (
+                    <p className="mt-2 text-xs font-medium text-amber-600">Limited mode: the AI service is unavailable, so this was answered with basic keyword matching.</p>
+                  )}
+                  {message.blocked && (
+                    <p className="mt-2 text-xs font-medium text-red-600">Blocked by safety checks: nothing was changed.</p>
+                  )}
                 </div>
               </div>
             ))}
-            {isLoading && (
+            {isLoading && progress && (
               <div className="flex justify-start animate-message-in">
-                <div className="bg-white/95 px-7 py-5 rounded-3xl rounded-bl-md shadow-lg border border-gray-200/50 text-gray-800 font-medium">Thinking...</div>
+                <div className="bg-white/95 px-7 py-5 rounded-3xl rounded-bl-md shadow-lg border border-gray-200/50 text-gray-800 font-medium">{progress}</div>
               </div>
             )}
             <div ref={chatEndRef} />
@@ -327,9 +758,19 @@ const AIChatWindow = () => {
       {/* Data Canvas Overlay */}
       {showCanvas && (
         <DataCanvas
-          data={canvasData}
-          entity={canvasEntity}
+          datasets={canvasDatasets}
+          preferences={preferences}
           onClose={() => setShowCanvas(false)}
+          onLoadMore={handleLoadMore}
+        />
+      )}
+
+      {/* Preferences Overlay */}
+      {showPreferences && (
+        <PreferencesPanel
+          preferences={preferences}
+          onSave={handleSavePreferences}
+          onClose={() => setShowPreferences(false)}
         />
       )}
     </div>
@@ -1,25 +1,143 @@
 // src/controllers/databaseController.js
 // Database Tool Controller - Handles CRUD operations on Firestore
 
+const crypto = require('crypto');
 const { firestoreAdmin, isFirestoreReady } = require('../lib/firebase/firebase');
+const { translate, DEFAULT_LOCALE } = require('../lib/i18n');
+const { normalizeEntity, validateRecord } = require('../lib/entitySchemas');
 
 // Collection name for our database
 const COLLECTION_NAME = 'data_records';
 
-const normalizeEntity = (entity) => {
-  if (!entity) return null;
-  let normalized = entity.toLowerCase().trim();
-  if (normalized.endsWith('y')) {
-    return normalized.slice(0, -1) + 'ies'; 
-  }
-  if (!normalized.endsWith('s')) {
-    normalized += 's';
+// How many candidates to show when an update/delete filter matches more than one record
+const MAX_AMBIGUOUS_MATCHES = 5;
+
+// Default page size for read operations
+const DISPLAY_LIMIT = 50;
+
+// Key that signs listing cursors. Without CURSOR_SECRET each server process signs with its own random key
+// (shared across route bundles, see llm/keyHealth.js), so cursors stop working after a restart and on other instances.
+const cursorKey = globalThis.__cursorKey || (globalThis.__cursorKey = crypto.randomBytes(32));
+
+/**
+ * Sign a cursor payload
+ * @param {string} payload - base64url-encoded position
+ * @returns {string} - base64url HMAC-SHA256 of the payload
+ */
+const signCursor = (payload) => crypto.createHmac('sha256', process.env.CURSOR_SECRET || cursorKey).update(payload).digest('base64url');
+
+/**
+ * Check that a decoded cursor describes a listing this controller could have produced
+ * @param {Object} position - Decoded cursor
+ * @returns {boolean}
+ */
+const isValidPosition = (position) => {
+  const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isFieldValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+  return isPlainObject(position)
+    && typeof position.after === 'string' && position.after.length > 0
+    && (position.entity === null || (typeof position.entity === 'string' && position.entity.length > 0))
+    // Plain field values only (lists of them for values taken from an earlier step): never references or nested queries
+    && isPlainObject(position.filters)
+    && Object.values(position.filters).every(value => isFieldValue(value) || (Array.isArray(value) && value.every(isFieldValue)))
+    && (position.sort === null || (isPlainObject(position.sort) && typeof position.sort.field === 'string'
+      && ['asc', 'desc'].includes(position.sort.direction)))
+    && Number.isInteger(position.limit) && position.limit >= 1 && position.limit <= DISPLAY_LIMIT;
+};
+
+/**
+ * Encode where a listing stopped; the cursor carries the listing's entity, filters, sort and page size,
+ * so the next page needs nothing else. It is signed, so a client cannot turn it into a different query.
+ * @param {Object} position - { entity, filters, sort, limit, after: ID of the last record shown }
+ * @returns {string} - Opaque URL-safe cursor ("<payload>.<signature>")
+ */
+const encodeCursor = ({ entity, filters, sort, limit, after }) => {
+  const payload = Buffer.from(JSON.stringify({ entity: entity || null, filters, sort, limit, after })).toString('base64url');
+  return `${payload}.${signCursor(payload)}`;
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} - { entity, filters, sort, limit, after }, or null when the cursor is malformed,
+ *   was not signed with this server's key, or was edited
+ */
+const decodeCursor = (cursor) => {
+  const [payload, signature, ...rest] = String(cursor).split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(signCursor(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const position = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return isValidPosition(position) ? position : null;
+  } catch (error) {
+    return null;
   }
-  return normalized;
 };
 
+/**
+ * Explain a query that needs a Firestore composite index, with the console link Firestore includes to create it
+ * @param {Error} error - Firestore error
+ * @param {string[]} [fields] - Indexed fields in query order, e.g. ["entity (ascending)", "salary (descending)"]
+ * @returns {Error|null} - Error to throw, or null when the error is not about a missing index
+ */
+const missingIndexError = (error, fields = []) => {
+  // FAILED_PRECONDITION: gRPC code 9 from the Admin SDK, "failed-precondition" from the client SDK
+  if ((error.code !== 9 && error.code !== 'failed-precondition') || !/index/i.test(error.message || '')) return null;
+
+  const link = error.message.match(/https:\/\/console\.firebase\.google\.com\/\S+/)?.[0];
+  const over = fields.length > 0 ? ` over ${fields.join(', ')}` : '';
+  return new Error(`Query requires a composite index on "${COLLECTION_NAME}"${over}. ${link
+    ? `Create it here: ${link}`
+    : 'Create it in the Firebase console under Firestore > Indexes.'}`);
+};
+
+/**
+ * Build the response for a filter that matched several records, instead of picking one arbitrarily
+ * @param {FirebaseFirestore.QuerySnapshot} snapshot - Matching documents
+ * @param {string} entity - Entity name
+ * @param {string} verb - "update" or "delete"
+ * @param {string} locale - Language of the message
+ * @returns {Object} - { message, data }
+ */
+const ambiguousMatchResponse = (snapshot, entity, verb, locale) => {
+  const candidates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const more = snapshot.size > MAX_AMBIGUOUS_MATCHES ? translate(locale, 'db.orMore') : '';
+  return {
+    message: translate(locale, verb === 'delete' ? 'db.ambiguousDelete' : 'db.ambiguousUpdate', {
+      count: Math.min(snapshot.size, MAX_AMBIGUOUS_MATCHES),
+      more,
+      entity: entity || translate(locale, 'db.records'),
+    }),
+    data: candidates.slice(0, MAX_AMBIGUOUS_MATCHES),
+  };
+};
 
-const addRecord = async (entity, data) => {
+/**
+ * Build the response for fields that do not fit the entity's schema: nothing is written, and the query
+ * is answered like an insufficientInfo plan with what to correct
+ * @param {string} entity - Entity name
+ * @param {Object[]} errors - [{ field, message }] from validateRecord
+ * @param {string} locale - Language of the message
+ * @returns {Object} - { message, data: null, insufficientInfo: { missingInfo, fieldErrors } }
+ */
+const invalidDataResponse = (entity, errors, locale) => ({
+  message: translate(locale, 'db.invalidData', {
+    entity: entity || translate(locale, 'db.record'),
+    errors: errors.map(error => `• ${error.message}`).join('\n'),
+  }),
+  data: null,
+  insufficientInfo: {
+    missingInfo: translate(locale, 'db.invalidDataMissingInfo', { fields: Array.from(new Set(errors.map(error => error.field))).join(', ') }),
+    fieldErrors: errors,
+  },
+});
+
+
+const addRecord = async (entity, data, { locale = DEFAULT_LOCALE } = {}) => {
   try {
     if (!isFirestoreReady()) {
       throw new Error('Firestore is not properly initialized.');
@@ -31,17 +149,23 @@ const addRecord = async (entity, data) => {
       throw new Error(`To add a new ${entityName}, I need more details.`);
     }
 
+    // Typed, defaulted fields; a wrong type or an unknown field stops the write
+    const { data: record, errors } = await validateRecord(normalizedEntity, data, { locale });
+    if (errors.length > 0) {
+      return invalidDataResponse(entity, errors, locale);
+    }
+
     const docRef = await firestoreAdmin.collection(COLLECTION_NAME).add({
       entity: normalizedEntity,
-      ...data,
+      ...record,
       createdAt: new Date(),
       updatedAt: new Date(),
     });
 
-    const entityName = entity || 'record';
+    const entityName = entity || translate(locale, 'db.record');
     return {
-      message: `Successfully added a new ${entityName} to the database.`,
-      data: [{ id: docRef.id, ...data, entity: normalizedEntity }]
+      message: translate(locale, 'db.added', { entity: entityName }),
+      data: [{ id: docRef.id, ...record, entity: normalizedEntity }]
     };
   } catch (error) {
     console.error('Error adding record:', error);
@@ -52,12 +176,12 @@ const addRecord = async (entity, data) => {
   }
 };
 
-const modifyRecord = async (entity, filters, updateData) => {
+const modifyRecord = async (entity, filters, updateData, { locale = DEFAULT_LOCALE } = {}) => {
   try {
     if (!isFirestoreReady()) throw new Error('Firestore is not properly initialized.');
 
     if (!updateData || Object.keys(updateData).length === 0) {
-      return { message: 'No update data provided.', data: null };
+      return { message: translate(locale, 'db.noUpdateData'), data: null };
     }
 
     // Check for ID-based modification first
@@ -69,17 +193,23 @@ const modifyRecord = async (entity, filters, updateData) => {
       const doc = await docRef.get();
 
       if (!doc.exists) {
-        return { message: `No record found with ID "${docId}".`, data: null };
+        return { message: translate(locale, 'db.idNotFound', { id: docId }), data: null };
+      }
+
+      // The record's own entity decides the schema ("update record abc123" names none)
+      const { data: changes, errors } = await validateRecord(doc.data().entity, updateData, { partial: true, locale });
+      if (errors.length > 0) {
+        return invalidDataResponse(doc.data().entity, errors, locale);
       }
 
       await docRef.update({
-        ...updateData,
+        ...changes,
         updatedAt: new Date(),
       });
 
       return {
-        message: `Successfully updated record with ID "${docId}".`,
-        data: [{ id: docId, ...doc.data(), ...updateData }]
+        message: translate(locale, 'db.updatedById', { id: docId }),
+        data: [{ id: docId, ...doc.data(), ...changes }]
       };
     }
 
@@ -94,42 +224,64 @@ const modifyRecord = async (entity, filters, updateData) => {
       query = query.where('entity', '==', normalized);
     }
 
-    const filterKeys = filters ? Object.keys(filters).filter(key => key !== 'entity') : [];
-    if (filterKeys.length > 0) {
-      const firstKey = filterKeys[0];
-      query = query.where(firstKey, '==', filters[firstKey]);
+    // Checked before looking for the record, so a bad value never reaches the matching step
+    let changes = updateData;
+    if (entity && !isGeneric) {
+      const validation = await validateRecord(normalized, updateData, { partial: true, locale });
+      if (validation.errors.length > 0) {
+        return invalidDataResponse(entity, validation.errors, locale);
+      }
+      changes = validation.data;
     }
 
-    const snapshot = await query.limit(1).get();
+    // Apply every filter so a partial match never picks the wrong record
+    const filterKeys = filters ? Object.keys(filters).filter(key => key !== 'entity') : [];
+    filterKeys.forEach(key => {
+      query = query.where(key, '==', filters[key]);
+    });
+
+    const snapshot = await query.limit(MAX_AMBIGUOUS_MATCHES + 1).get();
 
     if (snapshot.empty) {
-      return { message: `No ${entity || 'records'} found matching criteria.`, data: null };
+      return { message: translate(locale, 'db.noneMatching', { entity: entity || translate(locale, 'db.records') }), data: null };
+    }
+
+    if (snapshot.size > 1) {
+      return ambiguousMatchResponse(snapshot, entity, 'update', locale);
     }
 
     const doc = snapshot.docs[0];
+    // Without an entity in the query, the matched record's entity decides the schema
+    if (!entity || isGeneric) {
+      const validation = await validateRecord(doc.data().entity, updateData, { partial: true, locale });
+      if (validation.errors.length > 0) {
+        return invalidDataResponse(doc.data().entity, validation.errors, locale);
+      }
+      changes = validation.data;
+    }
+
     await doc.ref.update({
-      ...updateData,
+      ...changes,
       updatedAt: new Date(),
     });
 
     return {
-      message: `Successfully updated the ${entity || 'record'}.`,
-      data: [{ id: doc.id, ...doc.data(), ...updateData }]
+      message: translate(locale, 'db.updated', { entity: entity || translate(locale, 'db.record') }),
+      data: [{ id: doc.id, ...doc.data(), ...changes }]
     };
   } catch (error) {
     console.error('Error modifying record:', error);
     if (error.code === 16 || error.message?.includes('UNAUTHENTICATED')) {
       throw new Error('Firebase authentication failed.');
     }
-    if (error.code === 'failed-precondition') {
-      throw new Error('Query requires a composite index.');
-    }
+    const indexError = missingIndexError(error);
+    if (indexError) throw indexError;
     throw new Error(`Failed to modify record: ${error.message}`);
   }
 };
 
 
-const deleteRecord = async (entity, filters) => {
+const deleteRecord = async (entity, filters, { locale = DEFAULT_LOCALE } = {}) => {
   try {
     if (!isFirestoreReady()) throw new Error('Firestore is not properly initialized.');
 
@@ -144,11 +296,11 @@ const deleteRecord = async (entity, filters) => {
       const doc = await docRef.get();
 
       if (!doc.exists) {
-        return { message: `No record found with ID "${docId}".`, data: null };
+        return { message: translate(locale, 'db.idNotFound', { id: docId }), data: null };
       }
 
       await docRef.delete();
-      return { message: `Successfully deleted record with ID "${docId}".`, data: null };
+      return { message: translate(locale, 'db.deletedById', { id: docId }), data: null };
     }
 
     let query = firestoreAdmin.collection(COLLECTION_NAME);
@@ -162,38 +314,96 @@ const deleteRecord = async (entity, filters) => {
       query = query.where('entity', '==', normalized);
     }
 
+    // Apply every filter so a partial match never picks the wrong record
     const filterKeys = filters ? Object.keys(filters).filter(key => key !== 'entity') : [];
-    if (filterKeys.length > 0) {
-      const firstKey = filterKeys[0];
-      query = query.where(firstKey, '==', filters[firstKey]);
-    }
+    filterKeys.forEach(key => {
+      query = query.where(key, '==', filters[key]);
+    });
 
-    const snapshot = await query.limit(1).get();
+    const snapshot = await query.limit(MAX_AMBIGUOUS_MATCHES + 1).get();
 
     if (snapshot.empty) {
-      return { message: `No ${entity || 'records'} found matching criteria.`, data: null };
+      return { message: translate(locale, 'db.noneMatching', { entity: entity || translate(locale, 'db.records') }), data: null };
+    }
+
+    if (snapshot.size > 1) {
+      return ambiguousMatchResponse(snapshot, entity, 'delete', locale);
     }
 
     const doc = snapshot.docs[0];
     await doc.ref.delete();
 
-    return { message: `Successfully deleted the ${entity || 'record'}.`, data: null };
+    return { message: translate(locale, 'db.deleted', { entity: entity || translate(locale, 'db.record') }), data: null };
   } catch (error) {
     console.error('Error deleting record:', error);
     if (error.code === 16 || error.message?.includes('UNAUTHENTICATED')) {
       throw new Error('Firebase authentication failed.');
     }
-    if (error.code === 'failed-precondition') {
-      throw new Error('Query requires a composite index.');
-    }
+    const indexError = missingIndexError(error);
+    if (indexError) throw indexError;
     throw new Error(`Failed to delete record: ${error.message}`);
   }
 };
 
-const displayRecords = async (entity, filters, limit = 50) => {
+/**
+ * Apply read and count filters to a query
+ * @param {FirebaseFirestore.Query} query - Query to narrow
+ * @param {Object} filters - Field equality filters; minX/maxX for ranges ("minJoinDate" -> joinDate >= value);
+ *   joinedLastMonth: true for employees who joined in the last month
+ * @param {string[]} [indexFields] - Collects the filtered fields, for the composite index error
+ * @returns {FirebaseFirestore.Query} - Filtered query
+ */
+const applyFilters = (query, filters, indexFields = []) => {
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (key === 'entity') return;
+
+    const range = key.match(/^(min|max)([A-Z]\w*)$/);
+    if (range) {
+      const fieldName = range[2].charAt(0).toLowerCase() + range[2].slice(1);
+      // Dates are stored as timestamps, so "2024-01-31" bounds compare as dates
+      const bound = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))
+        ? new Date(value)
+        : value;
+      query = query.where(fieldName, range[1] === 'min' ? '>=' : '<=', bound);
+      indexFields.push(`${fieldName} (ascending)`);
+    } else if (key === 'joinedLastMonth') {
+      const lastMonth = new Date();
+      lastMonth.setMonth(lastMonth.getMonth() - 1);
+      query = query.where('joinDate', '>=', lastMonth);
+      indexFields.push('joinDate (ascending)');
+    } else {
+      query = query.where(key, '==', value);
+      indexFields.push(`${key} (ascending)`);
+    }
+  });
+  return query;
+};
+
+/**
+ * List records a page at a time
+ * @param {string} entity - Plural entity name (generic names like "records" list everything)
+ * @param {Object} filters - Field equality filters; minX/maxX for ranges
+ * @param {number} [limit] - Page size ("top 5" -> 5; default and maximum: 50)
+ * @param {Object} [options] - { locale, sort: { field, direction: "asc" | "desc" },
+ *   cursor: nextCursor of the previous page, which replaces entity, filters, sort and limit }
+ * @returns {Promise<Object>} - { message, data, entity, page: { nextCursor (null on the last page), hasMore } }
+ */
+const displayRecords = async (entity, filters, limit = DISPLAY_LIMIT, { locale = DEFAULT_LOCALE, cursor = null, sort = null } = {}) => {
+  // Fields the query filters and orders by, for the composite index error
+  const indexFields = [];
   try {
     if (!isFirestoreReady()) throw new Error('Firestore is not properly initialized.');
 
+    // A continued listing keeps the entity, filters, sort and page size it started with
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !position) {
+      return { message: translate(locale, 'db.cursorInvalid'), data: null };
+    }
+    if (position) {
+      ({ entity, filters, sort = null, limit = DISPLAY_LIMIT } = position);
+    }
+    limit = Math.min(Math.max(Math.floor(limit) || DISPLAY_LIMIT, 1), DISPLAY_LIMIT);
+
     console.log(`Firestore operation: displayRecords for entity="${entity}"`);
 
     let query = firestoreAdmin.collection(COLLECTION_NAME);
@@ -205,93 +415,117 @@ const displayRecords = async (entity, filters, limit = 50) => {
 
     if (entity && !isGeneric) {
       query = query.where('entity', '==', normalized);
+      indexFields.push('entity (ascending)');
     }
 
-    if (filters) {
-      Object.keys(filters).forEach((key) => {
-        if (key !== 'entity') {
-          if (key.toLowerCase().includes('min') || key.toLowerCase().includes('max')) {
-            const fieldName = key.replace(/min|max/gi, '').toLowerCase();
-            const value = filters[key];
-            if (key.toLowerCase().includes('min')) query = query.where(fieldName, '>=', value);
-            else query = query.where(fieldName, '<=', value);
-          } else if (key === 'joinedLastMonth') {
-            const lastMonth = new Date();
-            lastMonth.setMonth(lastMonth.getMonth() - 1);
-            query = query.where('joinDate', '>=', lastMonth);
-          } else {
-            query = query.where(key, '==', filters[key]);
-          }
-        }
-      });
+    query = applyFilters(query, filters, indexFields);
+
+    // Sorted listings ("top 5 highest-paid"); Firestore leaves out records without the field
+    const direction = sort?.direction === 'desc' ? 'desc' : 'asc';
+    if (sort?.field) {
+      query = query.orderBy(sort.field, direction);
+      indexFields.push(`${sort.field} (${direction === 'desc' ? 'descending' : 'ascending'})`);
+    }
+
+    // Continue after the last record of the previous page, in Firestore's order for this query
+    if (position) {
+      const last = await firestoreAdmin.collection(COLLECTION_NAME).doc(position.after).get();
+      if (!last.exists) {
+        return { message: translate(locale, 'db.cursorExpired'), data: null };
+      }
+      query = query.startAfter(last);
     }
 
-    const snapshot = await query.limit(limit).get();
-    const records = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    // One extra record tells whether another page exists
+    const snapshot = await query.limit(limit + 1).get();
+    const hasMore = snapshot.size > limit;
+    const records = snapshot.docs.slice(0, limit).map(doc => ({ id: doc.id, ...doc.data() }));
     const count = records.length;
 
     // Create summary
+    const scoped = entity && !isGeneric;
     let message = "";
-    if (count === 0) message = `No records found${entity && !isGeneric ? ` for ${entity}` : ''}.`;
-    else message = `Found ${count} records${entity && !isGeneric ? ` in ${entity}` : ''}.`;
+    if (count === 0) message = translate(locale, scoped ? 'db.noneFoundIn' : 'db.noneFound', { entity });
+    else if (position) message = translate(locale, scoped ? 'db.foundMoreIn' : 'db.foundMore', { count, entity });
+    else message = translate(locale, scoped ? 'db.foundIn' : 'db.found', { count, entity });
+    if (count > 0 && sort?.field) message = `${message} ${translate(locale, `db.sortedBy.${direction}`, { field: sort.field })}`;
+    if (hasMore) message = `${message} ${translate(locale, 'db.moreAvailable')}`;
 
-    return { message, data: records };
+    return {
+      message,
+      data: records,
+      entity,
+      page: {
+        nextCursor: hasMore
+          ? encodeCursor({ entity, filters: filters || {}, sort: sort?.field ? { field: sort.field, direction } : null, limit, after: records[records.length - 1].id })
+          : null,
+        hasMore,
+      },
+    };
 
   } catch (error) {
     console.error('Error displaying records:', error);
     if (error.code === 16 || error.message?.includes('UNAUTHENTICATED')) {
       throw new Error('Firebase authentication failed.');
     }
-    if (error.code === 'failed-precondition') {
-      throw new Error('Query requires a composite index.');
-    }
+    const indexError = missingIndexError(error, indexFields);
+    if (indexError) throw indexError;
     throw new Error(`Failed to display records: ${error.message}`);
   }
 };
 
-const countRecords = async (entity, filters) => {
+const countRecords = async (entity, filters, { locale = DEFAULT_LOCALE } = {}) => {
+  const indexFields = [];
   try {
     if (!isFirestoreReady()) throw new Error('Firestore is not properly initialized.');
 
     let query = firestoreAdmin.collection(COLLECTION_NAME);
-    if (entity) query = query.where('entity', '==', normalizeEntity(entity));
-
-    // ... apply filters (simplified for brevity as logic is same as before)
-    if (filters) {
-      Object.keys(filters).forEach((key) => {
-        if (key !== 'entity') {
-          query = query.where(key, '==', filters[key]);
-        }
-      });
+    if (entity) {
+      query = query.where('entity', '==', normalizeEntity(entity));
+      indexFields.push('entity (ascending)');
     }
 
+    query = applyFilters(query, filters, indexFields);
+
     const snapshot = await query.get();
     const count = snapshot.size;
 
-    return { message: `Count: ${count} ${entity || 'records'}.`, data: [{ count }] };
+    return { message: translate(locale, 'db.count', { count, entity: entity || translate(locale, 'db.records') }), data: [{ count }] };
   } catch (error) {
     console.error('Error counting records:', error);
+    const indexError = missingIndexError(error, indexFields);
+    if (indexError) throw indexError;
     throw new Error(`Failed to count records: ${error.message}`);
   }
 };
 
 
-const handleDatabaseOperation = async (action, entity, parameters) => {
-  const { filters = {}, data = {} } = parameters || {};
+/**
+ * Run a database action
+ * @param {string} action - Canonical action (or a legacy synonym)
+ * @param {string} entity - Plural entity name
+ * @param {Object} parameters - { filters, data, sort, limit, cursor (reads: order, page size, continue a listing) }
+ * @param {Object} [options] - { locale: language of the result message (default: "en") }
+ * @returns {Promise<Object>} - { message, data, insufficientInfo?, page? } (insufficientInfo when written fields do not fit
+ *   the entity's schema; page with { nextCursor, hasMore } for reads)
+ */
+const handleDatabaseOperation = async (action, entity, parameters, options = {}) => {
+  const { filters = {}, data = {}, sort = null, limit = null, cursor = null } = parameters || {};
 
   switch (action.toLowerCase()) {
     case 'add': case 'create':
-      return await addRecord(entity, data);
+      return await addRecord(entity, data, options);
     case 'modify': case 'update': case 'edit':
-      return await modifyRecord(entity, filters, data);
+      return await modifyRecord(entity, filters, data, options);
     case 'delete': case 'remove':
-      return await deleteRecord(entity, filters);
-    case 'display': case 'list': case 'show':
-      return await displayRecords(entity, filters);
+      return await deleteRecord(entity, filters, options);
+    case 'read': case 'display': case 'list': case 'show':
+      return await displayRecords(entity, filters, limit || DISPLAY_LIMIT, { ...options, sort, cursor });
     case 'count':
-      return await countRecords(entity, filters);
+      return await countRecords(entity, filters, options);
     default:
-      return await displayRecords(entity, filters);
+      // Never guess: an unrecognized action must not silently become a read (or a write)
+      throw new Error(`Unsupported database action "${action}".`);
   }
 };
 
@@ -302,5 +536,6 @@ module.exports = {
   deleteRecord,
   displayRecords,
   countRecords,
+  DISPLAY_LIMIT,
 };
 
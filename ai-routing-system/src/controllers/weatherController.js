@@ -1,6 +1,11 @@
 // src/controllers/weatherController.js
-// Weather Tool Controller - Fetches weather data from OpenWeatherMap API
-// - OPENWEATHER_API_KEY: OpenWeatherMap API key (optional, falls back to mock data if not set)
+// Weather Tool Controller - Current conditions and forecasts through the weather provider layer (see lib/weather)
+// - Providers, their order, the offline fixture provider and the result cache are configured there (WEATHER_PROVIDERS, WEATHER_CACHE_*)
+// - Names shared by several places ("Springfield") are answered with a clarification listing the candidates
+// - Forecasts are 3-hour (OpenWeatherMap, fixture) or hourly (Open-Meteo) steps, shown in the city's local time
+// - Providers answer in metric; answers, rows and payloads are converted to the user's unit system (see lib/formatters)
+// - Comparisons fetch every location concurrently through getWeather; alerts and air quality come from providers
+//   that report them (getAlerts)
 if (typeof window === 'undefined') {
   try {
     const path = require('path');
@@ -17,114 +22,640 @@ if (typeof window === 'undefined') {
   }
 }
 
-const axios = require('axios');
+
+const { translate, DEFAULT_LOCALE } = require('../lib/i18n');
+const { getCurrentConditions, getForecastSlots, getAlertsAndAirQuality, formatPlace } = require('../lib/weather');
+const {
+  DEFAULT_PREFERENCES,
+  convertTemperature,
+  convertWindSpeed,
+  convertPrecipitation,
+  getUnitLabels,
+  formatTemperature,
+} = require('../lib/formatters');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FORECAST_HORIZON_DAYS = 5;
+
+// Local hours covered by each part of the day; night runs past midnight
+const PARTS_OF_DAY = {
+  morning: (hour) => hour >= 6 && hour < 12,
+  afternoon: (hour) => hour >= 12 && hour < 18,
+  evening: (hour) => hour >= 18 && hour < 22,
+  night: (hour) => hour >= 22 || hour < 6,
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Chance of rain (%) from which rain is reported as possible / likely
+const RAIN_POSSIBLE = 30;
+const RAIN_LIKELY = 50;
+
+// Locations per comparison, and the values a comparison can rank by
+const COMPARE_MAX_LOCATIONS = 5;
+const COMPARE_METRICS = ['temperature', 'feelsLike', 'humidity', 'windSpeed', 'airQuality'];
+
+// Air quality index 1-5 -> weather.airQuality.categories.* keys
+const AIR_QUALITY_CATEGORIES = ['good', 'fair', 'moderate', 'poor', 'veryPoor'];
+// Most severe first; alerts without a severity come last
+const ALERT_SEVERITIES = ['extreme', 'severe', 'moderate', 'minor'];
+
+/**
+ * Turn a provider failure into an answer: unknown places get a hint, anything else an apology
+ * @param {Error} error - Error from the provider layer
+ * @param {string} location - Location as requested
+ * @param {string} locale - Locale code
+ * @returns {string} - Message
+ */
+const describeFailure = (error, location, locale) => {
+  console.error('Error fetching weather:', error);
+  return error.message?.startsWith('LOCATION_NOT_FOUND')
+    ? translate(locale, 'weather.notFound', { location })
+    : translate(locale, 'weather.unavailable');
+};
+
+/**
+ * Ask which of several places with the same name was meant
+ * @param {string} location - Location as requested
+ * @param {Object[]} options - Candidate places from the provider layer
+ * @param {string} locale - Locale code
+ * @returns {Object} - { message, data: null, clarification: { parameter, missingInfo, options: place labels } }
+ */
+const askForPlace = (location, options, locale) => {
+  const labels = options.map(formatPlace);
+  return {
+    message: translate(locale, 'weather.ambiguous', {
+      location,
+      options: labels.map((label, index) => `${index + 1}. ${label}`).join('\n'),
+    }),
+    data: null,
+    clarification: {
+      parameter: 'location',
+      missingInfo: translate(locale, 'weather.ambiguousMissingInfo'),
+      options: labels,
+    },
+  };
+};
+
+/**
+ * Label simulated data and stale cached reports so neither is mistaken for a live report
+ * @param {string} message - Answer text
+ * @param {Object} weather - { simulated, stale, ageMs } from the provider layer
+ * @param {string} locale - Locale code
+ * @returns {string} - Answer text
+ */
+const labelSource = (message, { simulated, stale, ageMs }, locale) => {
+  if (simulated) return `${message}\n${translate(locale, 'weather.simulated')}`;
+  if (!stale) return message;
+
+  const minutes = Math.max(1, Math.round(ageMs / 60000));
+  const age = minutes < 120
+    ? translate(locale, 'weather.age.minutes', { count: minutes })
+    : translate(locale, 'weather.age.hours', { count: Math.round(minutes / 60) });
+  return `${message}\n${translate(locale, 'weather.stale', { age })}`;
+};
+
+// "YYYY-MM-DD HH:mm" in the location's local time, for weather payloads and forecast rows
+const toLocalStamp = (time, offsetSeconds) => new Date(time + offsetSeconds * 1000).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Structured current conditions for clients (the weather card in the chat UI)
+ * @param {Object} current - Current conditions from the provider layer
+ * @param {string} units - User's unit system ("metric" or "imperial")
+ * @returns {Object} - { location, latitude, longitude, temperature, feelsLike, humidity, windSpeed, condition, description,
+ *   sunrise, sunset, observedAt, utcOffsetSeconds, units, provider, simulated, stale, ageMs }
+ */
+const toWeatherPayload = (current, units) => {
+  const offsetSeconds = current.offsetSeconds || 0;
+  const localTime = (time) => (time ? toLocalStamp(time, offsetSeconds) : null);
+
+  return {
+    location: current.location,
+    latitude: current.place?.latitude ?? null,
+    longitude: current.place?.longitude ?? null,
+    temperature: convertTemperature(current.temp, units),
+    feelsLike: convertTemperature(current.feelsLike, units),
+    humidity: current.humidity ?? null,
+    windSpeed: current.windKph == null ? null : convertWindSpeed(current.windKph, units),
+    // weather.conditions.* key ("partlyCloudy"), null when the provider's code is not mapped
+    condition: current.condition || null,
+    description: current.description || null,
+    // Local times at the location
+    sunrise: localTime(current.sunrise),
+    sunset: localTime(current.sunset),
+    observedAt: localTime(current.observedAt),
+    utcOffsetSeconds: offsetSeconds,
+    units: units === 'imperial'
+      ? { temperature: 'fahrenheit', windSpeed: 'mph' }
+      : { temperature: 'celsius', windSpeed: 'km/h' },
+    provider: current.provider,
+    simulated: Boolean(current.simulated),
+    stale: Boolean(current.stale),
+    // Age of a cached report, null for a live one
+    ageMs: current.ageMs ?? null,
+  };
+};
 
 /**
  * Get weather information for a location
  * @param {string} location - City name or location
- * @returns {Promise<string>} - Human-readable weather description
+ * @param {Object} [options] - { locale: language of the description (default: "en"),
+ *   userEmail: remembers the place the location resolved to for the user's follow-ups, preferences: user's unit system }
+ * @returns {Promise<Object>} - { message: human-readable weather description, data: structured conditions or null, clarification? }
  */
-const getWeather = async (location) => {
+const getWeather = async (location, { locale = DEFAULT_LOCALE, userEmail = null, preferences = DEFAULT_PREFERENCES } = {}) => {
+  if (!location) {
+    return { message: translate(locale, 'weather.locationRequired'), data: null };
+  }
+
+  let current;
   try {
-    if (!location) {
-      throw new Error('Location is required');
-    }
+    current = await getCurrentConditions(location, { locale, userEmail });
+  } catch (error) {
+    return { message: describeFailure(error, location, locale), data: null };
+  }
+  if (current.ambiguous) {
+    return askForPlace(location, current.options, locale);
+  }
 
-    const apiKey = process.env.OPENWEATHER_API_KEY;
-    if (!apiKey) {
-      // Fallback to mock data if API key is not configured
-      console.warn('OPENWEATHER_API_KEY is not configured in environment variables. Using mock data.');
-      return generateMockWeatherResponse(location);
-    }
+  const { units } = preferences;
+  const temperature = formatTemperature(current.temp, units);
+  const feelsLike = formatTemperature(current.feelsLike, units);
 
-    // Helper to fetch from API
-    const fetchWeather = async (query) => {
-      const url = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(query)}&appid=${apiKey}&units=metric`;
-      return await axios.get(url, { timeout: 10000 });
-    };
+  const sentences = [translate(locale, 'weather.current', {
+    location: current.location,
+    temperature,
+    description: current.description || translate(locale, 'weather.unknownConditions'),
+  })];
 
-    let response;
-    try {
-      // First attempt: As provided
-      response = await fetchWeather(location);
-    } catch (error) {
-      // If 404 and location has spaces, retry with commas (e.g., "Gangtok Sikkim" -> "Gangtok,Sikkim")
-      if (error.response?.status === 404 && location.includes(' ')) {
-        console.log(`Weather 404 for "${location}", retrying with commas...`);
-        const commaLocation = location.replace(/\s+/g, ',');
-        try {
-          response = await fetchWeather(commaLocation);
-        } catch (retryError) {
-          // If retry also fails, throw the original error (or the retry error, doesn't matter much as we handle it below)
-          throw error;
-        }
-      } else {
-        throw error;
-      }
-    }
+  if (feelsLike !== temperature) {
+    sentences.push(translate(locale, 'weather.feelsLike', { feelsLike }));
+  }
 
-    if (response.data && response.data.main) {
-      const { temp, feels_like, humidity } = response.data.main;
-      const { description, main } = response.data.weather[0] || {};
-      const { name, country } = response.data;
+  if (current.humidity) {
+    sentences.push(translate(locale, 'weather.humidity', { humidity: current.humidity }));
+  }
 
-      // Convert temperature to readable format
-      const tempC = Math.round(temp);
-      const tempF = Math.round((temp * 9 / 5) + 32);
-      const feelsLikeC = Math.round(feels_like);
+  return { message: labelSource(sentences.join(' '), current, locale), data: toWeatherPayload(current, units) };
+};
 
-      // Generate human-readable response
-      const locationName = name || location;
-      const weatherDescription = description || main || 'unknown conditions';
+/**
+ * Resolve a normalized time expression to a window in the location's local time
+ * @param {string|null} when - "today", "tonight", "tomorrow", "day after tomorrow", "weekend", a weekday name,
+ *   "YYYY-MM-DD" or "next N days"; empty for the whole forecast
+ * @param {number} offsetSeconds - Location's offset from UTC
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} - { start, end } in milliseconds (end exclusive), or null when the expression is not understood
+ */
+const resolveForecastWindow = (when, offsetSeconds, now = Date.now()) => {
+  const offsetMs = offsetSeconds * 1000;
+  const local = new Date(now + offsetMs);
+  const weekday = local.getUTCDay();
+  // Local midnight "days" days from today, as a UTC timestamp
+  const midnight = (days) => Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + days) - offsetMs;
 
-      let responseText = `The weather in ${locationName}${country ? `, ${country}` : ''} is ${tempC}°C (${tempF}°F) with ${weatherDescription}.`;
+  const value = String(when || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/^this /, '');
+  const nextDays = value.match(/^next (\d+) days?$/);
+  const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
 
-      if (feelsLikeC !== tempC) {
-        responseText += ` It feels like ${feelsLikeC}°C.`;
-      }
+  if (!value || nextDays) {
+    const days = nextDays ? Math.min(Number(nextDays[1]), FORECAST_HORIZON_DAYS) : FORECAST_HORIZON_DAYS;
+    return { start: now, end: now + days * DAY_MS };
+  }
+  if (value === 'today' || value === 'now') return { start: now, end: midnight(1) };
+  if (value === 'tonight') return { start: Math.max(now, midnight(0) + 18 * HOUR_MS), end: midnight(1) + 6 * HOUR_MS };
+  if (value === 'tomorrow') return { start: midnight(1), end: midnight(2) };
+  if (value === 'day after tomorrow') return { start: midnight(2), end: midnight(3) };
+  if (value === 'weekend') {
+    // On Sunday "the weekend" is what is left of today
+    const toSaturday = weekday === 0 ? -1 : 6 - weekday;
+    return { start: Math.max(now, midnight(toSaturday)), end: midnight(toSaturday + 2) };
+  }
+  if (WEEKDAYS.includes(value)) {
+    const ahead = (WEEKDAYS.indexOf(value) - weekday + 7) % 7;
+    return { start: Math.max(now, midnight(ahead)), end: midnight(ahead + 1) };
+  }
+  if (date) {
+    const start = Date.UTC(Number(date[1]), Number(date[2]) - 1, Number(date[3])) - offsetMs;
+    return Number.isNaN(start) ? null : { start: Math.max(now, start), end: start + DAY_MS };
+  }
+  return null;
+};
 
-      if (humidity) {
-        responseText += ` The humidity is ${humidity}%.`;
-      }
+/**
+ * Format a timestamp in the location's local time
+ * @param {number} time - Milliseconds since epoch
+ * @param {number} offsetSeconds - Location's offset from UTC
+ * @param {string} locale - Locale code
+ * @param {Object} format - Intl.DateTimeFormat options
+ * @returns {string} - Formatted date or time
+ */
+const formatLocal = (time, offsetSeconds, locale, format) =>
+  new Intl.DateTimeFormat(locale, { ...format, timeZone: 'UTC' }).format(new Date(time + offsetSeconds * 1000));
 
-      return responseText;
-    } else {
-      throw new Error('Invalid response from weather API');
-    }
+const formatDay = (time, offsetSeconds, locale) =>
+  formatLocal(time, offsetSeconds, locale, { weekday: 'short', month: 'short', day: 'numeric' });
+
+/**
+ * Pick the most frequent condition description
+ * @param {Object[]} slots - Forecast slots
+ * @returns {string} - Description
+ */
+const mostCommonDescription = (slots) => {
+  const counts = new Map();
+  slots.forEach(slot => counts.set(slot.description, (counts.get(slot.description) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Summarize precipitation over a set of slots
+ * @param {Object[]} slots - Forecast slots
+ * @returns {Object} - { chance: max % chance, rainMm: total mm, peak: slot with the highest chance, level: "none" | "possible" | "likely" }
+ */
+const summarizeRain = (slots) => {
+  const peak = slots.reduce((best, slot) => (slot.chanceOfRain > best.chanceOfRain ? slot : best), slots[0]);
+  const rainMm = Math.round(slots.reduce((sum, slot) => sum + slot.rainMm, 0) * 10) / 10;
+  const chance = peak.chanceOfRain;
+  const level = chance >= RAIN_LIKELY || rainMm >= 1 ? 'likely' : chance >= RAIN_POSSIBLE ? 'possible' : 'none';
+  return { chance, rainMm, peak, level };
+};
+
+/**
+ * Build the forecast answer and rows from normalized slots
+ * @param {Object} forecast - { location, offsetSeconds, stepHours, slots: [{ time, temp, feelsLike, humidity, description, chanceOfRain, rainMm, windKph }] }
+ * @param {Object} options - { when, partOfDay, granularity, focus, locale, units }
+ * @returns {Object} - { message, data } with rows in the unit system (metric: minC, maxC, temperatureC, feelsLikeC, rainMm, windKph;
+ *   imperial: minF, maxF, temperatureF, feelsLikeF, rainIn, windMph)
+ */
+const buildForecast = ({ location, offsetSeconds, stepHours, slots: rawSlots }, { when, partOfDay, granularity, focus, locale, units }) => {
+  const stepMs = stepHours * HOUR_MS;
+  const slots = rawSlots.map(slot => ({ ...slot, description: slot.description || translate(locale, 'weather.unknownConditions') }));
+
+  const range = resolveForecastWindow(when, offsetSeconds);
+  if (!range) {
+    return { message: translate(locale, 'weather.forecast.unknownWhen', { when }), data: null };
+  }
+
+  const lastSlot = slots[slots.length - 1];
+  if (!lastSlot || range.start >= lastSlot.time + stepMs) {
+    return { message: translate(locale, 'weather.forecast.beyondHorizon', { days: FORECAST_HORIZON_DAYS }), data: null };
+  }
+
+  const inPart = PARTS_OF_DAY[partOfDay];
+  const selected = slots.filter(slot =>
+    slot.time < range.end &&
+    slot.time + stepMs > range.start &&
+    (!inPart || inPart(new Date(slot.time + offsetSeconds * 1000).getUTCHours()))
+  );
+
+  const lastDay = formatDay(range.end - 1, offsetSeconds, locale);
+  const firstDay = formatDay(range.start, offsetSeconds, locale);
+  let period = when
+    ? (firstDay === lastDay ? firstDay : `${firstDay} – ${lastDay}`)
+    : translate(locale, 'weather.forecast.nextDays', { days: FORECAST_HORIZON_DAYS });
+  if (inPart) {
+    period = `${period}, ${translate(locale, `weather.partsOfDay.${partOfDay}`)}`;
+  }
+
+  if (selected.length === 0) {
+    return { message: translate(locale, 'weather.forecast.noData', { location, period }), data: null };
+  }
+
+  const imperial = units === 'imperial';
+  const labels = getUnitLabels(units);
+  // Whole degrees and the precipitation amount in the unit system, for answers and rows
+  const degrees = (celsius) => Math.round(convertTemperature(celsius, units));
+  const temps = selected.map(slot => slot.temp);
+  const min = degrees(Math.min(...temps));
+  const max = degrees(Math.max(...temps));
+  const rain = summarizeRain(selected);
+  const peakTime = formatLocal(rain.peak.time, offsetSeconds, locale, { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  // Hourly for a single day (or part of one), daily for longer ranges, unless asked otherwise
+  const daily = granularity ? granularity === 'daily' : range.end - range.start > DAY_MS;
+  let data;
+  let breakdown = [];
+
+  if (daily) {
+    const days = new Map();
+    selected.forEach(slot => {
+      const day = toLocalStamp(slot.time, offsetSeconds).slice(0, 10);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(slot);
+    });
+    data = Array.from(days.entries()).map(([date, daySlots]) => {
+      const dayRain = summarizeRain(daySlots);
+      const dayTemps = daySlots.map(slot => slot.temp);
+      return {
+        date,
+        [imperial ? 'minF' : 'minC']: degrees(Math.min(...dayTemps)),
+        [imperial ? 'maxF' : 'maxC']: degrees(Math.max(...dayTemps)),
+        conditions: mostCommonDescription(daySlots),
+        chanceOfRain: dayRain.chance,
+        [imperial ? 'rainIn' : 'rainMm']: convertPrecipitation(dayRain.rainMm, units),
+      };
+    });
+    breakdown = data.map(row => translate(locale, 'weather.forecast.dayLine', {
+      day: formatDay(days.get(row.date)[0].time, offsetSeconds, locale),
+      min: imperial ? row.minF : row.minC,
+      max: imperial ? row.maxF : row.maxC,
+      unit: labels.temperature,
+      description: row.conditions,
+      chance: row.chanceOfRain,
+    }));
+  } else {
+    data = selected.map(slot => ({
+      time: toLocalStamp(slot.time, offsetSeconds),
+      [imperial ? 'temperatureF' : 'temperatureC']: degrees(slot.temp),
+      [imperial ? 'feelsLikeF' : 'feelsLikeC']: degrees(slot.feelsLike),
+      conditions: slot.description,
+      chanceOfRain: slot.chanceOfRain,
+      [imperial ? 'rainIn' : 'rainMm']: convertPrecipitation(slot.rainMm, units),
+      humidity: slot.humidity,
+      [imperial ? 'windMph' : 'windKph']: convertWindSpeed(slot.windKph, units),
+    }));
+  }
+
+  const rainParams = {
+    location,
+    period,
+    chance: rain.chance,
+    amount: rain.rainMm > 0
+      ? translate(locale, 'weather.forecast.rainAmount', { rain: `${convertPrecipitation(rain.rainMm, units)} ${labels.precipitation}` })
+      : '',
+    time: peakTime,
+  };
+  const sentences = [];
+  if (focus === 'rain') {
+    // Answer the question first ("will it rain?"), then the overview
+    sentences.push(translate(locale, `weather.forecast.rainAnswer.${rain.level}`, rainParams));
+  }
+  sentences.push(translate(locale, 'weather.forecast.summary', {
+    location,
+    period,
+    min,
+    max,
+    unit: labels.temperature,
+    description: mostCommonDescription(selected),
+  }));
+  if (focus !== 'rain' && rain.level !== 'none') {
+    sentences.push(translate(locale, `weather.forecast.rain.${rain.level}`, rainParams));
+  }
+
+  return {
+    message: [sentences.join(' '), ...breakdown].join('\n'),
+    data,
+  };
+};
+
+/**
+ * Get a forecast for a location
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { when: normalized time expression (see resolveForecastWindow),
+ *   partOfDay: "morning" | "afternoon" | "evening" | "night", granularity: "hourly" | "daily" (default: by range),
+ *   focus: "general" | "rain", locale: language of the answer (default: "en"), userEmail, preferences: user's unit system }
+ * @returns {Promise<Object>} - { message: human-readable summary, data: forecast rows or null, clarification? }
+ */
+const getForecast = async (location, { when = null, partOfDay = null, granularity = null, focus = 'general', locale = DEFAULT_LOCALE, userEmail = null, preferences = DEFAULT_PREFERENCES } = {}) => {
+  if (!location) {
+    return { message: translate(locale, 'weather.locationRequired'), data: null };
+  }
+
+  let forecast;
+  try {
+    forecast = await getForecastSlots(location, { locale, userEmail });
   } catch (error) {
-    console.error('Error fetching weather:', error);
+    return { message: describeFailure(error, location, locale), data: null };
+  }
+  if (forecast.ambiguous) {
+    return askForPlace(location, forecast.options, locale);
+  }
 
-    // If it's an API error, try to provide helpful message
-    if (error.response?.status === 404) {
-      return `I couldn't find weather information for "${location}". Please check if the location name is correct.`;
-    }
+  const result = buildForecast(forecast, { when, partOfDay, granularity, focus, locale, units: preferences.units });
+  return { ...result, message: labelSource(result.message, forecast, locale) };
+};
 
-    if (error.response?.status === 401) {
-      // API key issue, fallback to mock
-      return generateMockWeatherResponse(location);
-    }
+/**
+ * Describe an air quality reading
+ * @param {Object|null} airQuality - { index: 1-5, pm2_5, pm10 } from the provider layer
+ * @param {string} locale - Locale code
+ * @returns {Object|null} - { index, category: weather.airQuality.categories.* key, label, pm2_5, pm10 }
+ */
+const describeAirQuality = (airQuality, locale) => {
+  if (!airQuality?.index) return null;
+  const category = AIR_QUALITY_CATEGORIES[Math.min(Math.max(Math.round(airQuality.index), 1), 5) - 1];
+  return {
+    index: airQuality.index,
+    category,
+    label: translate(locale, `weather.airQuality.categories.${category}`),
+    pm2_5: airQuality.pm2_5 ?? null,
+    pm10: airQuality.pm10 ?? null,
+  };
+};
+
+/**
+ * Get active weather alerts and the air quality index for a location
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { locale: language of the answer (default: "en"), userEmail }
+ * @returns {Promise<Object>} - { message, data: { location, alerts (null when the provider has none), airQuality,
+ *   utcOffsetSeconds, provider, simulated, stale, ageMs } or null, clarification? }
+ */
+const getWeatherAlerts = async (location, { locale = DEFAULT_LOCALE, userEmail = null } = {}) => {
+  if (!location) {
+    return { message: translate(locale, 'weather.locationRequired'), data: null };
+  }
+
+  let report;
+  try {
+    report = await getAlertsAndAirQuality(location, { locale, userEmail });
+  } catch (error) {
+    return { message: describeFailure(error, location, locale), data: null };
+  }
+  if (report.ambiguous) {
+    return askForPlace(location, report.options, locale);
+  }
+
+  const offsetSeconds = report.offsetSeconds || 0;
+  const alerts = report.alerts && [...report.alerts]
+    .sort((a, b) => (ALERT_SEVERITIES.indexOf(a.severity) >>> 0) - (ALERT_SEVERITIES.indexOf(b.severity) >>> 0));
+  const airQuality = describeAirQuality(report.airQuality, locale);
+
+  const lines = [];
+  if (!alerts) {
+    lines.push(translate(locale, 'weather.alerts.unsupported', { location: report.location }));
+  } else if (alerts.length === 0) {
+    lines.push(translate(locale, 'weather.alerts.none', { location: report.location }));
+  } else {
+    lines.push(translate(locale, 'weather.alerts.active', { location: report.location }));
+    alerts.forEach(alert => lines.push(translate(locale, 'weather.alerts.line', {
+      event: alert.event,
+      severity: alert.severity ? ` (${translate(locale, `weather.alerts.severity.${alert.severity}`)})` : '',
+      end: formatLocal(alert.end, offsetSeconds, locale, { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }),
+    })));
+  }
+  lines.push(airQuality
+    ? translate(locale, 'weather.airQuality.summary', { location: report.location, category: airQuality.label, index: airQuality.index })
+    : translate(locale, 'weather.airQuality.unsupported', { location: report.location }));
+
+  return {
+    message: labelSource(lines.join('\n'), report, locale),
+    data: {
+      location: report.location,
+      alerts: alerts && alerts.map(alert => ({
+        event: alert.event,
+        severity: alert.severity,
+        // Local times at the location
+        start: toLocalStamp(alert.start, offsetSeconds),
+        end: toLocalStamp(alert.end, offsetSeconds),
+        description: alert.description,
+        sender: alert.sender,
+      })),
+      airQuality,
+      utcOffsetSeconds: offsetSeconds,
+      provider: report.provider,
+      simulated: Boolean(report.simulated),
+      stale: Boolean(report.stale),
+      ageMs: report.ageMs ?? null,
+    },
+  };
+};
 
-    // For other errors, return a generic message
-    return generateMockWeatherResponse(location);
+/**
+ * Turn one location's answer into a comparison row
+ * @param {Object} data - getWeather payload, or getWeatherAlerts data for "airQuality"
+ * @param {string} metric - Value the comparison ranks by
+ * @param {string} units - User's unit system
+ * @returns {Object} - { value: number to rank by, row }
+ */
+const toComparisonRow = (data, metric, units) => {
+  if (metric === 'airQuality') {
+    return {
+      value: data.airQuality?.index ?? null,
+      row: {
+        location: data.location,
+        airQualityIndex: data.airQuality?.index ?? null,
+        airQuality: data.airQuality?.label ?? null,
+        pm2_5: data.airQuality?.pm2_5 ?? null,
+        pm10: data.airQuality?.pm10 ?? null,
+      },
+    };
   }
+
+  const imperial = units === 'imperial';
+  return {
+    value: data[metric],
+    row: {
+      location: data.location,
+      [imperial ? 'temperatureF' : 'temperatureC']: Math.round(data.temperature),
+      [imperial ? 'feelsLikeF' : 'feelsLikeC']: Math.round(data.feelsLike),
+      humidity: data.humidity,
+      [imperial ? 'windMph' : 'windKph']: data.windSpeed,
+      conditions: data.description,
+    },
+  };
+};
+
+/**
+ * Format a ranked value for the answer ("31°C", "75%", "12 mph", "poor (4/5)")
+ * @param {Object} entry - { value, data }
+ * @param {string} metric - Value the comparison ranks by
+ * @param {string} units - User's unit system
+ * @returns {string} - Formatted value
+ */
+const formatComparisonValue = ({ value, data }, metric, units) => {
+  const labels = getUnitLabels(units);
+  if (value === null || value === undefined) return '–';
+  if (metric === 'airQuality') return `${data.airQuality.label} (${value}/5)`;
+  if (metric === 'humidity') return `${value}%`;
+  if (metric === 'windSpeed') return `${value} ${labels.windSpeed}`;
+  return `${Math.round(value)}${labels.temperature}`;
 };
 
+// "Delhi, IN and Mumbai, IN" rather than a comma list of names that contain commas
+const formatList = (items, locale) => new Intl.ListFormat(locale, { type: 'conjunction' }).format(items);
+
 /**
- * Generate mock weather response (fallback)
- * @param {string} location - City name
- * @returns {string} - Mock weather description
+ * Compare current conditions across locations, fetched concurrently, and rank them
+ * @param {string[]} locations - Two or more city names or locations
+ * @param {Object} [options] - { metric: "temperature" | "feelsLike" | "humidity" | "windSpeed" | "airQuality" (default: "temperature"),
+ *   order: "desc" (highest first) | "asc" (lowest first), locale, userEmail, preferences }
+ * @returns {Promise<Object>} - { message, data: ranked rows or null, clarification? }
  */
-const generateMockWeatherResponse = (location) => {
-  const mockTemps = [15, 18, 20, 22, 25, 28];
-  const mockConditions = ['clear skies', 'partly cloudy', 'sunny', 'cloudy', 'overcast'];
+const compareWeather = async (locations, { metric = 'temperature', order = 'desc', locale = DEFAULT_LOCALE, userEmail = null, preferences = DEFAULT_PREFERENCES } = {}) => {
+  // "Delhi, Delhi, Mumbai" compares two places
+  const unique = Array.from(new Map((locations || [])
+    .filter(location => typeof location === 'string' && location.trim())
+    .map(location => [location.trim().toLowerCase(), location.trim()])).values());
+
+  if (unique.length < 2) {
+    return { message: translate(locale, 'weather.compare.needTwo'), data: null };
+  }
+  if (unique.length > COMPARE_MAX_LOCATIONS) {
+    return { message: translate(locale, 'weather.compare.tooMany', { max: COMPARE_MAX_LOCATIONS }), data: null };
+  }
+  const rankBy = COMPARE_METRICS.includes(metric) ? metric : 'temperature';
+  const { units } = preferences;
+
+  const answers = await Promise.all(unique.map(location => (rankBy === 'airQuality'
+    ? getWeatherAlerts(location, { locale, userEmail })
+    : getWeather(location, { locale, userEmail, preferences }))));
 
-  const temp = mockTemps[Math.floor(Math.random() * mockTemps.length)];
-  const condition = mockConditions[Math.floor(Math.random() * mockConditions.length)];
+  // Every location is needed for the ranking: ask about the first ambiguous one (the others are remembered as usual)
+  const ambiguous = answers.findIndex(answer => answer.clarification);
+  if (ambiguous !== -1) {
+    const { message, clarification } = answers[ambiguous];
+    return { message, data: null, clarification: { ...clarification, parameter: 'locations' } };
+  }
+
+  const found = answers
+    .map((answer, index) => ({ answer, location: unique[index] }))
+    .filter(({ answer }) => answer.data);
+  const skipped = unique.filter((location, index) => !answers[index].data);
+  if (found.length === 0) {
+    return { message: [translate(locale, 'weather.compare.noneFound'), answers[0].message].join('\n'), data: null };
+  }
+
+  // Ranked by the metric; places without a value go last
+  const direction = order === 'asc' ? 1 : -1;
+  const ranked = found
+    .map(({ answer }) => ({ data: answer.data, ...toComparisonRow(answer.data, rankBy, units) }))
+    .sort((a, b) => {
+      if (a.value === null || a.value === undefined) return 1;
+      if (b.value === null || b.value === undefined) return -1;
+      return direction * (a.value - b.value);
+    });
 
-  return `The weather in ${location} is ${temp}°C with ${condition}.`;
+  const values = ranked.map(entry => formatComparisonValue(entry, rankBy, units));
+  const leaders = ranked.filter((entry, index) => values[index] === values[0]);
+  const lines = [leaders.length > 1
+    ? translate(locale, 'weather.compare.tie', { locations: formatList(leaders.map(entry => entry.data.location), locale), value: values[0] })
+    : translate(locale, `weather.compare.leader.${rankBy}.${order === 'asc' ? 'asc' : 'desc'}`, { location: ranked[0].data.location, value: values[0] })];
+  ranked.forEach((entry, index) => lines.push(translate(locale, 'weather.compare.line', {
+    rank: index + 1,
+    location: entry.data.location,
+    value: [values[index], rankBy === 'airQuality' ? null : entry.data.description].filter(Boolean).join(', '),
+  })));
+  if (skipped.length > 0) {
+    lines.push(translate(locale, 'weather.compare.skipped', { locations: formatList(skipped, locale) }));
+  }
+
+  const stale = ranked.filter(entry => entry.data.stale);
+  const source = {
+    simulated: ranked.some(entry => entry.data.simulated),
+    stale: stale.length > 0,
+    ageMs: Math.max(0, ...stale.map(entry => entry.data.ageMs || 0)),
+  };
+
+  return {
+    message: labelSource(lines.join('\n'), source, locale),
+    data: ranked.map((entry, index) => ({ rank: index + 1, ...entry.row })),
+  };
 };
 
 module.exports = {
   getWeather,
+  getForecast,
+  getWeatherAlerts,
+  compareWeather,
 };
-
@@ -0,0 +1,60 @@
+// src/lib/adminAuth.js
+// Authentication for signed-in user endpoints (a valid Firebase ID token) and operator-only endpoints
+// (additionally, an email listed in ADMIN_EMAILS)
+const { verifyToken } = require('./firebase/firebase');
+
+/**
+ * Get the configured admin emails
+ * @returns {string[]} - Lower-cased emails from ADMIN_EMAILS (comma-separated)
+ */
+const getAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Authenticate a signed-in user's request
+ * @param {string|null} authHeader - Authorization header value
+ * @returns {Promise<Object>} - { email } when the token is valid, otherwise { error, status }
+ */
+const authenticateUser = async (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { error: 'Authentication required. Please provide a valid token.', status: 401 };
+  }
+
+  let userInfo;
+  try {
+    userInfo = await verifyToken(authHeader.replace('Bearer ', ''));
+  } catch (error) {
+    return { error: 'Invalid or expired authentication token.', status: 401 };
+  }
+
+  if (!userInfo.email) {
+    return { error: 'Your account has no email address.', status: 403 };
+  }
+
+  return { email: userInfo.email };
+};
+
+/**
+ * Authenticate an admin request
+ * @param {string|null} authHeader - Authorization header value
+ * @returns {Promise<Object>} - { email } when allowed, otherwise { error, status }
+ */
+const authenticateAdmin = async (authHeader) => {
+  const auth = await authenticateUser(authHeader);
+  if (auth.error) {
+    return auth.status === 403 ? { error: 'Admin access required.', status: 403 } : auth;
+  }
+
+  if (!getAdminEmails().includes(auth.email.toLowerCase())) {
+    return { error: 'Admin access required.', status: 403 };
+  }
+
+  return auth;
+};
+
+module.exports = {
+  authenticateUser,
+  authenticateAdmin,
+};
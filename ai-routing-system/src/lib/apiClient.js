@@ -61,4 +61,107 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Parse Server-Sent Events from a fetch response body
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - (event, data) => void
+ */
+const readEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+};
+
+/**
+ * Submit a query to /api/query/stream and report its Server-Sent Events as they arrive
+ * Errors before the stream starts (auth, rate limit, validation) reject with error.response = { status, data },
+ * like apiClient errors.
+ * @param {Object} payload - { query, conversationId?, cursor? (nextCursor of an earlier response, for the next page) }
+ * @param {Function} onEvent - (event, data) => void for progress and "token" events
+ * @returns {Promise<Object>} - Payload of the "done" event ({ status, response, data, ... })
+ */
+export const streamQuery = async (payload, onEvent = () => {}) => {
+  const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+  const user = auth.currentUser;
+  if (user) {
+    try {
+      headers.Authorization = `Bearer ${await user.getIdToken()}`;
+    } catch (error) {
+      console.error('Error getting Firebase ID token:', error);
+    }
+  }
+
+  const res = await fetch('/api/query/stream', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(payload),
+  });
+
+  if (!res.ok || !(res.headers.get('content-type') || '').includes('text/event-stream')) {
+    const data = await res.json().catch(() => null);
+    console.error(`API Error (${res.status}):`, data);
+    const error = new Error(data?.error || `Request failed with status ${res.status}`);
+    error.response = { status: res.status, data };
+    throw error;
+  }
+
+  let result = null;
+  await readEvents(res.body, (event, data) => {
+    if (event === 'done') {
+      result = data;
+    } else if (event === 'error') {
+      const error = new Error(data.error);
+      error.response = { status: data.status, data };
+      throw error;
+    } else {
+      onEvent(event, data);
+    }
+  });
+
+  if (!result) throw new Error('Stream ended before the answer was complete.');
+  return result;
+};
+
+/**
+ * Get the signed-in user's display preferences
+ * @returns {Promise<Object>} - { units, currency, timezone, dateFormat }
+ */
+export const getPreferences = async () => {
+  const { data } = await apiClient.get('/preferences');
+  return data.preferences;
+};
+
+/**
+ * Change some of the signed-in user's display preferences
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} - Preferences after the change
+ */
+export const updatePreferences = async (changes) => {
+  const { data } = await apiClient.put('/preferences', changes);
+  return data.preferences;
+};
+
 export default apiClient;
\ No newline at end of file
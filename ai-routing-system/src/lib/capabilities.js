@@ -1,74 +1,93 @@
 // src/lib/capabilities.js
-// Helper functions to provide user-friendly capability information
+// Helper functions to provide user-friendly capability information (generated from the tool registry)
+
+const { getTool, listTools } = require('../tools');
+const { translate, lookupMessage, DEFAULT_LOCALE } = require('./i18n');
 
 /**
- * Get a list of what the system can do
- * @returns {string} - Human-readable list of capabilities
+ * Get a tool's help text in a language (catalog entries under "tools.<name>", English from the tool itself)
+ * @param {Object} tool - Tool definition
+ * @param {string} locale - Locale code
+ * @returns {Object} - { title, capabilities, examples, missingInfo }
  */
-const getCapabilitiesList = () => {
-  return `Here's what I can help you with:
-
-**Weather Information:**
-• Get current weather for any city or location
-• Check temperature, conditions, and humidity
-
-**Database Operations:**
-• Count records (employees, orders, products, etc.)
-• List/Display records with optional filters
-• Add new records (employees, orders, products)
-• Update existing records
-• Delete records
-
-**Examples:**
-• "Tell me the weather in San Francisco"
-• "How many employees are there?"
-• "List all orders over $500"
-• "Add a new employee named John Doe"
-• "Update employee John's salary to $80000"
-• "Delete product PROD-001"`;
+const getLocalizedHelp = (tool, locale) => {
+  const localized = lookupMessage(locale, `tools.${tool.name}`) || {};
+  return { ...tool.help, ...localized };
 };
 
 /**
- * Get weather-specific help message
- * @returns {string} - Help message for weather queries
+ * Get a list of what the system can do
+ * @param {string} [locale] - Language of the list (default: "en")
+ * @returns {string} - Human-readable list of capabilities
  */
-const getWeatherHelp = () => {
-  return `I need a location to check the weather. Please specify a city or location.
+const getCapabilitiesList = (locale = DEFAULT_LOCALE) => {
+  const helps = listTools().filter(tool => tool.help).map(tool => getLocalizedHelp(tool, locale));
 
-${getCapabilitiesList()}`;
+  const sections = helps.map(help =>
+    `**${help.title}:**\n${help.capabilities.map(item => `• ${item}`).join('\n')}`
+  );
+  const examples = helps.flatMap(help => help.examples || []);
+
+  return `${translate(locale, 'help.intro')}
+
+${sections.join('\n\n')}
+
+**${translate(locale, 'help.examples')}**
+${examples.map(example => `• "${example}"`).join('\n')}`;
 };
 
 /**
- * Get database-specific help message
+ * Get the help message for a registered tool
+ * @param {string} toolName - Tool name
  * @param {string} missingInfo - What information is missing
- * @returns {string} - Help message for database queries
+ * @param {string} [locale] - Language of the message (default: "en")
+ * @returns {string} - Help message for the tool, or the general help for unknown tools
  */
-const getDatabaseHelp = (missingInfo = '') => {
-  let message = `I need more information to help you with that database query.`;
-  
+const getToolHelp = (toolName, missingInfo = '', locale = DEFAULT_LOCALE) => {
+  const tool = getTool(toolName);
+  if (!tool?.help) return getGeneralHelp(locale);
+
+  let message = getLocalizedHelp(tool, locale).missingInfo;
+
   if (missingInfo) {
-    message += ` Specifically, I need: ${missingInfo}.`;
+    message += ` ${translate(locale, 'help.specifically', { missingInfo })}`;
   }
-  
-  message += `\n\n${getCapabilitiesList()}`;
-  
+
+  message += `\n\n${getCapabilitiesList(locale)}`;
+
   return message;
 };
 
+/**
+ * Get weather-specific help message
+ * @param {string} [locale] - Language of the message
+ * @returns {string} - Help message for weather queries
+ */
+const getWeatherHelp = (locale) => getToolHelp('weather', '', locale);
+
+/**
+ * Get database-specific help message
+ * @param {string} missingInfo - What information is missing
+ * @param {string} [locale] - Language of the message
+ * @returns {string} - Help message for database queries
+ */
+const getDatabaseHelp = (missingInfo = '', locale) => getToolHelp('database', missingInfo, locale);
+
 /**
  * Get general help message when query is unclear
+ * @param {string} [locale] - Language of the message (default: "en")
  * @returns {string} - General help message
  */
-const getGeneralHelp = () => {
-  return `I'm not sure what you're asking for. Could you please clarify?
+const getGeneralHelp = (locale = DEFAULT_LOCALE) => {
+  return `${translate(locale, 'help.unclear')}
 
-${getCapabilitiesList()}`;
+${getCapabilitiesList(locale)}`;
 };
 
 module.exports = {
   getCapabilitiesList,
+  getToolHelp,
   getWeatherHelp,
   getDatabaseHelp,
   getGeneralHelp,
 };
-
@@ -0,0 +1,137 @@
+// src/lib/conversationStore.js
+// Per-user conversation history so follow-up queries can refer to earlier turns
+const { LRUCache } = require('lru-cache');
+const { randomUUID } = require('crypto');
+
+// Conversation configuration
+const CONVERSATION_TTL_MS = 30 * 60 * 1000; // 30 minutes of inactivity
+const MAX_TURNS_PER_CONVERSATION = 10;
+const MAX_RECORDS_PER_TURN = 20; // Records remembered per turn for "the second one" style references
+const MAX_CONTEXT_TURNS = 3; // Turns included in the router prompt
+const OMITTED_FIELDS = new Set(['createdAt', 'updatedAt']);
+
+// Max 1000 active conversations, expires after 30 minutes without a new turn
+const conversationCache = new LRUCache({
+  max: 1000,
+  ttl: CONVERSATION_TTL_MS,
+});
+
+/**
+ * Create a new conversation ID
+ * @returns {string} - Random conversation ID
+ */
+const createConversationId = () => randomUUID();
+
+/**
+ * Get the turn history for a conversation (scoped to the user's email)
+ * @param {string} email - User's email address
+ * @param {string} conversationId - Conversation ID
+ * @returns {Object[]} - Turns, oldest first
+ */
+const getTurns = (email, conversationId) => {
+  if (!email || !conversationId) return [];
+  return conversationCache.get(`conversation:${email}:${conversationId}`) || [];
+};
+
+/**
+ * Reduce a step result to the records worth remembering
+ * @param {Object} result - Plan step result { action, entity, data }
+ * @returns {Object[]} - Records with their position in the listing
+ */
+const rememberRecords = (result) => {
+  if (!Array.isArray(result.data)) return [];
+
+  return result.data
+    .filter(record => record && record.id)
+    .slice(0, MAX_RECORDS_PER_TURN)
+    .map((record, index) => ({
+      position: index + 1,
+      // Drop bookkeeping fields to keep the prompt small
+      ...Object.fromEntries(Object.entries(record).filter(([key]) => !OMITTED_FIELDS.has(key))),
+    }));
+};
+
+/**
+ * Append a turn to a conversation
+ * @param {string} email - User's email address
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} turn - { query, intent, results, response, clarification: { step, parameter, options } when the answer asked the user to choose }
+ *   (a listing result's page.nextCursor is kept so "show more" can continue it)
+ */
+const appendTurn = (email, conversationId, { query, intent, results = [], response, clarification = null }) => {
+  if (!email || !conversationId) return;
+
+  const turns = getTurns(email, conversationId);
+  const entry = {
+    query,
+    intent: intent || null,
+    response: (response || '').slice(0, 300),
+    steps: results.map(result => ({
+      tool: result.tool,
+      action: result.action,
+      entity: result.entity || null,
+      records: rememberRecords(result),
+      nextCursor: result.page?.nextCursor || null,
+    })),
+    clarification: clarification && {
+      step: clarification.step,
+      parameter: clarification.parameter,
+      options: clarification.options,
+    },
+    timestamp: Date.now(),
+  };
+
+  const updated = [...turns, entry].slice(-MAX_TURNS_PER_CONVERSATION);
+  conversationCache.set(`conversation:${email}:${conversationId}`, updated);
+};
+
+/**
+ * Render recent turns as plain text for the router prompt
+ * @param {Object[]} turns - Conversation turns
+ * @returns {string} - Context block, or '' when there is no history
+ */
+const buildContextSummary = (turns) => {
+  const recent = turns.slice(-MAX_CONTEXT_TURNS);
+  if (recent.length === 0) return '';
+
+  return recent.map((turn, turnIndex) => {
+    const lines = [`Turn ${turnIndex + 1}: user asked ${JSON.stringify(turn.query)}`];
+    if (turn.intent) lines.push(`  Intent: ${turn.intent}`);
+
+    turn.steps.forEach(step => {
+      lines.push(`  Ran ${step.tool}/${step.action}${step.entity ? ` on ${step.entity}` : ''}`);
+      step.records.forEach(record => {
+        const { position, ...fields } = record;
+        lines.push(`    #${position}: ${JSON.stringify(fields)}`);
+      });
+      if (step.nextCursor) lines.push(`    More records available, "nextCursor": ${JSON.stringify(step.nextCursor)}`);
+    });
+
+    if (turn.response) lines.push(`  Answer: ${JSON.stringify(turn.response)}`);
+    if (turn.clarification) {
+      const { step, parameter, options } = turn.clarification;
+      lines.push(`  Asked which ${parameter} step ${step} should use; options:`);
+      options.forEach((option, index) => lines.push(`    ${index + 1}. ${JSON.stringify(option)}`));
+    }
+    return lines.join('\n');
+  }).join('\n');
+};
+
+/**
+ * Find where the last turn's listing stopped
+ * @param {Object[]} turns - Conversation turns
+ * @returns {string|null} - nextCursor of the last turn's latest listing with more records, or null
+ */
+const getNextCursor = (turns) => {
+  const steps = turns[turns.length - 1]?.steps || [];
+  return [...steps].reverse().find(step => step.nextCursor)?.nextCursor || null;
+};
+
+module.exports = {
+  createConversationId,
+  getTurns,
+  appendTurn,
+  buildContextSummary,
+  getNextCursor,
+  CONVERSATION_TTL_MS,
+};
@@ -0,0 +1,398 @@
+// src/lib/entitySchemas.js
+// Entity Schema Registry - field types, required fields, enums and defaults for database records.
+// Built-in schemas cover employees, orders and products; admins can add schemas for other entities
+// (or replace a built-in one) in the "entity_schemas" Firestore collection (see /api/admin/entity-schemas).
+// Entities without a schema are stored as given.
+const { firestoreAdmin, isFirestoreReady } = require('./firebase/firebase');
+const { translate, DEFAULT_LOCALE } = require('./i18n');
+
+const COLLECTION = 'entity_schemas';
+
+// Field types a schema can declare
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'email', 'list'];
+
+// Set by the database controller on every record
+const RESERVED_FIELDS = ['id', 'entity', 'createdAt', 'updatedAt'];
+
+// Custom schemas are read on every write and by the router prompt, so they are cached briefly
+const CUSTOM_SCHEMA_TTL_MS = 5 * 60 * 1000;
+
+// Built-in schemas declare the fields src/scripts/initializeDatabase.js seeds, so existing records stay writable
+const BUILT_IN_SCHEMAS = {
+  employees: {
+    name: { type: 'string', required: true },
+    email: { type: 'email' },
+    department: { type: 'string' },
+    position: { type: 'string' },
+    salary: { type: 'number' },
+    status: { type: 'string', enum: ['active', 'inactive', 'on leave'], default: 'active' },
+    joinDate: { type: 'date' },
+  },
+  orders: {
+    orderId: { type: 'string' },
+    customerName: { type: 'string' },
+    amount: { type: 'number', required: true },
+    status: { type: 'string', enum: ['pending', 'processing', 'shipped', 'completed', 'cancelled'], default: 'pending' },
+    orderDate: { type: 'date' },
+    items: { type: 'list' },
+    // Not seeded: set by plans that order a product read in an earlier step
+    productId: { type: 'string' },
+  },
+  products: {
+    productId: { type: 'string' },
+    name: { type: 'string', required: true },
+    category: { type: 'string' },
+    price: { type: 'number', required: true },
+    stock: { type: 'integer', default: 0 },
+    supplier: { type: 'string' },
+  },
+};
+
+// Shared across route bundles in the server process (see llm/keyHealth.js)
+const customSchemaCache = globalThis.__entitySchemas || (globalThis.__entitySchemas = { schemas: null, loadedAt: 0 });
+
+/**
+ * Normalize an entity name to its plural, lower-case form ("Product" -> "products", "category" -> "categories")
+ * @param {string|null} entity - Entity name
+ * @returns {string|null} - Normalized name
+ */
+const normalizeEntity = (entity) => {
+  if (!entity) return null;
+  let normalized = entity.toLowerCase().trim();
+  if (normalized.endsWith('y')) {
+    return normalized.slice(0, -1) + 'ies';
+  }
+  if (!normalized.endsWith('s')) {
+    normalized += 's';
+  }
+  return normalized;
+};
+
+/**
+ * Load the custom schemas from Firestore (cached; none when Firestore is unavailable)
+ * @returns {Promise<Object>} - { [entity]: fields }
+ */
+const loadCustomSchemas = async () => {
+  if (customSchemaCache.schemas && Date.now() - customSchemaCache.loadedAt < CUSTOM_SCHEMA_TTL_MS) {
+    return customSchemaCache.schemas;
+  }
+  if (!isFirestoreReady()) return {};
+
+  try {
+    const snapshot = await firestoreAdmin.collection(COLLECTION).get();
+    customSchemaCache.schemas = Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data().fields || {}]));
+    customSchemaCache.loadedAt = Date.now();
+  } catch (error) {
+    // Writes fall back to the built-in schemas rather than failing
+    console.error('Error reading entity schemas:', error.message);
+    return customSchemaCache.schemas || {};
+  }
+  return customSchemaCache.schemas;
+};
+
+/**
+ * List every schema, custom ones replacing built-in ones with the same entity
+ * @param {Object} [options] - { builtInOnly: skip the custom schemas in Firestore }
+ * @returns {Promise<Object[]>} - [{ entity, fields, source: "built-in" | "custom" }]
+ */
+const listSchemas = async ({ builtInOnly = false } = {}) => {
+  const custom = builtInOnly ? {} : await loadCustomSchemas();
+  const builtIn = Object.entries(BUILT_IN_SCHEMAS)
+    .filter(([entity]) => !custom[entity])
+    .map(([entity, fields]) => ({ entity, fields, source: 'built-in' }));
+  return [...builtIn, ...Object.entries(custom).map(([entity, fields]) => ({ entity, fields, source: 'custom' }))];
+};
+
+/**
+ * Get the schema for an entity
+ * @param {string} entity - Entity name (normalized here)
+ * @returns {Promise<Object|null>} - { [field]: { type, required, enum, default } }, or null when the entity has none
+ */
+const getSchema = async (entity) => {
+  const normalized = normalizeEntity(entity);
+  if (!normalized) return null;
+  const custom = await loadCustomSchemas();
+  return custom[normalized] || BUILT_IN_SCHEMAS[normalized] || null;
+};
+
+/**
+ * Check a schema definition before it is saved
+ * @param {string} entity - Entity name
+ * @param {Object} fields - { [field]: { type, required, enum, default } }
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validateSchemaDefinition = (entity, fields) => {
+  const errors = [];
+
+  if (typeof entity !== 'string' || !/^[a-z][a-z0-9_ ]*$/i.test(entity.trim())) {
+    errors.push('entity must be a name made of letters, digits, spaces or "_".');
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    errors.push('fields must be an object with at least one field.');
+    return errors;
+  }
+
+  Object.entries(fields).forEach(([field, definition]) => {
+    if (!/^[a-z][a-z0-9_]*$/i.test(field)) {
+      errors.push(`Field "${field}" must be a name made of letters, digits or "_".`);
+    }
+    if (RESERVED_FIELDS.includes(field)) {
+      errors.push(`Field "${field}" is set automatically and cannot be declared.`);
+    }
+    if (!definition || !FIELD_TYPES.includes(definition.type)) {
+      errors.push(`Field "${field}" needs a type: ${FIELD_TYPES.join(', ')}.`);
+      return;
+    }
+    const unknown = Object.keys(definition).filter(key => !['type', 'required', 'enum', 'default', 'description'].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`Field "${field}" has unsupported keys: ${unknown.join(', ')}.`);
+    }
+    if (definition.enum !== undefined && (!Array.isArray(definition.enum) || definition.enum.length === 0)) {
+      errors.push(`Field "${field}" enum must be a non-empty list of values.`);
+    }
+    // A default must itself be valid
+    if (definition.default !== undefined && coerceValue(definition.default, definition).error) {
+      errors.push(`Field "${field}" default is not a valid ${definition.type}.`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Save (create or replace) a custom schema
+ * @param {string} entity - Entity name (normalized here)
+ * @param {Object} fields - Field definitions (validated with validateSchemaDefinition first)
+ * @returns {Promise<Object>} - { entity, fields, source: "custom" }
+ */
+const saveSchema = async (entity, fields) => {
+  if (!isFirestoreReady()) {
+    throw new Error('Firestore is not properly initialized.');
+  }
+
+  const normalized = normalizeEntity(entity);
+  await firestoreAdmin.collection(COLLECTION).doc(normalized).set({ fields, updatedAt: new Date() });
+  customSchemaCache.schemas = null;
+  return { entity: normalized, fields, source: 'custom' };
+};
+
+/**
+ * Remove a custom schema (a built-in schema with the same entity applies again)
+ * @param {string} entity - Entity name (normalized here)
+ * @returns {Promise<boolean>} - Whether a custom schema was removed
+ */
+const deleteSchema = async (entity) => {
+  if (!isFirestoreReady()) {
+    throw new Error('Firestore is not properly initialized.');
+  }
+
+  const docRef = firestoreAdmin.collection(COLLECTION).doc(normalizeEntity(entity));
+  const doc = await docRef.get();
+  if (!doc.exists) return false;
+
+  await docRef.delete();
+  customSchemaCache.schemas = null;
+  return true;
+};
+
+// Field names compared without case, spaces, "_" or "-" ("Join Date" and "join_date" are "joinDate")
+const fieldKey = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * Count the single-character edits between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Levenshtein distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Find the declared field a misspelled or shortened one most likely meant ("salry" -> "salary", "dept" -> "department")
+ * @param {string} name - Undeclared field name
+ * @param {string[]} fields - Declared field names
+ * @returns {string|null} - Closest field within two edits (one for short names), else one the name abbreviates
+ */
+const suggestField = (name, fields) => {
+  const key = fieldKey(name);
+  // "dept": the field's first letter, then the rest of the letters in order
+  const abbreviated = (field) => {
+    const target = fieldKey(field);
+    let position = 0;
+    return key.length >= 3 && target[0] === key[0]
+      && [...key].every(char => (position = target.indexOf(char, position) + 1) > 0);
+  };
+  const limit = key.length <= 4 ? 1 : 2;
+  const [best] = fields
+    .map(field => ({ field, distance: editDistance(key, fieldKey(field)) }))
+    .filter(({ distance }) => distance <= limit)
+    .sort((a, b) => a.distance - b.distance);
+  return best ? best.field : fields.find(abbreviated) || null;
+};
+
+/**
+ * Coerce a value to a field's type ("$80,000" -> 80000, "2024-03-01" -> Date, "Completed" -> "completed", "A, B" -> ["A", "B"])
+ * @param {*} value - Value as routed
+ * @param {Object} definition - { type, enum }
+ * @returns {Object} - { value } when it fits, otherwise { error: "type" | "enum" }
+ */
+const coerceValue = (value, definition) => {
+  let coerced = value;
+
+  switch (definition.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof value === 'string') {
+        const text = value.trim().replace(/^[$€£₹]\s*|\s*[$€£₹]$/g, '').replace(/,/g, '');
+        coerced = /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+      }
+      if (typeof coerced !== 'number' || !Number.isFinite(coerced)) return { error: 'type' };
+      if (definition.type === 'integer' && !Number.isInteger(coerced)) return { error: 'type' };
+      break;
+    }
+    case 'boolean': {
+      const text = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (text === true || text === 'true' || text === 'yes') coerced = true;
+      else if (text === false || text === 'false' || text === 'no') coerced = false;
+      else return { error: 'type' };
+      break;
+    }
+    case 'date': {
+      // Only unambiguous dates: "03/04/2024" could be March or April
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim())) {
+        coerced = new Date(value.trim());
+      } else if (value && typeof value === 'object' && value._seconds !== undefined) {
+        coerced = new Date(value._seconds * 1000);
+      }
+      if (!(coerced instanceof Date) || Number.isNaN(coerced.getTime())) return { error: 'type' };
+      break;
+    }
+    case 'email':
+      if (typeof value !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())) return { error: 'type' };
+      coerced = value.trim().toLowerCase();
+      break;
+    case 'list': {
+      // A list of text values, routed as an array or as "Product A, Product B"
+      const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+      if (!items || items.some(item => !['string', 'number'].includes(typeof item))) return { error: 'type' };
+      coerced = items.map(item => String(item).trim()).filter(Boolean);
+      break;
+    }
+    default:
+      if (typeof value === 'number' || typeof value === 'boolean') coerced = String(value);
+      if (typeof coerced !== 'string') return { error: 'type' };
+      coerced = coerced.trim();
+  }
+
+  if (definition.enum) {
+    // Enum values match without case ("Completed" is "completed")
+    const match = definition.enum.find(option => String(option).toLowerCase() === String(coerced).toLowerCase());
+    if (match === undefined) return { error: 'enum' };
+    coerced = match;
+  }
+
+  return { value: coerced };
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate and coerce a record's fields against its entity's schema
+ * @param {string} entity - Entity name
+ * @param {Object} data - Fields to write
+ * @param {Object} [options] - { partial: true for updates (no required fields or defaults), locale: language of the errors }
+ * @returns {Promise<Object>} - { data: coerced fields (defaults applied), errors: [{ field, message }] };
+ *   entities without a schema get their data back unchanged
+ */
+const validateRecord = async (entity, data, { partial = false, locale = DEFAULT_LOCALE } = {}) => {
+  const schema = await getSchema(entity);
+  if (!schema) return { data, errors: [] };
+
+  const declared = Object.keys(schema);
+  const byKey = new Map(declared.map(field => [fieldKey(field), field]));
+  const coerced = {};
+  const errors = [];
+  const fail = (field, key, params = {}) => errors.push({ field, message: translate(locale, `db.schema.${key}`, { field, ...params }) });
+
+  Object.entries(data || {}).forEach(([name, value]) => {
+    if (RESERVED_FIELDS.includes(name)) {
+      fail(name, 'reserved');
+      return;
+    }
+
+    // "Salary" and "join_date" are the declared "salary" and "joinDate"
+    const field = byKey.get(fieldKey(name));
+    if (!field) {
+      const suggestion = suggestField(name, declared);
+      if (suggestion) fail(name, 'unknownFieldSuggestion', { suggestion });
+      else fail(name, 'unknownField', { fields: declared.join(', ') });
+      return;
+    }
+
+    if (isEmpty(value)) {
+      if (schema[field].required) fail(field, 'required');
+      else coerced[field] = null;
+      return;
+    }
+
+    const result = coerceValue(value, schema[field]);
+    if (result.error === 'enum') {
+      fail(field, 'enum', { values: schema[field].enum.join(', ') });
+    } else if (result.error) {
+      fail(field, 'type', { type: translate(locale, `db.schema.types.${schema[field].type}`), value: JSON.stringify(value) });
+    } else {
+      coerced[field] = result.value;
+    }
+  });
+
+  if (!partial) {
+    declared.forEach(field => {
+      if (coerced[field] !== undefined || errors.some(error => error.field === field)) return;
+      if (schema[field].default !== undefined) {
+        coerced[field] = coerceValue(schema[field].default, schema[field]).value;
+      } else if (schema[field].required) {
+        fail(field, 'required');
+      }
+    });
+  }
+
+  return { data: coerced, errors };
+};
+
+/**
+ * Describe the schemas for the routing prompt
+ * @param {Object[]} schemas - From listSchemas
+ * @returns {string} - One line per entity, e.g. "- employees: name (string, required), salary (number), ..."
+ */
+const describeSchemas = (schemas) => schemas.map(({ entity, fields }) => {
+  const described = Object.entries(fields).map(([field, definition]) => {
+    const details = [
+      definition.enum ? definition.enum.map(option => JSON.stringify(option)).join(' | ') : definition.type,
+      definition.required && 'required',
+    ].filter(Boolean);
+    return `${field} (${details.join(', ')})`;
+  });
+  return `- ${entity}: ${described.join(', ')}`;
+}).join('\n');
+
+module.exports = {
+  FIELD_TYPES,
+  BUILT_IN_SCHEMAS,
+  normalizeEntity,
+  listSchemas,
+  getSchema,
+  validateSchemaDefinition,
+  saveSchema,
+  deleteSchema,
+  validateRecord,
+  describeSchemas,
+};
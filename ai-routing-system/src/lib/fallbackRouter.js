@@ -0,0 +1,526 @@
+// src/lib/fallbackRouter.js
+// Deterministic keyword/grammar router - degraded mode used when every LLM provider fails.
+// Produces the same routing-instruction shape as routeQuery, flagged with degraded: true.
+
+// Words that never name an entity on their own
+const STOP_WORDS = new Set(['a', 'an', 'the', 'all', 'me', 'my', 'new', 'some', 'every', 'of', 'there', 'are', 'is']);
+
+// Nouns that mean "the whole database" rather than a specific entity
+const GENERIC_ENTITIES = new Set(['record', 'records', 'database', 'databases', 'data', 'everything', 'entries', 'entry']);
+
+// Field that "in <Value>" refers to for known entities ("employees in Engineering")
+const IN_FIELD_BY_ENTITY = {
+  employees: 'department',
+  products: 'category',
+};
+
+// Entities with a built-in schema (see entitySchemas.js), in the singular and plural forms users type
+const KNOWN_ENTITIES = new Set(['employee', 'employees', 'order', 'orders', 'product', 'products']);
+
+// Words that make a delete target every record rather than one ("remove all orders")
+const BULK_WORDS = new Set(['all', 'every', 'each', 'everything', 'some', 'any']);
+
+// An update command starts with its verb, after an optional "please" / "can you"
+const UPDATE_COMMAND = /^\s*(?:(?:please|can you|could you|kindly)\s+)?(?:update|modify|change|set|raise)\b/i;
+
+// Code-style identifiers ("PROD-001", "ORD-002") and the field they live in
+const CODE_PREFIX_FIELDS = {
+  prod: 'productId',
+  ord: 'orderId',
+  emp: 'employeeId',
+};
+
+/**
+ * Normalize an entity word to its plural form
+ * @param {string} word - Raw entity word
+ * @returns {string|null} - Plural entity name, or null for generic/missing words
+ */
+const toEntity = (word) => {
+  if (!word) return null;
+  const normalized = word.toLowerCase().trim();
+  if (!normalized || STOP_WORDS.has(normalized) || GENERIC_ENTITIES.has(normalized)) return null;
+  if (normalized.endsWith('s')) return normalized;
+  if (normalized.endsWith('y')) return normalized.slice(0, -1) + 'ies';
+  return normalized + 's';
+};
+
+/**
+ * Coerce a captured value to number/boolean where it clearly is one
+ * @param {string} raw - Captured text
+ * @returns {string|number|boolean} - Coerced value
+ */
+const coerceValue = (raw) => {
+  const value = raw.trim().replace(/^["']|["']$/g, '');
+  const numeric = value.replace(/[$,]/g, '');
+  if (/^-?\d+(\.\d+)?$/.test(numeric)) return Number(numeric);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  return value;
+};
+
+/**
+ * Turn a field phrase ("customer name") into a camelCase key ("customerName")
+ * @param {string} phrase - Field phrase
+ * @returns {string} - Field key
+ */
+const toFieldKey = (phrase) => {
+  const words = phrase.trim().split(/\s+/);
+  if (words.length === 1) {
+    // Keep existing camelCase keys ("orderId") intact
+    return words[0].charAt(0).toLowerCase() + words[0].slice(1);
+  }
+  const lower = words.map(w => w.toLowerCase());
+  return lower[0] + lower.slice(1).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+};
+
+/**
+ * Parse "where status is pending and amount is 50" (or "status set to shipped") style conditions
+ * @param {string} clause - Text after "where"/"with"
+ * @returns {Object} - Filters object
+ */
+const parseConditions = (clause) => {
+  const filters = {};
+  clause.split(/\s+and\s+|,/i).forEach(part => {
+    const match = part.match(/^\s*([a-z][\w ]*?)\s*(?:is|=|==|equals|:|(?:is\s+)?set\s+to)\s*(.+?)\s*$/i);
+    if (match) {
+      filters[toFieldKey(match[1])] = coerceValue(match[2]);
+    }
+  });
+  return filters;
+};
+
+/**
+ * Parse the filters after a listed or counted entity: "where status is pending", or "in Sales" for entities
+ * whose "in" field is known ("employees in the Sales department")
+ * @param {string} rest - Text after the entity
+ * @param {string|null} entity - Plural entity name
+ * @returns {Object} - Filters object
+ */
+const parseListFilters = (rest, entity) => {
+  const text = rest.replace(/[?.!]+$/, '');
+  const where = text.match(/\b(?:where|with)\s+(.+)$/i);
+  if (where) return parseConditions(where[1]);
+
+  const inValue = text.match(/\b(?:are\s+|is\s+)?in\s+(?:the\s+)?([\w -]+?)(?:\s+department)?\s*$/i);
+  if (inValue && IN_FIELD_BY_ENTITY[entity]) return { [IN_FIELD_BY_ENTITY[entity]]: inValue[1].trim() };
+  return {};
+};
+
+/**
+ * Check whether the words after a verb start a person's or item's name rather than an entity
+ * ("remove John", "delete Jane Smith", but not "Delete Product PROD-001")
+ * @param {string} word - Word after the verb
+ * @param {string} rest - Text after that word
+ * @returns {boolean}
+ */
+const startsName = (word, rest) => /^[A-Z][a-z'-]*$/.test(word)
+  && !KNOWN_ENTITIES.has(word.toLowerCase())
+  && /^(?:\s+[A-Z][a-z'-]*)*\s*[?.!]*$/.test(rest);
+
+/**
+ * Build filters that identify a single record from free text ("PROD-001", "id abc", "named John")
+ * @param {string} text - Identifier text
+ * @returns {Object} - Filters object
+ */
+const parseIdentifier = (text) => {
+  const trimmed = text.trim().replace(/[?.!]+$/, '');
+  if (!trimmed) return {};
+
+  const idMatch = trimmed.match(/^(?:with\s+)?id\s+(\S+)$/i);
+  if (idMatch) return { id: idMatch[1] };
+
+  const codeMatch = trimmed.match(/^([a-z]{2,})-\d+$/i);
+  if (codeMatch) {
+    const field = CODE_PREFIX_FIELDS[codeMatch[1].toLowerCase()] || 'id';
+    return { [field]: trimmed.toUpperCase() };
+  }
+
+  const whereMatch = trimmed.match(/^(?:where|with)\s+(.+)$/i);
+  if (whereMatch) return parseConditions(whereMatch[1]);
+
+  const nameMatch = trimmed.match(/^(?:named|called)\s+(.+)$/i);
+  return { name: nameMatch ? nameMatch[1].trim() : trimmed };
+};
+
+/**
+ * Parse record data from "name: Laptop, price: 1500, stock 10" or "named John salary 500"
+ * @param {string} text - Data text
+ * @returns {Object} - Data object
+ */
+const parseData = (text) => {
+  const data = {};
+  const cleaned = text.trim().replace(/^[:\-]\s*/, '').replace(/[?.!]+$/, '');
+  if (!cleaned) return data;
+
+  // Names run until the first lowercase word ("named John Doe salary 500")
+  const named = cleaned.match(/^(?:[Nn]amed|[Cc]alled)\s+(\S+(?:\s+[A-Z][\w'-]*)*)(.*)$/);
+  let rest = cleaned;
+  if (named) {
+    data.name = named[1].trim();
+    rest = named[2];
+  }
+
+  rest.split(',').forEach((segment, index) => {
+    const part = segment.trim();
+    if (!part) return;
+
+    const pair = part.match(/^([a-z][\w ]*?)\s*(?::|=|\bis\b|\bof\b)\s*(.+)$/i) ||
+      part.match(/^([a-z][a-z ]*?)\s+(\$?-?[\d,.]+)$/i);
+    if (pair) {
+      data[toFieldKey(pair[1])] = coerceValue(pair[2]);
+    } else if (index === 0 && !data.name) {
+      // A leading bare value is the record's name ("Add a product: Gaming Laptop, price: 1500")
+      data.name = part;
+    }
+  });
+
+  return data;
+};
+
+// Time expressions that make a weather query a forecast, in the form the weather tool expects for "when"
+const FORECAST_WHEN = /\b(day after tomorrow|tomorrow|tonight|(?:this\s+)?weekend|monday|tuesday|wednesday|thursday|friday|saturday|sunday|next\s+\d+\s+days?)\b/i;
+const PART_OF_DAY = /\b(morning|afternoon|evening|night)\b/i;
+const TIME_PHRASE = new RegExp(`(?:\\b(?:on|this|in the|at|for)\\s+)?(?:${FORECAST_WHEN.source}|${PART_OF_DAY.source})`, 'gi');
+
+/**
+ * Strip filler words around a location ("in Paris today?" -> "Paris", "in Goa this weekend" -> "Goa")
+ * @param {string} text - Raw location text
+ * @returns {string} - Cleaned location
+ */
+const cleanLocation = (text) => text
+  .replace(/[?.!]+$/, '')
+  .replace(TIME_PHRASE, '')
+  .replace(/\b(right now|now|today|currently|please)\b/gi, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  // "for tomorrow in Mumbai" leaves "in Mumbai"
+  .replace(/^(?:in|at|for|of)\s+/i, '');
+
+/**
+ * Read forecast parameters from a weather query ("will it rain tomorrow afternoon")
+ * @param {string} query - User query
+ * @returns {Object|null} - { when, partOfDay, focus }, or null for current conditions
+ */
+const parseForecast = (query) => {
+  const when = query.match(FORECAST_WHEN);
+  const focus = /\b(rain|raining|umbrella|showers?)\b/i.test(query) && /\b(will|going to|chance|need|expect)\b/i.test(query) ? 'rain' : 'general';
+  if (!when && focus === 'general' && !/\bforecast\b/i.test(query)) return null;
+
+  const part = query.match(PART_OF_DAY);
+  return {
+    when: when ? when[1].toLowerCase().replace(/\s+/g, ' ').replace(/^this /, '') : null,
+    partOfDay: part ? part[1].toLowerCase() : null,
+    focus,
+  };
+};
+
+// Comparative words -> what a weather comparison ranks by, first match wins ("cleaner air" before "air")
+const COMPARE_METRICS = [
+  [/\b(warmer|hotter)\b/i, { metric: 'temperature', order: 'desc' }],
+  [/\b(colder|cooler)\b/i, { metric: 'temperature', order: 'asc' }],
+  [/\b(cleaner|less polluted|better air)\b/i, { metric: 'airQuality', order: 'asc' }],
+  [/\b(more polluted|worse air|air quality|aqi|pollution)\b/i, { metric: 'airQuality', order: 'desc' }],
+  [/\b(more humid|humidity)\b/i, { metric: 'humidity', order: 'desc' }],
+  [/\b(windier|windiest)\b/i, { metric: 'windSpeed', order: 'desc' }],
+  [/\b(calmer|less windy)\b/i, { metric: 'windSpeed', order: 'asc' }],
+  // "compare salaries of ..." is a database question
+  [/\b(compare|comparison|versus|vs)\b(?=.*\b(weather|temperature|climate)\b)/i, { metric: 'temperature', order: 'desc' }],
+];
+
+// Ranking words -> how a database listing is sorted ("top 5 highest-paid employees", "latest 10 orders")
+const SORT_WORDS = [
+  [/\b(?:highest|best|top)[- ]paid\b/i, { field: 'salary', direction: 'desc' }],
+  [/\b(?:lowest|least)[- ]paid\b/i, { field: 'salary', direction: 'asc' }],
+  [/\b(?:most expensive|priciest)\b/i, { field: 'price', direction: 'desc' }],
+  [/\b(?:cheapest|least expensive)\b/i, { field: 'price', direction: 'asc' }],
+  [/\b(?:largest|biggest)\b/i, { field: 'amount', direction: 'desc' }],
+  [/\b(?:latest|newest|most recent)\b/i, { field: 'createdAt', direction: 'desc' }],
+  [/\b(?:oldest|earliest)\b/i, { field: 'createdAt', direction: 'asc' }],
+];
+
+/**
+ * Turn a single matched rule into a one-step plan and mark it as degraded
+ * @param {Object} instructions - { tool, action, parameters, ...flags }
+ * @returns {Object} - Complete routing instructions
+ */
+const degraded = ({ tool, action, parameters = {}, ...rest }) => ({
+  insufficientInfo: false,
+  missingInfo: null,
+  guidedResponse: null,
+  ...rest,
+  steps: tool ? [{ tool, action, parameters }] : [],
+  degraded: true,
+});
+
+// Splits "weather in Paris and how many employees..." into separately routed clauses
+const CLAUSE_SPLIT = /\s*(?:,|;)?\s+(?:and|then|also)\s+(?=(?:what|what's|how|tell|list|show|display|count|delete|remove|add|create|update|get|find)\b)/i;
+
+const RULES = [
+  // Weather comparison: "is it warmer in Delhi or Mumbai", "compare the weather in Paris, Rome and Madrid"
+  (query) => {
+    const ranking = COMPARE_METRICS.find(([pattern]) => pattern.test(query));
+    if (!ranking) return null;
+
+    const match = query.match(/\b(?:in|at|between|of)\s+([^?!.]+)/i) || query.match(/,\s*([^?!.]+)/);
+    const locations = match
+      ? cleanLocation(match[1]).split(/\s*(?:,|\bor\b|\band\b|\bvs\.?|\bversus\b)\s*/i).map(cleanLocation).filter(Boolean)
+      : [];
+    // A single place is a plain weather or air quality question
+    if (locations.length < 2) return null;
+
+    return degraded({
+      tool: 'weather',
+      action: 'compare',
+      parameters: { locations, ...ranking[1] },
+      intent: 'Compare weather',
+    });
+  },
+
+  // Weather alerts and air quality: "any weather warnings for Chennai", "air quality in Delhi"
+  (query) => {
+    if (!/\b(air quality|aqi|pollution|(?:weather|storm|severe|heat|flood)\s+(?:alerts?|warnings?))\b/i.test(query)) return null;
+
+    const match = query.match(/\b(?:in|at|for|of)\s+([^?!.]+)/i);
+    const location = match ? cleanLocation(match[1]) : '';
+    if (!location) {
+      return degraded({
+        tool: 'weather',
+        action: 'alerts',
+        insufficientInfo: true,
+        missingInfo: 'location/city name',
+        intent: 'Weather alerts',
+      });
+    }
+
+    return degraded({
+      tool: 'weather',
+      action: 'alerts',
+      parameters: { location },
+      intent: 'Weather alerts',
+    });
+  },
+
+  // Weather: "weather in X", "what's the temperature at X", "X weather"
+  (query) => {
+    if (!/\b(weather|temperature|forecast|climate|rain|raining|humid(ity)?)\b/i.test(query)) return null;
+
+    const match = query.match(/\b(?:in|at|for|of)\s+([^?!.]+)/i) || query.match(/^\s*([^?!.]+?)\s+weather\b/i);
+    const location = match ? cleanLocation(match[1]) : '';
+    // "what's the weather?" has no location, only question words
+    if (!location || /^(what|how|tell|show|get|is)\b|\bthe$/i.test(location)) {
+      return degraded({
+        tool: 'weather',
+        action: 'current',
+        insufficientInfo: true,
+        missingInfo: 'location/city name',
+        intent: 'Get weather information',
+      });
+    }
+
+    const forecast = parseForecast(query);
+    if (forecast) {
+      return degraded({
+        tool: 'weather',
+        action: 'forecast',
+        parameters: { location, ...forecast },
+        intent: 'Get weather forecast',
+      });
+    }
+
+    return degraded({
+      tool: 'weather',
+      action: 'current',
+      parameters: { location },
+      intent: 'Get weather information',
+    });
+  },
+
+  // Count: "how many employees are in Engineering", "count orders where status is pending"
+  (query) => {
+    const match = query.match(/\bhow many\s+(\w+)(.*)$/i) || query.match(/\bcount\s+(?:of\s+)?(?:the\s+|all\s+)*(\w+)(.*)$/i);
+    if (!match) return null;
+
+    const entity = toEntity(match[1]);
+    const filters = parseListFilters(match[2], entity);
+
+    return degraded({
+      tool: 'database',
+      action: 'count',
+      parameters: { entity, filters, data: {} },
+      intent: `Count ${entity || 'records'}`,
+    });
+  },
+
+  // Delete: "delete product PROD-001", "remove employee named John", "remove John"
+  (query) => {
+    const match = query.match(/\b(?:delete|remove)\s+(?:the\s+|a\s+)?(\w+)(.*)$/i);
+    if (!match) return null;
+
+    // "remove all orders" names no record, so the word after "all" is the entity, never a name to match
+    const bulk = BULK_WORDS.has(match[1].toLowerCase());
+    // "remove John" names a record of any entity; the name is never turned into an entity ("johns")
+    const named = !bulk && startsName(match[1], match[2]);
+    const entity = named ? null : toEntity(bulk ? match[2].trim().split(/\s+/)[0] : match[1]);
+    const filters = bulk ? {} : parseIdentifier(named ? `${match[1]}${match[2]}` : match[2]);
+    const missing = Object.keys(filters).length === 0;
+
+    return degraded({
+      tool: 'database',
+      action: 'delete',
+      parameters: { entity, filters, data: {} },
+      insufficientInfo: missing,
+      missingInfo: missing ? 'which record to delete (an ID or name)' : null,
+      guidedResponse: missing ? "To delete a record, tell me which one. Try: 'Delete product PROD-001'." : null,
+      intent: `Delete ${entity || 'record'}`,
+    });
+  },
+
+  // Update: "update employee John's salary to 80000", "update orders where orderId is ORD-001 set status to shipped"
+  (query) => {
+    // Only a leading verb: "show orders with status set to shipped" is a listing
+    if (!UPDATE_COMMAND.test(query)) return null;
+
+    const possessive = query.match(/\b(?:update|modify|change|set|raise)\s+(?:the\s+)?(?:(\w+)\s+)?([\w -]+?)'s\s+([\w ]+?)\s+to\s+(.+)$/i);
+    if (possessive) {
+      const entity = toEntity(possessive[1]) || (/salary|department/i.test(possessive[3]) ? 'employees' : null);
+      return degraded({
+        tool: 'database',
+        action: 'update',
+        parameters: {
+          entity,
+          filters: parseIdentifier(possessive[2]),
+          data: { [toFieldKey(possessive[3])]: coerceValue(possessive[4].replace(/[?.!]+$/, '')) },
+        },
+        intent: `Update ${entity || 'record'}`,
+      });
+    }
+
+    const whereSet = query.match(/\b(?:update|modify)\s+(?:the\s+)?(\w+)\s+(where|with|id|named|[a-z]{2,}-\d+)(.*?)\s+set\s+(.+)$/i);
+    if (whereSet) {
+      const entity = toEntity(whereSet[1]);
+      return degraded({
+        tool: 'database',
+        action: 'update',
+        parameters: {
+          entity,
+          filters: parseIdentifier(`${whereSet[2]}${whereSet[3]}`),
+          data: parseConditions(whereSet[4].replace(/\bto\b/gi, 'is').replace(/[?.!]+$/, '')),
+        },
+        intent: `Update ${entity || 'record'}`,
+      });
+    }
+
+    return degraded({
+      tool: 'database',
+      action: 'update',
+      parameters: { entity: null, filters: {}, data: {} },
+      insufficientInfo: true,
+      missingInfo: 'which record to update and the new values',
+      guidedResponse: "To update a record, try: 'Update employee John's salary to 80000'.",
+      intent: 'Update record',
+    });
+  },
+
+  // Add: "add a new product: Gaming Laptop, price: 1500", "add employee named Anurag salary 500"
+  (query) => {
+    const match = query.match(/\b(?:add|create|insert)\s+(?:a\s+|an\s+)?(?:new\s+)?(\w+)(.*)$/i);
+    if (!match) return null;
+
+    const entity = toEntity(match[1]);
+    const data = parseData(match[2]);
+    const missing = !entity || Object.keys(data).length === 0;
+
+    return degraded({
+      tool: 'database',
+      action: 'create',
+      parameters: { entity, filters: {}, data },
+      insufficientInfo: missing,
+      missingInfo: missing ? `${entity ? entity.replace(/s$/, '') : 'record'} details` : null,
+      guidedResponse: missing ? "To add a record, I need details. Try: 'Add product: Gaming Laptop, price: 1500, stock: 10'." : null,
+      intent: `Add ${entity || 'record'}`,
+    });
+  },
+
+  // Sorted listing: "top 5 highest-paid employees", "show the latest 10 orders", "cheapest product"
+  (query) => {
+    const ranking = SORT_WORDS.map(([pattern, sort]) => ({ match: query.match(pattern), sort })).find(({ match }) => match);
+    if (!ranking) return null;
+
+    // The entity follows the ranking word, after an optional count ("latest 10 orders")
+    const after = query.slice(ranking.match.index + ranking.match[0].length).match(/^\s+(?:(\d+)\s+)?(\w+)/);
+    const entity = after && toEntity(after[2]);
+    if (!entity) return null;
+
+    // ... or the count comes before it ("top 5 highest-paid", "3 cheapest")
+    const count = after[1] || query.slice(0, ranking.match.index).match(/\b(\d+)\s*$/)?.[1];
+    // A singular entity asks for one record ("the cheapest product")
+    const limit = count ? Math.min(Number(count), 50) : (/s$/i.test(after[2]) ? null : 1);
+
+    return degraded({
+      tool: 'database',
+      action: 'read',
+      parameters: { entity, filters: {}, sort: ranking.sort, ...(limit && { limit }) },
+      intent: `List ${entity} by ${ranking.sort.field}`,
+    });
+  },
+
+  // List: "list orders where status is pending", "show me employees in Sales", "show all products", "display database"
+  (query) => {
+    const match = query.match(/\b(?:list|show|display|get|find|view)\s+(?:me\s+|the\s+|all\s+)*(\w+)?(.*)$/i);
+    if (!match) return null;
+
+    const entity = toEntity(match[1]);
+
+    return degraded({
+      tool: 'database',
+      action: 'read',
+      parameters: { entity, filters: parseListFilters(match[2] || '', entity), data: {} },
+      intent: entity ? `List ${entity}` : 'List all records',
+    });
+  },
+];
+
+/**
+ * Route a single clause with the first matching rule
+ * @param {string} clause - Part of the user query
+ * @returns {Object} - Routing instructions for the clause
+ */
+const routeClause = (clause) => {
+  for (const rule of RULES) {
+    const instructions = rule(clause);
+    if (instructions) return instructions;
+  }
+
+  return degraded({
+    tool: null,
+    action: null,
+    insufficientInfo: true,
+    missingInfo: 'Unable to determine what you need. Please be more specific.',
+    intent: 'Unknown',
+  });
+};
+
+/**
+ * Route a query with keyword rules only (no LLM)
+ * @param {string} userQuery - Natural language query from user
+ * @returns {Object} - Routing plan in the routeQuery shape, with degraded: true
+ */
+const routeWithRules = (userQuery) => {
+  const clauses = (userQuery || '').trim().split(CLAUSE_SPLIT).filter(Boolean);
+  const routed = clauses.map(routeClause);
+
+  // Any clause we cannot handle makes the whole plan insufficient
+  const insufficient = routed.find(r => r.insufficientInfo);
+  if (insufficient || routed.length === 1) {
+    return insufficient || routed[0];
+  }
+
+  return {
+    ...routed[0],
+    steps: routed.flatMap(r => r.steps),
+    intent: routed.map(r => r.intent).join('; '),
+  };
+};
+
+module.exports = {
+  routeWithRules,
+};
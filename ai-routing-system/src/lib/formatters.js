@@ -0,0 +1,165 @@
+// src/lib/formatters.js
+// Value formatting by user preferences (see lib/preferences) - shared by the server and the chat UI, so keep it
+// free of server-only dependencies
+// - units: "metric" (°C, km/h, mm) or "imperial" (°F, mph, in); weather providers always answer in metric
+// - currency: ISO 4217 code for money fields in records (salary, amount, price, ...)
+// - timezone: IANA zone for record timestamps (weather times stay in the location's local time)
+// - dateFormat: "short", "medium" or "long" (Intl styles in the answer language), or "iso" ("YYYY-MM-DD HH:mm")
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+const DATE_FORMATS = ['short', 'medium', 'long', 'iso'];
+
+const DEFAULT_PREFERENCES = {
+  units: 'metric',
+  currency: 'USD',
+  timezone: 'UTC',
+  dateFormat: 'medium',
+};
+
+// Words marking a record field as money when they end its name ("salary", "unitPrice", "total_cost", "orderTotal");
+// "totalItems", "totalOrders" and "costCenter" are not money
+const CURRENCY_WORDS = new Set(['salary', 'amount', 'price', 'cost', 'revenue', 'budget', 'total', 'fee', 'fees', 'balance']);
+// Dates stored as text: a calendar day ("2024-03-01") or an instant with its zone ("2024-03-01T09:30:00Z");
+// times without a zone (forecast rows, in the location's local time) are left as they are
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2}))?$/;
+
+const isCurrencyField = (field) => CURRENCY_WORDS.has(String(field)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .pop());
+
+/**
+ * Convert a metric temperature
+ * @param {number} celsius - Temperature in °C
+ * @param {string} units - "metric" or "imperial"
+ * @returns {number} - Temperature in the unit system, rounded to one decimal
+ */
+const convertTemperature = (celsius, units) =>
+  Math.round((units === 'imperial' ? (celsius * 9) / 5 + 32 : celsius) * 10) / 10;
+
+/**
+ * Convert a metric wind speed
+ * @param {number} kph - Speed in km/h
+ * @param {string} units - "metric" or "imperial"
+ * @returns {number} - Speed in km/h or mph, rounded
+ */
+const convertWindSpeed = (kph, units) => Math.round(units === 'imperial' ? kph / 1.609344 : kph);
+
+/**
+ * Convert a metric precipitation amount
+ * @param {number} mm - Amount in millimetres
+ * @param {string} units - "metric" or "imperial"
+ * @returns {number} - Millimetres (one decimal) or inches (two decimals)
+ */
+const convertPrecipitation = (mm, units) =>
+  (units === 'imperial' ? Math.round((mm / 25.4) * 100) / 100 : Math.round(mm * 10) / 10);
+
+/**
+ * Unit labels for a unit system
+ * @param {string} units - "metric" or "imperial"
+ * @returns {Object} - { temperature, windSpeed, precipitation }
+ */
+const getUnitLabels = (units) => (units === 'imperial'
+  ? { temperature: '°F', windSpeed: 'mph', precipitation: 'in' }
+  : { temperature: '°C', windSpeed: 'km/h', precipitation: 'mm' });
+
+/**
+ * Format a metric temperature for display ("18°C", "64°F")
+ * @param {number} celsius - Temperature in °C
+ * @param {string} units - "metric" or "imperial"
+ * @returns {string} - Rounded temperature with its unit
+ */
+const formatTemperature = (celsius, units) =>
+  `${Math.round(convertTemperature(celsius, units))}${getUnitLabels(units).temperature}`;
+
+/**
+ * Read a Firestore timestamp (serialized { _seconds } or live { seconds }), Date or ISO date string
+ * @param {*} value - Field value
+ * @returns {Date|null} - Date, or null when the value is not a date
+ */
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  if (value && typeof value === 'object') {
+    const seconds = value._seconds ?? value.seconds;
+    if (typeof seconds === 'number') return new Date(seconds * 1000);
+    if (typeof value.toDate === 'function') return value.toDate();
+    return null;
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+};
+
+/**
+ * Format a date and time in the user's timezone and date format
+ * @param {Date} date - Date
+ * @param {Object} preferences - { timezone, dateFormat }
+ * @param {string} locale - Answer language
+ * @param {Object} [options] - { dateOnly: leave out the time (dates stored without one) }
+ * @returns {string} - Formatted date
+ */
+const formatDateTime = (date, { timezone, dateFormat }, locale, { dateOnly = false } = {}) => {
+  // Dates without a time are calendar days; shifting them into a timezone could change the day
+  const timeZone = dateOnly ? 'UTC' : timezone;
+
+  if (dateFormat === 'iso') {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    const day = `${parts.year}-${parts.month}-${parts.day}`;
+    return dateOnly ? day : `${day} ${parts.hour}:${parts.minute}`;
+  }
+
+  return new Intl.DateTimeFormat(locale, {
+    timeZone,
+    dateStyle: dateFormat,
+    ...(!dateOnly && { timeStyle: 'short' }),
+  }).format(date);
+};
+
+/**
+ * Format an amount of money
+ * @param {number} amount - Amount
+ * @param {Object} preferences - { currency }
+ * @param {string} locale - Answer language
+ * @returns {string} - Formatted amount ("$80,000.00", "₹80,000.00")
+ */
+const formatCurrency = (amount, { currency }, locale) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+
+/**
+ * Format a record field for display; values that are neither money nor dates are returned unchanged
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @param {Object} preferences - User preferences
+ * @param {string} [locale] - Answer language (default: "en")
+ * @returns {*} - Display string, or the value itself
+ */
+const formatFieldValue = (field, value, preferences, locale = 'en') => {
+  if (typeof value === 'number' && isCurrencyField(field)) {
+    return formatCurrency(value, preferences, locale);
+  }
+  const date = toDate(value);
+  if (date) {
+    return formatDateTime(date, preferences, locale, { dateOnly: typeof value === 'string' && value.length === 10 });
+  }
+  return value;
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  DATE_FORMATS,
+  DEFAULT_PREFERENCES,
+  convertTemperature,
+  convertWindSpeed,
+  convertPrecipitation,
+  getUnitLabels,
+  formatTemperature,
+  formatDateTime,
+  formatCurrency,
+  formatFieldValue,
+};
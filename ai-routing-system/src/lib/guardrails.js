@@ -0,0 +1,221 @@
+// src/lib/guardrails.js
+// Prompt-injection guardrails around the router:
+// - structural isolation of the user query inside the routing prompt
+// - detection of injection patterns in the raw query
+// - a policy check on routed plans before any destructive action reaches a tool
+
+const { getAction } = require('../tools');
+const { isReference } = require('./routingSchema');
+const { translate, DEFAULT_LOCALE } = require('./i18n');
+
+// Delimiters for the untrusted query block in the routing prompt
+const USER_INPUT_OPEN = '<user_query>';
+const USER_INPUT_CLOSE = '</user_query>';
+
+// Patterns that suggest the query is trying to steer the router rather than ask a question
+const INJECTION_PATTERNS = [
+  { reason: 'asks to ignore or override instructions', pattern: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(instructions?|rules?|prompt|above|previous)\b/i },
+  { reason: 'addresses the system prompt or model role', pattern: /\b(system prompt|you are now|act as|new instructions|developer mode)\b/i },
+  { reason: 'contains routing JSON', pattern: /["']?\b(tool|action|steps|insufficientInfo|parameters|filters)\b["']?\s*:\s*["'{[]/i },
+  { reason: 'contains a step reference', pattern: /\$from/i },
+  { reason: 'contains prompt delimiters or code fences', pattern: /<\/?user_query>|```/i },
+  { reason: 'tries to close the quoted query', pattern: /"\s*\n/ },
+];
+
+/**
+ * Encode the user query as an inert data block for the routing prompt.
+ * JSON encoding keeps quotes and newlines from escaping the block, and delimiter lookalikes are defused.
+ * @param {string} query - Raw user query
+ * @returns {string} - Delimited, JSON-encoded query
+ */
+const isolateUserInput = (query) => {
+  const encoded = JSON.stringify(String(query ?? ''))
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e');
+  return `${USER_INPUT_OPEN}${encoded}${USER_INPUT_CLOSE}`;
+};
+
+/**
+ * Detect prompt-injection patterns in a raw user query
+ * @param {string} query - Raw user query
+ * @returns {Object} - { flagged: boolean, reasons: string[] }
+ */
+const detectInjection = (query) => {
+  const reasons = INJECTION_PATTERNS
+    .filter(({ pattern }) => pattern.test(query || ''))
+    .map(({ reason }) => reason);
+  return { flagged: reasons.length > 0, reasons };
+};
+
+/**
+ * Normalize text for grounding checks ("$80,000" and "80000" match, case-insensitive)
+ * @param {*} value - Any value
+ * @returns {string} - Normalized text
+ */
+const normalizeText = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/[$,]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Words that never identify a record on their own ("delete a product" does not ground the value "a")
+const FILLER_WORDS = new Set(['a', 'an', 'the', 'all', 'any', 'every', 'each', 'of', 'to', 'in', 'is', 'and', 'or']);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a value occurs in the query as whole words ("1" is not in "ORD-100", "e" is not in "delete")
+ * @param {string} queryText - Normalized user query
+ * @param {string} text - Normalized value
+ * @returns {boolean}
+ */
+const containsPhrase = (queryText, text) => {
+  if (text.split(' ').every(word => FILLER_WORDS.has(word))) return false;
+  // Letters, combining marks and digits continue a word in any script
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(text)}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(queryText);
+};
+
+// Word starts that ask for a change, per destructive action, in the supported languages ("deleting", "borra" and
+// "हटाओ" all match). A destructive step only runs when the user asked for that kind of change.
+const REQUEST_VERBS = {
+  update: [
+    'updat', 'modif', 'chang', 'edit', 'set', 'rais', 'increas', 'decreas', 'lower', 'reduc', 'adjust', 'correct',
+    'renam', 'promot', 'mark', 'mov', 'transfer', 'replac', 'assign',
+    'actualiz', 'cambi', 'modific', 'aument', 'sub[aei]', 'baj[aeo]', 'corrig', 'correg', 'renombr', 'asign', 'muev',
+    'बदल', 'अपडेट', 'बढ़ा', 'घटा', 'सुधार', 'संशोधन',
+  ],
+  delete: [
+    'delet', 'remov', 'eras', 'drop', 'cancel', 'purg', 'wipe', 'destroy', 'discard', 'get rid', 'fire',
+    'elimin', 'borr', 'quit', 'suprim', 'despid',
+    'हटा', 'मिटा', 'डिलीट', 'निकाल', 'रद्द',
+  ],
+};
+
+/**
+ * Check whether a text asks for a destructive action
+ * @param {string} text - User query
+ * @param {string} action - Canonical action; actions without their own verbs accept any change or removal
+ * @returns {boolean}
+ */
+const asksFor = (text, action) => {
+  const verbs = REQUEST_VERBS[action] || Object.values(REQUEST_VERBS).flat();
+  // NFC on both sides: "ढ़" can be typed precomposed or with a separate nukta
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])(?:${verbs.join('|')})`.normalize('NFC'), 'iu').test(String(text ?? '').normalize('NFC'));
+};
+
+/**
+ * Collect every field value of records remembered from earlier turns
+ * @param {Object[]} turns - Conversation turns
+ * @returns {Set<string>} - Normalized values
+ */
+const collectContextValues = (turns = []) => {
+  const values = new Set();
+  turns.forEach(turn => (turn.steps || []).forEach(step => (step.records || []).forEach(record => {
+    Object.values(record).forEach(value => {
+      if (value !== null && typeof value !== 'object') values.add(normalizeText(value));
+    });
+  })));
+  return values;
+};
+
+/**
+ * Filter keys of a step that identify records
+ * @param {Object} step - Plan step
+ * @returns {string[]}
+ */
+const filterKeys = (step) => Object.keys(step?.parameters?.filters || {}).filter(key => key !== 'entity');
+
+/**
+ * Check whether a filter value came from the user's text, an earlier turn's records or an earlier step
+ * that itself only selects such records
+ * @param {*} value - Filter value
+ * @param {number} stepIndex - Index of the step that owns the value (references must point before it)
+ * @param {Object} grounding - { queryText: normalized user query, contextValues: normalized values from
+ *   conversation records, steps: the whole plan }
+ * @returns {boolean}
+ */
+const isGrounded = (value, stepIndex, grounding) => {
+  // A reference is as specific as the step it points to: "the first employee" of an unfiltered read is anyone
+  if (isReference(value)) {
+    return Number.isInteger(value.$from) && value.$from >= 0 && value.$from < stepIndex
+      && isStepGrounded(value.$from, grounding);
+  }
+  if (Array.isArray(value)) return value.length > 0 && value.every(v => isGrounded(v, stepIndex, grounding));
+
+  const text = normalizeText(value);
+  if (!text) return false;
+  return grounding.contextValues.has(text) || containsPhrase(grounding.queryText, text);
+};
+
+/**
+ * Check whether a step selects records by grounded filters only
+ * @param {number} index - Step index
+ * @param {Object} grounding - See isGrounded
+ * @returns {boolean}
+ */
+const isStepGrounded = (index, grounding) => {
+  const step = grounding.steps[index];
+  const keys = filterKeys(step);
+  return keys.length > 0 && keys.every(key => isGrounded(step.parameters.filters[key], index, grounding));
+};
+
+/**
+ * Check a routed plan against the guardrail policy before it is executed.
+ * Destructive actions (declared with `destructive: true` in the tool registry) are refused when
+ * the query was flagged for injection, when the user did not ask for that kind of change, when their filters
+ * are empty apart from the entity, or when a filter value does not come from the user's own text or from
+ * records shown earlier in the conversation. A value taken from an earlier step counts only when that step's
+ * own filters pass the same check.
+ * The change can be asked for in the query or, when the last turn asked for details instead of changing
+ * anything ("delete an employee" -> "which one?" -> "Jane Smith"), in that turn's query.
+ * @param {Object[]} steps - Routed plan steps
+ * @param {Object} options - { query, turns, injection, locale (language of the violation messages) }
+ * @returns {Object} - { allowed: boolean, violations: string[] }
+ */
+const checkPlanPolicy = (steps, { query, turns = [], injection = detectInjection(query), locale = DEFAULT_LOCALE } = {}) => {
+  const violations = [];
+  const grounding = { queryText: normalizeText(query), contextValues: collectContextValues(turns), steps: steps || [] };
+  const isDestructive = (step) => Boolean(getAction(step.tool, step.action)?.destructive);
+  const lastTurn = turns[turns.length - 1];
+  const pendingQuery = lastTurn && !(lastTurn.steps || []).some(isDestructive) ? lastTurn.query : null;
+
+  grounding.steps.forEach((step, index) => {
+    if (!isDestructive(step)) return;
+    const label = translate(locale, 'guardrails.step', { step: index + 1, tool: step.tool, action: step.action });
+
+    if (injection.flagged) {
+      violations.push(translate(locale, 'guardrails.injection', { label, reasons: injection.reasons.join(', ') }));
+      return;
+    }
+
+    if (!asksFor(query, step.action) && !(pendingQuery && asksFor(pendingQuery, step.action))) {
+      violations.push(translate(locale, 'guardrails.notRequested', { label }));
+      return;
+    }
+
+    const filters = step.parameters?.filters || {};
+    const keys = filterKeys(step);
+
+    if (keys.length === 0) {
+      violations.push(translate(locale, 'guardrails.noFilters', { label }));
+      return;
+    }
+
+    keys.forEach(key => {
+      if (isGrounded(filters[key], index, grounding)) return;
+      violations.push(isReference(filters[key])
+        ? translate(locale, 'guardrails.ungroundedReference', { label, key, source: filters[key].$from + 1 })
+        : translate(locale, 'guardrails.ungrounded', { label, key, value: JSON.stringify(filters[key]) }));
+    });
+  });
+
+  return { allowed: violations.length === 0, violations };
+};
+
+module.exports = {
+  USER_INPUT_OPEN,
+  USER_INPUT_CLOSE,
+  isolateUserInput,
+  detectInjection,
+  checkPlanPolicy,
+};
@@ -0,0 +1,98 @@
+// src/lib/i18n/index.js
+// Message catalog for user-facing text (responses, help, guardrail notices)
+// - Catalogs live in ./locales/<code>.json; English is the reference and the fallback for missing keys
+// - Messages use {name} placeholders: translate('es', 'db.count', { count: 3, entity: 'employees' })
+// - Routing and tool parameters stay in canonical English; only text shown to the user is translated
+
+const en = require('./locales/en.json');
+const es = require('./locales/es.json');
+const hi = require('./locales/hi.json');
+
+const CATALOGS = { en, es, hi };
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Language names for LLM prompts ("Answer in Spanish")
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  hi: 'Hindi',
+};
+
+// Function words that are common in Spanish and rare in English (checked on whole words)
+const SPANISH_WORDS = new Set([
+  'el', 'la', 'los', 'las', 'del', 'de', 'en', 'que', 'qué', 'cuántos', 'cuántas', 'cuantos', 'cuantas',
+  'muestra', 'muéstrame', 'mostrar', 'lista', 'listar', 'agrega', 'agregar', 'añade', 'añadir', 'elimina',
+  'eliminar', 'borra', 'borrar', 'actualiza', 'actualizar', 'clima', 'tiempo', 'hay', 'cómo', 'como', 'está',
+  'empleados', 'pedidos', 'productos', 'todos', 'todas', 'nuevo', 'nueva', 'por', 'para', 'con',
+]);
+
+/**
+ * Map a locale tag ("es-MX", "HI", "en_US") to a supported catalog code
+ * @param {string} value - Locale tag
+ * @returns {string|null} - Supported locale code, or null when unsupported
+ */
+const normalizeLocale = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+/**
+ * Guess the language of a query without an LLM (used when routing did not report one)
+ * @param {string} text - User query
+ * @returns {string} - Supported locale code (English when unsure)
+ */
+const detectLocale = (text) => {
+  const value = String(text || '');
+  // Devanagari script
+  if (/[ऀ-ॿ]/.test(value)) return 'hi';
+  if (/[¿¡ñ]/i.test(value)) return 'es';
+
+  const words = value.toLowerCase().match(/[a-záéíóúüñ]+/g) || [];
+  const spanish = words.filter(word => SPANISH_WORDS.has(word)).length;
+  // One shared word ("la", "con") is not enough; two is a strong signal
+  return spanish >= 2 ? 'es' : DEFAULT_LOCALE;
+};
+
+/**
+ * Look up a raw catalog entry without falling back to English
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @returns {*} - Catalog value (string or string[]), or undefined
+ */
+const lookupMessage = (locale, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  CATALOGS[normalizeLocale(locale) || DEFAULT_LOCALE]
+);
+
+/**
+ * Translate a message key, falling back to English and then to the key itself
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string} - Formatted message
+ */
+const translate = (locale, key, params = {}) => {
+  const template = lookupMessage(locale, key) ?? lookupMessage(DEFAULT_LOCALE, key);
+  if (typeof template !== 'string') return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+/**
+ * Get the English name of a locale for prompts
+ * @param {string} locale - Locale code
+ * @returns {string} - Language name
+ */
+const getLanguageName = (locale) => LANGUAGE_NAMES[normalizeLocale(locale) || DEFAULT_LOCALE];
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  detectLocale,
+  lookupMessage,
+  translate,
+  getLanguageName,
+};
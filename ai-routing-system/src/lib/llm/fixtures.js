@@ -0,0 +1,151 @@
+// src/lib/llm/fixtures.js
+// Record/replay of LLM calls so routing can be tested offline
+// - LLM_FIXTURE_MODE: "record" saves every successful model response, "replay" serves saved responses
+//   without calling any provider (default: off)
+// - LLM_FIXTURES_DIR: where fixture files live (default: "fixtures/llm")
+// Fixtures are keyed by a hash of the normalized prompt, so any prompt template change invalidates them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Get the active fixture mode
+ * @returns {string|null} - "record", "replay" or null
+ */
+const getFixtureMode = () => {
+  const mode = (process.env.LLM_FIXTURE_MODE || '').trim().toLowerCase();
+  return mode === 'record' || mode === 'replay' ? mode : null;
+};
+
+/**
+ * Get the fixture directory
+ * @returns {string} - Absolute directory path
+ */
+const getFixturesDir = () => path.resolve(process.cwd(), process.env.LLM_FIXTURES_DIR || 'fixtures/llm');
+
+/**
+ * Normalize a prompt so whitespace-only differences do not change its key
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Normalized prompt
+ */
+const normalizePrompt = (prompt) => (prompt || '')
+  .replace(/\r\n/g, '\n')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Hash a prompt into a fixture key
+ * @param {string} prompt - Prompt text
+ * @returns {string} - Hex key
+ */
+const getFixtureKey = (prompt) =>
+  crypto.createHash('sha256').update(normalizePrompt(prompt)).digest('hex').slice(0, 16);
+
+/**
+ * Read every fixture in the fixture directory
+ * @returns {Object[]} - Fixtures with their file name
+ */
+const readFixtures = () => {
+  const dir = getFixturesDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+};
+
+/**
+ * List who answered the recorded fixtures
+ * @returns {string[]} - Distinct "provider/model" names, e.g. ["mock/scripted"] for fixtures of the scripted mock
+ */
+const listFixtureSources = () => Array.from(new Set(readFixtures().map(f => `${f.provider}/${f.model}`))).sort();
+
+/**
+ * Find the first line where two prompts differ, to point at the template change
+ * @param {string} recorded - Prompt stored in the fixture
+ * @param {string} current - Prompt sent now
+ * @returns {string} - Short description of the first difference
+ */
+const describePromptChange = (recorded, current) => {
+  const before = normalizePrompt(recorded).split('\n');
+  const after = normalizePrompt(current).split('\n');
+  const line = after.findIndex((text, index) => text !== before[index]);
+  const index = line === -1 ? after.length : line;
+
+  return `first difference at line ${index + 1}: recorded ${JSON.stringify(before[index] ?? '<end>')}, now ${JSON.stringify(after[index] ?? '<end>')}`;
+};
+
+/**
+ * Save a model response as a fixture
+ * @param {string} prompt - Prompt sent to the model
+ * @param {string} [input] - Raw user input the prompt was built from
+ * @param {Object} meta - { provider, model }
+ * @param {Object} result - { text, usage } returned by the provider
+ * @returns {string} - Fixture file name
+ */
+const recordFixture = (prompt, input, { provider, model }, result) => {
+  const dir = getFixturesDir();
+  const key = getFixtureKey(prompt);
+  const file = `${key}.json`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), `${JSON.stringify({
+    key,
+    input: input ?? null,
+    provider,
+    model,
+    prompt,
+    response: { text: result.text, usage: result.usage || null },
+    recordedAt: new Date().toISOString(),
+  }, null, 2)}\n`);
+
+  return file;
+};
+
+/**
+ * Serve the recorded response for a prompt
+ * @param {string} prompt - Prompt to answer
+ * @param {string} [input] - Raw user input the prompt was built from
+ * @returns {Object} - { text, usage, provider, model }
+ * @throws {Error} - FIXTURE_STALE when a fixture exists for the same input but a different prompt,
+ *   FIXTURE_MISSING when nothing was recorded for the input
+ */
+const replayFixture = (prompt, input) => {
+  const key = getFixtureKey(prompt);
+  const fixtures = readFixtures();
+  const fixture = fixtures.find(f => f.key === key);
+
+  if (fixture) {
+    return {
+      text: fixture.response.text,
+      usage: fixture.response.usage,
+      provider: fixture.provider,
+      model: fixture.model,
+    };
+  }
+
+  const stale = input ? fixtures.filter(f => f.input === input) : [];
+  if (stale.length > 0) {
+    throw new Error(
+      `FIXTURE_STALE: ${stale.map(f => f.file).join(', ')} recorded for ${JSON.stringify(input)} no longer match the prompt ` +
+      `(${describePromptChange(stale[0].prompt, prompt)}). Re-record with LLM_FIXTURE_MODE=record.`
+    );
+  }
+
+  throw new Error(
+    `FIXTURE_MISSING: no fixture for prompt ${key}${input ? ` (input ${JSON.stringify(input)})` : ''} in ${getFixturesDir()}. ` +
+    'Record one with LLM_FIXTURE_MODE=record.'
+  );
+};
+
+module.exports = {
+  getFixtureMode,
+  getFixturesDir,
+  getFixtureKey,
+  listFixtureSources,
+  recordFixture,
+  replayFixture,
+};
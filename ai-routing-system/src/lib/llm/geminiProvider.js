@@ -0,0 +1,110 @@
+// src/lib/llm/geminiProvider.js
+// Google Gemini provider for the LLM layer
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Default model order, used when GEMINI_MODELS is not set
+const DEFAULT_MODELS = [
+  "gemini-2.5-flash-lite",      // Primary: Fast and efficient
+  "gemini-2.5-flash",           // Secondary: Higher capability backup
+  "gemini-2.0-flash"            // Fallback: Usage during high load
+];
+
+/**
+ * Get all available Gemini API keys from environment variables
+ * @returns {string[]} Array of unique API keys (empty if none are configured)
+ */
+const getApiKeys = () => {
+  const keys = new Set();
+
+  // 1. Check primary key (split by comma if list)
+  if (process.env.GEMINI_API_KEY) {
+    process.env.GEMINI_API_KEY.split(',').forEach(k => {
+      const trimmed = k.trim();
+      if (trimmed) keys.add(trimmed);
+    });
+  }
+
+  // 2. Check numbered fallback keys
+  Object.keys(process.env).forEach(key => {
+    if (key.match(/^GEMINI_API_KEY_\d+$/)) {
+      const val = process.env[key]?.trim();
+      if (val) keys.add(val);
+    }
+  });
+
+  return Array.from(keys);
+};
+
+/**
+ * Convert Gemini usage metadata to the provider-neutral usage shape
+ * @param {Object} [usage] - response.usageMetadata
+ * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+ */
+const toUsage = (usage = {}) => ({
+  promptTokens: usage.promptTokenCount || 0,
+  outputTokens: usage.candidatesTokenCount || 0,
+  totalTokens: usage.totalTokenCount || 0,
+});
+
+/**
+ * Generate content with a Gemini model
+ * @param {Object} request - { apiKey, model, prompt }
+ * @returns {Promise<Object>} - { text, usage }
+ */
+const generate = async ({ apiKey, model: modelName, prompt }) => {
+  const ai = new GoogleGenerativeAI(apiKey);
+  const model = ai.getGenerativeModel({ model: modelName });
+  const result = await model.generateContent(prompt);
+  const response = await result.response;
+
+  return {
+    text: response.text(),
+    usage: toUsage(response.usageMetadata),
+  };
+};
+
+/**
+ * Generate content with a Gemini model, passing each piece of text to onToken as it is generated
+ * @param {Object} request - { apiKey, model, prompt, onToken: (text) => void }
+ * @returns {Promise<Object>} - { text, usage } once the model has finished
+ */
+const stream = async ({ apiKey, model: modelName, prompt, onToken }) => {
+  const ai = new GoogleGenerativeAI(apiKey);
+  const model = ai.getGenerativeModel({ model: modelName });
+  const result = await model.generateContentStream(prompt);
+
+  let text = '';
+  for await (const chunk of result.stream) {
+    const piece = chunk.text();
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+  }
+
+  const response = await result.response;
+  return { text, usage: toUsage(response.usageMetadata) };
+};
+
+/**
+ * Embed text with a Gemini embedding model
+ * @param {Object} request - { apiKey, model, text }
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+const embed = async ({ apiKey, model: modelName, text }) => {
+  const ai = new GoogleGenerativeAI(apiKey);
+  const model = ai.getGenerativeModel({ model: modelName });
+  const result = await model.embedContent(text);
+  return result.embedding?.values || [];
+};
+
+module.exports = {
+  name: 'gemini',
+  defaultModels: DEFAULT_MODELS,
+  defaultEmbeddingModel: 'text-embedding-004',
+  getApiKeys,
+  isConfigured: () => getApiKeys().length > 0,
+  generate,
+  stream,
+  embed,
+};
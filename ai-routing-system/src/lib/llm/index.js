@@ -0,0 +1,293 @@
+// src/lib/llm/index.js
+// LLM provider layer - walks the configured providers, keys and models until one answers
+// - LLM_PROVIDERS: comma-separated provider order (default: "gemini")
+// - <PROVIDER>_MODELS: comma-separated model order per provider, e.g. GEMINI_MODELS, OLLAMA_MODELS
+// - <PROVIDER>_EMBEDDING_MODEL: embedding model per provider, used by the semantic routing cache
+// - LLM_FIXTURE_MODE: "record" / "replay" model responses for offline tests (see ./fixtures)
+if (typeof window === 'undefined') {
+  try {
+    const path = require('path');
+    const fs = require('fs');
+    const envPath = path.join(process.cwd(), '.env');
+    const envLocalPath = path.join(process.cwd(), '.env.local');
+
+    if (fs.existsSync(envLocalPath)) {
+      require('dotenv').config({ path: envLocalPath });
+    } else if (fs.existsSync(envPath)) {
+      require('dotenv').config({ path: envPath });
+    }
+  } catch (e) {
+  }
+}
+
+const geminiProvider = require('./geminiProvider');
+const openaiProvider = require('./openaiProvider');
+const ollamaProvider = require('./ollamaProvider');
+const mockProvider = require('./mockProvider');
+const { getFixtureMode, recordFixture, replayFixture } = require('./fixtures');
+const keyHealth = require('./keyHealth');
+
+const providers = new Map();
+
+/**
+ * Register a provider implementation
+ * @param {Object} provider - { name, defaultModels, getApiKeys, isConfigured, generate }, optionally { stream, embed, defaultEmbeddingModel }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.generate !== 'function') {
+    throw new Error('A provider needs a name and a generate function');
+  }
+  providers.set(provider.name, provider);
+};
+
+[geminiProvider, openaiProvider, ollamaProvider, mockProvider].forEach(registerProvider);
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} - Provider implementation
+ */
+const getProvider = (name) => providers.get(name);
+
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} value - Raw variable value
+ * @returns {string[]} - Trimmed, non-empty entries
+ */
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(v => v.trim())
+  .filter(Boolean);
+
+/**
+ * Get the model order for a provider (<NAME>_MODELS overrides the defaults)
+ * @param {Object} provider - Provider implementation
+ * @returns {string[]} - Model names in priority order
+ */
+const getModelsFor = (provider) => {
+  const configured = parseList(process.env[`${provider.name.toUpperCase()}_MODELS`]);
+  return configured.length > 0 ? configured : provider.defaultModels;
+};
+
+/**
+ * Resolve the providers to use, in order, skipping ones that are not configured
+ * @returns {Object[]} - Provider implementations
+ */
+const getProviderChain = () => {
+  const order = parseList(process.env.LLM_PROVIDERS);
+  const names = order.length > 0 ? order : ['gemini'];
+
+  const chain = names
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) {
+        console.warn(`Unknown LLM provider "${name}" in LLM_PROVIDERS, skipping.`);
+        return null;
+      }
+      if (!provider.isConfigured()) {
+        console.warn(`LLM provider "${name}" is not configured, skipping.`);
+        return null;
+      }
+      return provider;
+    })
+    .filter(Boolean);
+
+  if (chain.length === 0) {
+    throw new Error('No LLM provider configured. Set GEMINI_API_KEY in .env.local or choose providers with LLM_PROVIDERS.');
+  }
+
+  return chain;
+};
+
+/**
+ * Split text into word-sized chunks (whitespace is kept, so joining the chunks restores the text)
+ * @param {string} text - Generated text
+ * @returns {string[]} - Chunks
+ */
+const chunkText = (text) => String(text || '').match(/\s*\S+\s*/g) || [];
+
+/**
+ * Try to generate content with a specific provider, model and API key
+ * @param {Object} provider - Provider implementation
+ * @param {string|null} apiKey - API Key to use (null for keyless providers)
+ * @param {string} modelName - Model name to try
+ * @param {string} prompt - Prompt to send
+ * @param {string} [input] - Raw user input the prompt was built from
+ * @param {Function} [onToken] - (text) => void; streams the output when the provider can, else gets it in word-sized chunks
+ * @returns {Promise<Object>} - { text, usage }
+ */
+const tryModel = async (provider, apiKey, modelName, prompt, input, onToken) => {
+  try {
+    const streaming = Boolean(onToken) && typeof provider.stream === 'function';
+    const result = streaming
+      ? await provider.stream({ apiKey, model: modelName, prompt, input, onToken })
+      : await provider.generate({ apiKey, model: modelName, prompt, input });
+    if (onToken && !streaming) chunkText(result.text).forEach(onToken);
+    if (getFixtureMode() === 'record' && result.text) {
+      recordFixture(prompt, input, { provider: provider.name, model: modelName }, result);
+    }
+    return result;
+  } catch (error) {
+    // Handle specific error cases for routing logic
+    const errorMessage = error.message || '';
+    const errorStatus = error.status || error.response?.status || error.statusCode;
+
+    // Rethrow quota errors to trigger key rotation
+    if (errorStatus === 429 || errorMessage.includes('429') || errorMessage.includes('quota')) {
+      throw new Error(`QUOTA_EXCEEDED: ${modelName}`);
+    }
+
+    if (
+      errorStatus === 404 ||
+      errorMessage.includes('not found') ||
+      errorMessage.includes('404') ||
+      errorMessage.includes('is not found for API version') ||
+      errorMessage.includes('is not supported for generateContent')
+    ) {
+      throw new Error(`MODEL_NOT_FOUND: ${modelName}`);
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Generate text with provider, key and model fallback
+ * @param {string} prompt - Prompt to send
+ * @param {Object} [options] - { input: raw user input, used by scripted providers,
+ *   onToken: (text) => void, called with the output as it is generated }
+ * @returns {Promise<Object>} - { text, usage, provider, model, keyIndex }
+ */
+const generateText = async (prompt, options = {}) => {
+  // Replay never touches the network: a missing or stale fixture is an error, not a fallback
+  if (getFixtureMode() === 'replay') {
+    const replayed = replayFixture(prompt, options.input);
+    if (options.onToken) chunkText(replayed.text).forEach(options.onToken);
+    return { ...replayed, keyIndex: 0 };
+  }
+
+  // Once output has reached the caller, another model's answer cannot replace it
+  let streamed = false;
+  const onToken = options.onToken && ((text) => {
+    streamed = true;
+    options.onToken(text);
+  });
+
+  const chain = getProviderChain();
+  let lastError = null;
+
+  let skipped = 0;
+
+  // Strategy: Nested retry loop (Providers -> Keys -> Models) to handle rate limits,
+  // skipping key/model pairs whose circuit breaker is open
+  for (const provider of chain) {
+    const apiKeys = provider.getApiKeys();
+    const models = getModelsFor(provider);
+
+    for (const i of keyHealth.orderKeys(provider.name, apiKeys.length, models)) {
+      const apiKey = apiKeys[i];
+
+      for (const modelName of models) {
+        if (!keyHealth.isAvailable(provider.name, i, modelName)) {
+          skipped++;
+          continue;
+        }
+
+        const startedAt = Date.now();
+        try {
+          const result = await tryModel(provider, apiKey, modelName, prompt, options.input, onToken);
+          if (!result.text) {
+            throw new Error(`Empty response from ${provider.name}/${modelName}`);
+          }
+          keyHealth.recordSuccess(provider.name, i, modelName, Date.now() - startedAt);
+          return {
+            ...result,
+            provider: provider.name,
+            model: modelName,
+            keyIndex: i,
+          };
+        } catch (error) {
+          lastError = error;
+          keyHealth.recordFailure(provider.name, i, modelName, error, apiKey);
+          if (streamed) {
+            throw new Error(`STREAM_INTERRUPTED: ${provider.name}/${modelName} failed after streaming part of its output: ${error.message}`);
+          }
+          if (error.message?.includes('QUOTA_EXCEEDED')) {
+            console.log(`Quota exceeded for ${provider.name} model ${modelName} on key ${i}, cooling down and checking next...`);
+          } else if (error.message?.includes('MODEL_NOT_FOUND')) {
+            console.log(`${provider.name} model ${modelName} not found on key ${i}, disabled; trying next...`);
+          } else {
+            console.warn(`Error with ${provider.name} model ${modelName}:`, error.message);
+          }
+        }
+      }
+
+      console.log(`${provider.name} key ${i} exhausted, trying next...`);
+    }
+  }
+
+  if (!lastError && skipped > 0) {
+    throw new Error(`All providers, keys and models are cooling down or disabled (${skipped} skipped). See /api/admin/llm-status.`);
+  }
+
+  throw new Error(`All providers, keys and models failed. Last error: ${lastError?.message || 'Unknown error'}`);
+};
+
+/**
+ * Embed text with the first provider in the chain that supports embeddings
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+const embedText = async (text) => {
+  // Embeddings are not recorded, so replay stays fully offline
+  if (getFixtureMode() === 'replay') {
+    throw new Error('Embeddings are not available in fixture replay mode');
+  }
+
+  let lastError = null;
+
+  for (const provider of getProviderChain().filter(p => typeof p.embed === 'function')) {
+    const model = process.env[`${provider.name.toUpperCase()}_EMBEDDING_MODEL`] || provider.defaultEmbeddingModel;
+
+    for (const apiKey of provider.getApiKeys()) {
+      try {
+        const vector = await provider.embed({ apiKey, model, text });
+        if (vector.length > 0) return vector;
+      } catch (error) {
+        lastError = error;
+        console.warn(`Embedding with ${provider.name}/${model} failed:`, error.message);
+      }
+    }
+  }
+
+  throw new Error(`No provider could embed the text. Last error: ${lastError?.message || 'no provider supports embeddings'}`);
+};
+
+/**
+ * Health of every configured provider key and model, without key material
+ * @returns {Object[]} - One entry per provider key (see keyHealth.describeKeyHealth)
+ */
+const getKeyStatus = () => {
+  let chain;
+  try {
+    chain = getProviderChain();
+  } catch {
+    return [];
+  }
+
+  return chain.flatMap(provider => {
+    const models = getModelsFor(provider);
+    return provider.getApiKeys().map((apiKey, i) => keyHealth.describeKeyHealth(provider.name, i, apiKey, models));
+  });
+};
+
+module.exports = {
+  generateText,
+  embedText,
+  getKeyStatus,
+  tryModel,
+  registerProvider,
+  getProvider,
+  getProviderChain,
+  getModelsFor,
+};
@@ -0,0 +1,190 @@
+// src/lib/llm/keyHealth.js
+// Health state and circuit breaker per provider key and model, so requests skip keys that are known to fail
+// - QUOTA_EXCEEDED opens the breaker for a cooldown that doubles on every consecutive quota error
+// - MODEL_NOT_FOUND disables the model for that key until the process restarts
+// - other errors open the breaker after LLM_BREAKER_THRESHOLD consecutive failures
+// - when a cooldown ends the next call is a trial: success closes the breaker, failure reopens it
+// Configuration:
+// - LLM_KEY_COOLDOWN_MS: first cooldown after a quota error (default: 60000)
+// - LLM_KEY_MAX_COOLDOWN_MS: cooldown cap (default: 3600000)
+// - LLM_BREAKER_THRESHOLD: consecutive non-quota failures before the breaker opens (default: 3)
+// - LLM_KEY_SELECTION: "weighted" (default) orders keys by success rate with random tie-breaking, "ordered" keeps config order
+const crypto = require('crypto');
+
+const readNumber = (name, fallback) => {
+  const value = Number.parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getConfig = () => ({
+  cooldownMs: readNumber('LLM_KEY_COOLDOWN_MS', 60 * 1000),
+  maxCooldownMs: readNumber('LLM_KEY_MAX_COOLDOWN_MS', 60 * 60 * 1000),
+  breakerThreshold: readNumber('LLM_BREAKER_THRESHOLD', 3),
+  selection: process.env.LLM_KEY_SELECTION === 'ordered' ? 'ordered' : 'weighted',
+});
+
+// `${provider}:${keyIndex}:${model}` -> health entry
+// Kept on globalThis so every route bundle in the server process shares one state
+const health = globalThis.__llmKeyHealth || (globalThis.__llmKeyHealth = new Map());
+
+const entryKey = (provider, keyIndex, model) => `${provider}:${keyIndex}:${model}`;
+
+const getEntry = (provider, keyIndex, model) => {
+  const key = entryKey(provider, keyIndex, model);
+  if (!health.has(key)) {
+    health.set(key, {
+      disabled: false,
+      cooldownUntil: 0,
+      quotaStrikes: 0,
+      consecutiveFailures: 0,
+      successes: 0,
+      failures: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastSuccessAt: null,
+      lastLatencyMs: null,
+    });
+  }
+  return health.get(key);
+};
+
+/**
+ * Check whether a key/model may be called now
+ * @param {string} provider - Provider name
+ * @param {number} keyIndex - Key index
+ * @param {string} model - Model name
+ * @returns {boolean}
+ */
+const isAvailable = (provider, keyIndex, model) => {
+  const entry = health.get(entryKey(provider, keyIndex, model));
+  if (!entry) return true;
+  return !entry.disabled && entry.cooldownUntil <= Date.now();
+};
+
+/**
+ * Record a successful call (closes the breaker)
+ * @param {string} provider - Provider name
+ * @param {number} keyIndex - Key index
+ * @param {string} model - Model name
+ * @param {number} latencyMs - Call duration
+ */
+const recordSuccess = (provider, keyIndex, model, latencyMs) => {
+  const entry = getEntry(provider, keyIndex, model);
+  entry.successes++;
+  entry.consecutiveFailures = 0;
+  entry.quotaStrikes = 0;
+  entry.cooldownUntil = 0;
+  entry.lastSuccessAt = Date.now();
+  entry.lastLatencyMs = latencyMs;
+};
+
+/**
+ * Record a failed call and open the breaker when the failure calls for it
+ * @param {string} provider - Provider name
+ * @param {number} keyIndex - Key index
+ * @param {string} model - Model name
+ * @param {Error} error - Normalized error from tryModel
+ * @param {string|null} [apiKey] - Key used, redacted from the stored error message
+ */
+const recordFailure = (provider, keyIndex, model, error, apiKey) => {
+  const { cooldownMs, maxCooldownMs, breakerThreshold } = getConfig();
+  const entry = getEntry(provider, keyIndex, model);
+  const message = error?.message || 'Unknown error';
+
+  entry.failures++;
+  entry.consecutiveFailures++;
+  entry.lastError = apiKey ? message.split(apiKey).join('***') : message;
+  entry.lastErrorAt = Date.now();
+
+  if (message.includes('MODEL_NOT_FOUND')) {
+    entry.disabled = true;
+  } else if (message.includes('QUOTA_EXCEEDED')) {
+    entry.quotaStrikes++;
+    entry.cooldownUntil = Date.now() + Math.min(cooldownMs * 2 ** (entry.quotaStrikes - 1), maxCooldownMs);
+  } else if (entry.consecutiveFailures >= breakerThreshold) {
+    entry.cooldownUntil = Date.now() + cooldownMs;
+  }
+};
+
+/**
+ * Order key indexes for a provider: keys with an available model first, weighted by success rate
+ * @param {string} provider - Provider name
+ * @param {number} keyCount - Number of keys
+ * @param {string[]} models - Model names
+ * @returns {number[]} - Key indexes in the order to try
+ */
+const orderKeys = (provider, keyCount, models) => {
+  const indexes = Array.from({ length: keyCount }, (_, i) => i);
+  if (getConfig().selection === 'ordered') return indexes;
+
+  const scored = indexes.map(keyIndex => {
+    const entries = models.map(model => health.get(entryKey(provider, keyIndex, model))).filter(Boolean);
+    const successes = entries.reduce((sum, e) => sum + e.successes, 0);
+    const failures = entries.reduce((sum, e) => sum + e.failures, 0);
+    // Laplace-smoothed success rate: unknown keys start at 0.5
+    const weight = (successes + 1) / (successes + failures + 2);
+    const available = models.some(model => isAvailable(provider, keyIndex, model));
+    // Weighted random ordering (Efraimidis-Spirakis): higher weight tends to come first
+    return { keyIndex, available, rank: Math.random() ** (1 / weight) };
+  });
+
+  return scored
+    .sort((a, b) => (b.available - a.available) || (b.rank - a.rank))
+    .map(({ keyIndex }) => keyIndex);
+};
+
+/**
+ * Describe the health of one key and its models, safe to show to operators (no key material)
+ * @param {string} provider - Provider name
+ * @param {number} keyIndex - Key index
+ * @param {string|null} apiKey - API key, only used for a short non-reversible fingerprint
+ * @param {string[]} models - Model names configured for the provider
+ * @returns {Object} - { provider, keyIndex, fingerprint, models: [...] }
+ */
+const describeKeyHealth = (provider, keyIndex, apiKey, models) => {
+  const now = Date.now();
+
+  return {
+    provider,
+    keyIndex,
+    fingerprint: apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 8) : null,
+    models: models.map(model => {
+      const entry = health.get(entryKey(provider, keyIndex, model));
+      if (!entry) return { model, state: 'unused' };
+
+      let state = 'healthy';
+      if (entry.disabled) state = 'disabled';
+      else if (entry.cooldownUntil > now) state = 'cooling_down';
+      else if (entry.cooldownUntil > 0) state = 'trial';
+
+      return {
+        model,
+        state,
+        cooldownRemainingMs: Math.max(0, entry.cooldownUntil - now),
+        successes: entry.successes,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        lastError: entry.lastError,
+        lastErrorAt: entry.lastErrorAt && new Date(entry.lastErrorAt).toISOString(),
+        lastSuccessAt: entry.lastSuccessAt && new Date(entry.lastSuccessAt).toISOString(),
+        lastLatencyMs: entry.lastLatencyMs,
+      };
+    }),
+  };
+};
+
+/**
+ * Forget all health state (e.g. after rotating keys)
+ */
+const resetHealth = () => {
+  health.clear();
+};
+
+module.exports = {
+  isAvailable,
+  recordSuccess,
+  recordFailure,
+  orderKeys,
+  describeKeyHealth,
+  resetHealth,
+};
@@ -0,0 +1,77 @@
+// src/lib/llm/mockProvider.js
+// Scripted in-process provider for CI and offline development
+// - MOCK_LLM_SCRIPT: path to a JSON file with an array of rules
+//   Each rule: { "match": "regex (optional)", "response": string | object }
+//   Rules with "match" are tested against the user input (case-insensitive);
+//   rules without it are consumed in order as a queue.
+const fs = require('fs');
+const path = require('path');
+
+let scriptedRules = null;
+let queueIndex = 0;
+
+/**
+ * Replace the active script (used by scripts and tests instead of MOCK_LLM_SCRIPT)
+ * @param {Object[]} rules - Array of { match, response } rules
+ */
+const setScript = (rules) => {
+  scriptedRules = Array.isArray(rules) ? rules : [];
+  queueIndex = 0;
+};
+
+/**
+ * Load the script from MOCK_LLM_SCRIPT once, unless one was set in-process
+ * @returns {Object[]} - Active rules
+ */
+const getScript = () => {
+  if (scriptedRules) return scriptedRules;
+
+  const scriptPath = process.env.MOCK_LLM_SCRIPT;
+  if (!scriptPath) {
+    scriptedRules = [];
+    return scriptedRules;
+  }
+
+  const resolved = path.resolve(process.cwd(), scriptPath);
+  scriptedRules = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  return scriptedRules;
+};
+
+/**
+ * Return the scripted response for a prompt
+ * @param {Object} request - { prompt, input }
+ * @returns {Promise<Object>} - { text, usage }
+ */
+const generate = async ({ prompt, input }) => {
+  const rules = getScript();
+  const subject = input || prompt;
+
+  let rule = rules.find(r => r.match && new RegExp(r.match, 'i').test(subject));
+
+  if (!rule) {
+    const queued = rules.filter(r => !r.match);
+    if (queueIndex < queued.length) {
+      rule = queued[queueIndex];
+      queueIndex += 1;
+    }
+  }
+
+  if (!rule) {
+    throw new Error(`MOCK_NO_MATCH: no scripted response for "${subject.slice(0, 80)}"`);
+  }
+
+  const text = typeof rule.response === 'string' ? rule.response : JSON.stringify(rule.response);
+  return {
+    text,
+    usage: { promptTokens: 0, outputTokens: 0, totalTokens: 0 },
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  defaultModels: ['scripted'],
+  getApiKeys: () => [null],
+  isConfigured: () => true,
+  generate,
+  setScript,
+};
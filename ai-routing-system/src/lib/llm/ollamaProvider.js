@@ -0,0 +1,91 @@
+// src/lib/llm/ollamaProvider.js
+// Local Ollama server provider (no API key, talks to /api/generate)
+const axios = require('axios');
+const { readLines } = require('./readLines');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+const DEFAULT_MODELS = ['llama3.1'];
+
+/**
+ * Convert Ollama token counts to the provider-neutral usage shape
+ * @param {Object} [result] - Final /api/generate response
+ * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+ */
+const toUsage = (result = {}) => {
+  const promptTokens = result.prompt_eval_count || 0;
+  const outputTokens = result.eval_count || 0;
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+};
+
+/**
+ * Generate content with a model served by Ollama
+ * @param {Object} request - { model, prompt }
+ * @returns {Promise<Object>} - { text, usage }
+ */
+const generate = async ({ model, prompt }) => {
+  const baseUrl = (process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const response = await axios.post(
+    `${baseUrl}/api/generate`,
+    { model, prompt, stream: false, options: { temperature: 0 } },
+    { timeout: 60000 }
+  );
+
+  return {
+    text: response.data?.response || '',
+    usage: toUsage(response.data),
+  };
+};
+
+/**
+ * Generate content with a model served by Ollama, passing each piece of text to onToken as it is generated
+ * @param {Object} request - { model, prompt, onToken: (text) => void }
+ * @returns {Promise<Object>} - { text, usage } once the model has finished
+ */
+const stream = async ({ model, prompt, onToken }) => {
+  const baseUrl = (process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  const response = await axios.post(
+    `${baseUrl}/api/generate`,
+    { model, prompt, stream: true, options: { temperature: 0 } },
+    { timeout: 60000, responseType: 'stream' }
+  );
+
+  let text = '';
+  let usage = toUsage();
+  // One JSON object per line; the last one has "done": true and the token counts
+  for await (const line of readLines(response.data)) {
+    const chunk = JSON.parse(line);
+    if (chunk.error) throw new Error(chunk.error);
+    if (chunk.response) {
+      text += chunk.response;
+      onToken(chunk.response);
+    }
+    if (chunk.done) usage = toUsage(chunk);
+  }
+
+  return { text, usage };
+};
+
+/**
+ * Embed text with a model served by Ollama
+ * @param {Object} request - { model, text }
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+const embed = async ({ model, text }) => {
+  const baseUrl = (process.env.OLLAMA_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const response = await axios.post(`${baseUrl}/api/embeddings`, { model, prompt: text }, { timeout: 30000 });
+  return response.data?.embedding || [];
+};
+
+module.exports = {
+  name: 'ollama',
+  defaultModels: DEFAULT_MODELS,
+  defaultEmbeddingModel: 'nomic-embed-text',
+  // Ollama runs locally without credentials; a single keyless slot
+  getApiKeys: () => [null],
+  isConfigured: () => true,
+  generate,
+  stream,
+  embed,
+};
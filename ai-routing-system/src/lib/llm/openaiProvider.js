@@ -0,0 +1,144 @@
+// src/lib/llm/openaiProvider.js
+// OpenAI-compatible chat completions provider (OpenAI, vLLM, LM Studio, Azure-style gateways)
+const axios = require('axios');
+const { readLines } = require('./readLines');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODELS = ['gpt-4o-mini'];
+
+/**
+ * Get all configured OpenAI-compatible API keys
+ * @returns {string[]} Array of unique API keys
+ */
+const getApiKeys = () => {
+  const keys = new Set();
+
+  if (process.env.OPENAI_API_KEY) {
+    process.env.OPENAI_API_KEY.split(',').forEach(k => {
+      const trimmed = k.trim();
+      if (trimmed) keys.add(trimmed);
+    });
+  }
+
+  Object.keys(process.env).forEach(key => {
+    if (key.match(/^OPENAI_API_KEY_\d+$/)) {
+      const val = process.env[key]?.trim();
+      if (val) keys.add(val);
+    }
+  });
+
+  // Self-hosted OpenAI-compatible servers often run without auth
+  if (keys.size === 0 && process.env.OPENAI_BASE_URL) {
+    return [null];
+  }
+
+  return Array.from(keys);
+};
+
+/**
+ * Convert OpenAI usage to the provider-neutral usage shape
+ * @param {Object} [usage] - Usage block of a completion
+ * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+ */
+const toUsage = (usage = {}) => ({
+  promptTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0,
+  totalTokens: usage.total_tokens || 0,
+});
+
+/**
+ * Post to the /chat/completions endpoint
+ * @param {string|null} apiKey - API key (null for servers without auth)
+ * @param {string} prompt - Prompt to send
+ * @param {Object} body - Request body besides the messages and temperature
+ * @param {Object} [options] - Extra axios options
+ * @returns {Promise<Object>} - Axios response
+ */
+const postCompletion = (apiKey, prompt, body, options = {}) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return axios.post(
+    `${baseUrl}/chat/completions`,
+    { ...body, messages: [{ role: 'user', content: prompt }], temperature: 0 },
+    { headers, timeout: 30000, ...options }
+  );
+};
+
+/**
+ * Generate content through the /chat/completions endpoint
+ * @param {Object} request - { apiKey, model, prompt }
+ * @returns {Promise<Object>} - { text, usage }
+ */
+const generate = async ({ apiKey, model, prompt }) => {
+  const response = await postCompletion(apiKey, prompt, { model });
+
+  return {
+    text: response.data?.choices?.[0]?.message?.content || '',
+    usage: toUsage(response.data?.usage),
+  };
+};
+
+/**
+ * Generate content through /chat/completions with "stream": true, passing each delta to onToken
+ * @param {Object} request - { apiKey, model, prompt, onToken: (text) => void }
+ * @returns {Promise<Object>} - { text, usage } once the stream ends
+ */
+const stream = async ({ apiKey, model, prompt, onToken }) => {
+  const response = await postCompletion(
+    apiKey,
+    prompt,
+    { model, stream: true, stream_options: { include_usage: true } },
+    { responseType: 'stream' }
+  );
+
+  let text = '';
+  let usage;
+  // Server-Sent Events: "data: {chunk}" lines, ending with "data: [DONE]"
+  for await (const line of readLines(response.data)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice('data:'.length).trim();
+    if (data === '[DONE]') break;
+
+    const chunk = JSON.parse(data);
+    const piece = chunk.choices?.[0]?.delta?.content;
+    if (piece) {
+      text += piece;
+      onToken(piece);
+    }
+    // Sent in the last chunk when the server supports stream_options
+    if (chunk.usage) usage = chunk.usage;
+  }
+
+  return { text, usage: toUsage(usage) };
+};
+
+/**
+ * Embed text through the /embeddings endpoint
+ * @param {Object} request - { apiKey, model, text }
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+const embed = async ({ apiKey, model, text }) => {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await axios.post(`${baseUrl}/embeddings`, { model, input: text }, { headers, timeout: 30000 });
+  return response.data?.data?.[0]?.embedding || [];
+};
+
+module.exports = {
+  name: 'openai',
+  defaultModels: DEFAULT_MODELS,
+  defaultEmbeddingModel: 'text-embedding-3-small',
+  getApiKeys,
+  isConfigured: () => getApiKeys().length > 0,
+  generate,
+  stream,
+  embed,
+};
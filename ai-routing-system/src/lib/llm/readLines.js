@@ -0,0 +1,28 @@
+// src/lib/llm/readLines.js
+// Line reader for streamed HTTP responses (Server-Sent Events from OpenAI-compatible servers, NDJSON from Ollama)
+
+/**
+ * Yield the non-empty lines of a Node.js readable stream as they arrive
+ * @param {Object} stream - Readable stream (axios response data with responseType "stream")
+ * @returns {AsyncGenerator<string>} - Trimmed lines
+ */
+async function* readLines(stream) {
+  // Decode as UTF-8 in the stream so multi-byte characters split across chunks stay intact
+  stream.setEncoding('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+
+  if (buffer.trim()) yield buffer.trim();
+}
+
+module.exports = {
+  readLines,
+};
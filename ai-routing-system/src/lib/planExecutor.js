@@ -0,0 +1,164 @@
+// src/lib/planExecutor.js
+// Plan Executor - Runs routed plan steps in order, resolving references to earlier step results
+
+const { getTool } = require('../tools');
+const { isReference } = require('./routingSchema');
+const { translate, DEFAULT_LOCALE } = require('./i18n');
+const { DEFAULT_PREFERENCES } = require('./formatters');
+
+/**
+ * Compare two field values for min/max selection (numbers numerically, everything else as text)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a ?? '').localeCompare(String(b ?? ''));
+};
+
+/**
+ * Resolve a single reference against the results of earlier steps
+ * @param {Object} ref - { $from, select, by, field }
+ * @param {Object[]} results - Results of the steps run so far
+ * @param {number} stepIndex - Index of the step being resolved
+ * @returns {*} - Referenced value
+ */
+const resolveReference = (ref, results, stepIndex) => {
+  const source = results[ref.$from];
+  const records = Array.isArray(source?.data) ? source.data : [];
+  const select = ref.select || 'first';
+
+  if (select === 'count') return records.length;
+
+  if (records.length === 0) {
+    throw new Error(`Step ${stepIndex + 1} needs a result from step ${ref.$from + 1}, which returned no records.`);
+  }
+
+  // Without an explicit field, a reference points at the record ID
+  const pluck = (record) => (ref.field ? record[ref.field] : record.id);
+
+  switch (select) {
+    case 'all':
+      return records.map(pluck);
+    case 'last':
+      return pluck(records[records.length - 1]);
+    case 'min':
+    case 'max': {
+      const sorted = [...records].sort((a, b) => compareValues(a[ref.by], b[ref.by]));
+      return pluck(select === 'min' ? sorted[0] : sorted[sorted.length - 1]);
+    }
+    default:
+      return pluck(records[0]);
+  }
+};
+
+/**
+ * Replace every reference nested in a parameter value with its resolved value
+ * @param {*} value - Parameter value
+ * @param {Object[]} results - Results of the steps run so far
+ * @param {number} stepIndex - Index of the step being resolved
+ * @returns {*} - Value with references resolved
+ */
+const resolveParameters = (value, results, stepIndex) => {
+  if (isReference(value)) return resolveReference(value, results, stepIndex);
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, resolveParameters(nested, results, stepIndex)])
+    );
+  }
+
+  return value;
+};
+
+/**
+ * Execute one resolved step through its registered tool
+ * @param {Object} step - { tool, action, parameters } with references resolved
+ * @param {Object} context - { locale: language of the tool's message, userEmail, preferences: user's units and formats }
+ * @returns {Promise<Object>} - { message, data, entity, clarification?, insufficientInfo? }
+ */
+const executeStep = async ({ tool, action, parameters = {} }, context) => {
+  const definition = getTool(tool);
+  if (!definition) {
+    throw new Error(`Unknown tool: ${tool}`);
+  }
+
+  return definition.execute(action, parameters, context);
+};
+
+/**
+ * Run plan steps in order; stops at the first failing step, at a step that needs the user to choose,
+ * or at a step whose input needs correcting
+ * @param {Object[]} steps - Validated plan steps
+ * @param {Object} [options] - Progress callbacks, locale and user
+ * @param {Function} [options.onStepStart] - (index, step) => void, before a step runs
+ * @param {Function} [options.onStepComplete] - (index, result) => void, after a step succeeds or fails
+ * @param {string} [options.locale] - Language of the step messages (default: "en")
+ * @param {string} [options.userEmail] - User the plan runs for (tools may remember per-user choices)
+ * @param {Object} [options.preferences] - User's units, currency, timezone and date format (see lib/preferences)
+ * @returns {Promise<Object>} - { results, response, failed, clarification: { step, parameter, missingInfo, options } or null,
+ *   insufficientInfo: { step, missingInfo, fieldErrors } or null }
+ */
+const executePlan = async (steps, { onStepStart = () => {}, onStepComplete = () => {}, locale = DEFAULT_LOCALE, userEmail = null, preferences = DEFAULT_PREFERENCES } = {}) => {
+  const results = [];
+  let clarification = null;
+  let insufficientInfo = null;
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    onStepStart(index, step);
+
+    try {
+      const parameters = resolveParameters(step.parameters || {}, results, index);
+      const result = await executeStep({ ...step, parameters }, { locale, userEmail, preferences });
+      results.push({ tool: step.tool, action: step.action, ...result });
+      onStepComplete(index, results[index]);
+      // Later steps may depend on the answer, so the plan waits for the user's choice
+      if (result.clarification) {
+        clarification = { step: index + 1, ...result.clarification };
+        break;
+      }
+      // Nothing was done; the user is told what to correct (e.g. a field that does not fit the entity's schema)
+      if (result.insufficientInfo) {
+        insufficientInfo = { step: index + 1, ...result.insufficientInfo };
+        break;
+      }
+    } catch (error) {
+      console.error(`Plan step ${index + 1} (${step.tool}) failed:`, error);
+      results.push({
+        tool: step.tool,
+        action: step.action,
+        message: null,
+        data: null,
+        entity: step.parameters?.entity || null,
+        error: error.message || 'An unknown error occurred',
+      });
+      onStepComplete(index, results[index]);
+      break;
+    }
+  }
+
+  const failedResult = results.find(r => r.error);
+  const messages = results.filter(r => !r.error).map(r => r.message);
+
+  if (failedResult) {
+    messages.push(translate(locale, 'plan.stepFailed', { step: results.length, tool: failedResult.tool, error: failedResult.error }));
+    if (results.length < steps.length) {
+      messages.push(translate(locale, 'plan.stepsSkipped', { count: steps.length - results.length }));
+    }
+  }
+
+  return {
+    results,
+    response: messages.join('\n\n'),
+    failed: Boolean(failedResult),
+    clarification,
+    insufficientInfo,
+  };
+};
+
+module.exports = {
+  executePlan,
+  resolveParameters,
+};
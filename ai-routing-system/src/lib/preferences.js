@@ -0,0 +1,115 @@
+// src/lib/preferences.js
+// Per-user display preferences (units, currency, timezone, date format), stored in Firestore by auth email
+// and applied by the weather tool, the response synthesizer and the chat UI (see lib/formatters)
+const { LRUCache } = require('lru-cache');
+const { firestoreAdmin, isFirestoreReady } = require('./firebase/firebase');
+const { UNIT_SYSTEMS, DATE_FORMATS, DEFAULT_PREFERENCES } = require('./formatters');
+
+const COLLECTION = 'user_preferences';
+const PREFERENCE_FIELDS = Object.keys(DEFAULT_PREFERENCES);
+
+// Shared across route bundles in the server process (see llm/keyHealth.js); every query reads preferences,
+// so they are cached briefly rather than read from Firestore each time
+const preferenceCache = globalThis.__userPreferences || (globalThis.__userPreferences = new LRUCache({
+  max: 1000,
+  ttl: 5 * 60 * 1000,
+}));
+
+const documentId = (email) => email.trim().toLowerCase();
+
+/**
+ * Check a preferences update
+ * @param {Object} changes - Fields to change
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+const validatePreferences = (changes) => {
+  const errors = [];
+
+  Object.keys(changes).filter(field => !PREFERENCE_FIELDS.includes(field)).forEach((field) => {
+    errors.push(`Unknown preference "${field}". Supported: ${PREFERENCE_FIELDS.join(', ')}.`);
+  });
+
+  if (changes.units !== undefined && !UNIT_SYSTEMS.includes(changes.units)) {
+    errors.push(`units must be one of: ${UNIT_SYSTEMS.join(', ')}.`);
+  }
+  if (changes.dateFormat !== undefined && !DATE_FORMATS.includes(changes.dateFormat)) {
+    errors.push(`dateFormat must be one of: ${DATE_FORMATS.join(', ')}.`);
+  }
+  if (changes.currency !== undefined) {
+    try {
+      if (!/^[A-Z]{3}$/.test(changes.currency)) throw new RangeError();
+      new Intl.NumberFormat('en', { style: 'currency', currency: changes.currency });
+    } catch (error) {
+      errors.push('currency must be a three-letter ISO 4217 code such as USD, EUR or INR.');
+    }
+  }
+  if (changes.timezone !== undefined) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: changes.timezone });
+    } catch (error) {
+      errors.push('timezone must be an IANA timezone such as UTC, Europe/Madrid or Asia/Kolkata.');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Get a user's preferences; missing fields, unauthenticated users and an unavailable Firestore get the defaults
+ * @param {string|null} email - User's email address
+ * @returns {Promise<Object>} - { units, currency, timezone, dateFormat }
+ */
+const getPreferences = async (email) => {
+  if (!email) return { ...DEFAULT_PREFERENCES };
+
+  const id = documentId(email);
+  const cached = preferenceCache.get(id);
+  if (cached) return cached;
+
+  if (!isFirestoreReady()) return { ...DEFAULT_PREFERENCES };
+
+  let stored = {};
+  try {
+    const doc = await firestoreAdmin.collection(COLLECTION).doc(id).get();
+    if (doc.exists) stored = doc.data();
+  } catch (error) {
+    // Formatting falls back to the defaults rather than failing the query
+    console.error('Error reading preferences:', error.message);
+    return { ...DEFAULT_PREFERENCES };
+  }
+
+  const preferences = {
+    ...DEFAULT_PREFERENCES,
+    ...Object.fromEntries(PREFERENCE_FIELDS.filter(field => stored[field] !== undefined).map(field => [field, stored[field]])),
+  };
+  preferenceCache.set(id, preferences);
+  return preferences;
+};
+
+/**
+ * Change some of a user's preferences
+ * @param {string} email - User's email address
+ * @param {Object} changes - Fields to change (validated with validatePreferences first)
+ * @returns {Promise<Object>} - The user's preferences after the change
+ */
+const updatePreferences = async (email, changes) => {
+  if (!isFirestoreReady()) {
+    throw new Error('Firestore is not properly initialized.');
+  }
+
+  const id = documentId(email);
+  await firestoreAdmin.collection(COLLECTION).doc(id).set({
+    ...changes,
+    email: id,
+    updatedAt: new Date(),
+  }, { merge: true });
+
+  preferenceCache.delete(id);
+  return getPreferences(email);
+};
+
+module.exports = {
+  validatePreferences,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,388 @@
+// src/lib/queryPipeline.js
+// Query pipeline shared by POST /api/query (JSON) and POST /api/query/stream (Server-Sent Events):
+// authentication, rate limiting, validation, routing, guardrails, tool execution and synthesis.
+// Results are transport-agnostic { status, body } objects; progress is reported through an optional emit callback.
+
+const { verifyToken } = require('./firebase/firebase');
+const { checkRateLimit } = require('./rateLimiter');
+const { routeQuery } = require('../controllers/llmRouterController');
+const { executePlan } = require('./planExecutor');
+const { createConversationId, getTurns, appendTurn, buildContextSummary, getNextCursor } = require('./conversationStore');
+const { getToolHelp } = require('./capabilities');
+const { detectInjection, checkPlanPolicy } = require('./guardrails');
+const { synthesizeResponse } = require('./responseSynthesizer');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, normalizeLocale, detectLocale, translate } = require('./i18n');
+const { checkTokenBudget, recordUsage } = require('./usageTracker');
+const { getPreferences } = require('./preferences');
+
+// Follow-ups that only ask for the next page of the last listing (the whole query, in any supported language)
+const CONTINUE_LISTING_PHRASES = new Set([
+  'more', 'show more', 'load more', 'see more', 'next', 'next page', 'more results', 'the rest', 'show the rest',
+  'más', 'mostrar más', 'muestra más', 'ver más', 'siguiente página', 'la siguiente página', 'el resto',
+  'और', 'और दिखाओ', 'और दिखाएँ', 'अगला पेज', 'अगला पेज दिखाओ', 'बाकी दिखाओ',
+]);
+
+/**
+ * Whether a query only asks to continue the last listing
+ * @param {string} query - User query
+ * @returns {boolean}
+ */
+const isContinueListing = (query) => CONTINUE_LISTING_PHRASES.has(
+  query.toLowerCase().replace(/[.,!?¡¿।]/gu, ' ').replace(/\s+/g, ' ').trim()
+);
+
+/**
+ * Routing instructions for the next page of a listing (no LLM call)
+ * @param {string} cursor - nextCursor of the listing
+ * @returns {Object} - Routing instructions with a single database read step
+ */
+const continueListing = (cursor) => ({
+  intent: 'Show the next page of the previous listing',
+  insufficientInfo: false,
+  steps: [{ tool: 'database', action: 'read', parameters: { cursor } }],
+  language: null,
+  cache: { status: 'bypass' },
+});
+
+/**
+ * Describe what a routed query does, for usage accounting
+ * @param {Object} instructions - Routing instructions
+ * @returns {string} - "help" for guided answers, otherwise "tool/action" per step joined with "+"
+ */
+const describeQueryType = (instructions) => (instructions.insufficientInfo
+  ? 'help'
+  : (instructions.steps || []).map(step => `${step.tool}/${step.action}`).join('+') || 'unknown');
+
+/**
+ * Authenticate the caller and apply the token budget and rate limit
+ * @param {string|null} authHeader - Authorization header value
+ * @returns {Promise<Object>} - { userEmail, rateLimitResult } when allowed, otherwise { status, body }
+ */
+const authorizeQuery = async (authHeader) => {
+  // Authentication Verification
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { status: 401, body: { error: 'Authentication required. Please provide a valid token.' } };
+  }
+
+  let userInfo;
+  try {
+    userInfo = await verifyToken(authHeader.replace('Bearer ', ''));
+  } catch (error) {
+    return { status: 401, body: { error: 'Invalid or expired authentication token.' } };
+  }
+
+  const userEmail = userInfo.email;
+  if (!userEmail) {
+    return { status: 401, body: { error: 'User email not found in token.' } };
+  }
+
+  // Daily Token Budget (checked first so a refused query does not use up the rate limit)
+  const budget = await checkTokenBudget(userEmail);
+  if (!budget.allowed) {
+    return {
+      status: 429,
+      body: {
+        error: 'Daily token budget exceeded. Please try again tomorrow.',
+        tokensUsed: budget.used,
+        tokenLimit: budget.limit,
+        resetTime: budget.resetTime,
+      },
+    };
+  }
+
+  // Rate Limiting
+  const rateLimitResult = checkRateLimit(userEmail);
+  if (!rateLimitResult.allowed) {
+    return {
+      status: 429,
+      body: {
+        error: 'Rate limit exceeded. Please try again later.',
+        remaining: rateLimitResult.remaining,
+        resetTime: rateLimitResult.resetTime,
+      },
+    };
+  }
+
+  return { userEmail, rateLimitResult };
+};
+
+/**
+ * Validate the request body
+ * @param {Object} body - Parsed JSON body
+ * @returns {Object} - { query, conversationId, locale, cursor } when valid, otherwise { status, body }
+ */
+const validateQueryBody = (body) => {
+  const { query } = body || {};
+
+  if (!query || typeof query !== 'string' || query.trim().length === 0) {
+    return { status: 400, body: { error: 'Query is required and must be a non-empty string.' } };
+  }
+
+  if (body.conversationId !== undefined && body.conversationId !== null && (typeof body.conversationId !== 'string' || !/^[\w-]{1,100}$/.test(body.conversationId))) {
+    return { status: 400, body: { error: 'conversationId must be a string of letters, digits, "-" or "_" (max 100 characters).' } };
+  }
+
+  // An explicit locale ("es", "hi-IN", ...) overrides language detection
+  const locale = body.locale === undefined || body.locale === null ? null : normalizeLocale(body.locale);
+  if (body.locale !== undefined && body.locale !== null && !locale) {
+    return { status: 400, body: { error: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}.` } };
+  }
+
+  // nextCursor of an earlier response: return that listing's next page
+  if (body.cursor !== undefined && body.cursor !== null && (typeof body.cursor !== 'string' || !/^[\w.-]{1,2000}$/.test(body.cursor))) {
+    return { status: 400, body: { error: 'cursor must be the nextCursor of an earlier response.' } };
+  }
+
+  return { query, conversationId: body.conversationId || null, locale, cursor: body.cursor || null };
+};
+
+/**
+ * Route, check and execute a validated query
+ * @param {Object} request - { query, conversationId, userEmail, remaining, locale (explicit locale, or null to detect),
+ *   cursor (nextCursor of an earlier response, or null) }
+ * @param {Function} [emit] - (event, data) => void, called with progress events:
+ *   routing_started, routing ({ intent, insufficientInfo, steps, cache, degraded, locale }),
+ *   step_started ({ step, tool, action, entity }), step_completed ({ step, tool, action, entity, rows, error?, clarification?, insufficientInfo? }),
+ *   answering ({ synthesis }), token ({ text }: synthesized answer text as the model generates it)
+ * @returns {Promise<Object>} - { status, body } with the same body as POST /api/query
+ */
+const processQuery = async ({ query, conversationId: requestedConversationId, userEmail, remaining, locale: requestedLocale = null, cursor: requestedCursor = null }, emit = () => {}) => {
+  // Conversation Context (history is scoped to the authenticated user)
+  const conversationId = requestedConversationId || createConversationId();
+  const turns = getTurns(userEmail, conversationId);
+  const context = buildContextSummary(turns);
+  // Units, currency, timezone and date format for tool messages and the synthesized answer
+  const preferences = await getPreferences(userEmail);
+
+  // Prompt-injection screening (flagged queries can still read, but never change or remove data)
+  const injection = detectInjection(query);
+  if (injection.flagged) {
+    console.warn(`Possible prompt injection from ${userEmail}: ${injection.reasons.join('; ')}`);
+  }
+
+  // Intelligence Routing (a request for the next page of a listing continues it directly)
+  emit('routing_started', { conversationId });
+  const cursor = requestedCursor || (isContinueListing(query) ? getNextCursor(turns) : null);
+  let routingInstructions;
+  try {
+    routingInstructions = cursor ? continueListing(cursor) : await routeQuery(query, { context });
+  } catch (error) {
+    console.error('LLM routing error:', error);
+    recordUsage(userEmail, 'failed', error.llmUsage);
+    return { status: 500, body: { error: translate(requestedLocale || detectLocale(query), 'query.routingFailed') } };
+  }
+
+  const queryType = describeQueryType(routingInstructions);
+  recordUsage(userEmail, queryType, routingInstructions.llmUsage);
+
+  // Response language: explicit locale, else the language the router detected, else a local guess
+  const detectedLocale = normalizeLocale(routingInstructions.language) || detectLocale(query);
+  const locale = requestedLocale || detectedLocale;
+
+  emit('routing', {
+    intent: routingInstructions.intent,
+    insufficientInfo: routingInstructions.insufficientInfo,
+    steps: (routingInstructions.steps || []).map(({ tool, action, parameters }) => ({ tool, action, entity: parameters?.entity || null })),
+    cache: routingInstructions.cache || null,
+    degraded: routingInstructions.degraded === true,
+    locale,
+  });
+
+  // Degraded mode flag (rule-based routing while the LLM is unavailable)
+  const degradedFlag = routingInstructions.degraded === true ? { degraded: true } : {};
+
+  // Routing cache outcome ({ status: "hit" | "miss" | "bypass", match?, similarity? })
+  const cacheInfo = routingInstructions.cache ? { cache: routingInstructions.cache } : {};
+
+  // Context Analysis & Guided Assistance
+  if (routingInstructions.insufficientInfo === true) {
+    let helpMessage;
+    const { missingInfo, guidedResponse } = routingInstructions;
+    const tool = routingInstructions.steps?.[0]?.tool;
+
+    // The router writes guidedResponse in the query's language (the rule-based router only in English)
+    const guidedLocale = routingInstructions.degraded ? DEFAULT_LOCALE : detectedLocale;
+    if (guidedResponse && guidedLocale === locale) {
+      helpMessage = guidedResponse;
+    } else {
+      // Use the tool's static help if guided response is unavailable (general help for unknown tools)
+      helpMessage = getToolHelp(tool, missingInfo, locale);
+    }
+
+    appendTurn(userEmail, conversationId, {
+      query,
+      intent: routingInstructions.intent,
+      response: helpMessage,
+    });
+
+    return {
+      status: 200,
+      body: {
+        response: helpMessage,
+        conversationId,
+        remaining,
+        locale,
+        ...degradedFlag,
+        ...cacheInfo,
+      },
+    };
+  }
+  const { steps } = routingInstructions;
+
+  // Guardrail Policy: destructive steps must be tied to the user's own request before they run
+  const policy = checkPlanPolicy(steps, { query, turns, injection, locale });
+  if (!policy.allowed) {
+    const blockedMessage = translate(locale, 'query.blocked', {
+      violations: policy.violations.map(v => `• ${v}`).join('\n'),
+    });
+
+    appendTurn(userEmail, conversationId, {
+      query,
+      intent: routingInstructions.intent,
+      response: blockedMessage,
+    });
+
+    return {
+      status: 200,
+      body: {
+        response: blockedMessage,
+        blocked: true,
+        conversationId,
+        remaining,
+        locale,
+        ...degradedFlag,
+        ...cacheInfo,
+      },
+    };
+  }
+
+  // Tool Execution (one or more plan steps)
+  const { results, response: templateResponse, failed, clarification, insufficientInfo } = await executePlan(steps, {
+    onStepStart: (index, step) => emit('step_started', {
+      step: index + 1,
+      tool: step.tool,
+      action: step.action,
+      entity: step.parameters?.entity || null,
+    }),
+    onStepComplete: (index, result) => emit('step_completed', {
+      step: index + 1,
+      tool: result.tool,
+      action: result.action,
+      entity: result.entity || null,
+      rows: Array.isArray(result.data) ? result.data.length : null,
+      ...(result.error && { error: result.error }),
+      ...(result.clarification && { clarification: true }),
+      ...(result.insufficientInfo && { insufficientInfo: true }),
+    }),
+    locale,
+    userEmail,
+    preferences,
+  });
+
+  // A step needs the user to choose (e.g. which "Springfield"): ask, like insufficientInfo, and remember the options
+  if (clarification) {
+    appendTurn(userEmail, conversationId, {
+      query,
+      intent: routingInstructions.intent,
+      results: results.filter(r => !r.error),
+      response: templateResponse,
+      clarification,
+    });
+
+    return {
+      status: 200,
+      body: {
+        response: templateResponse,
+        clarification,
+        conversationId,
+        remaining,
+        locale,
+        ...degradedFlag,
+        ...cacheInfo,
+      },
+    };
+  }
+
+  // A step's input needs correcting (e.g. a salary that is not a number): nothing was written, so answer like
+  // insufficientInfo with the field errors, and keep the earlier steps' records for the follow-up
+  if (insufficientInfo) {
+    appendTurn(userEmail, conversationId, {
+      query,
+      intent: routingInstructions.intent,
+      results: results.filter(r => !r.error && r.data),
+      response: templateResponse,
+    });
+
+    return {
+      status: 200,
+      body: {
+        response: templateResponse,
+        fieldErrors: insufficientInfo.fieldErrors,
+        conversationId,
+        remaining,
+        locale,
+        ...degradedFlag,
+        ...cacheInfo,
+      },
+    };
+  }
+
+  // Response Synthesis: answer the actual question from the records (skipped for failures and degraded mode)
+  const skipSynthesis = failed || routingInstructions.degraded;
+  emit('answering', { synthesis: !skipSynthesis && process.env.RESPONSE_SYNTHESIS === 'true' });
+  const { response, synthesized, llmUsage: synthesisUsage } = skipSynthesis
+    ? { response: templateResponse, synthesized: false, llmUsage: [] }
+    : await synthesizeResponse(query, results, templateResponse, { locale, preferences, onToken: text => emit('token', { text }) });
+  recordUsage(userEmail, queryType, synthesisUsage);
+
+  appendTurn(userEmail, conversationId, {
+    query,
+    intent: routingInstructions.intent,
+    results: results.filter(r => !r.error),
+    response,
+  });
+
+  // Nothing succeeded: surface the failure as before
+  if (failed && results.length === 1) {
+    const { tool, error } = results[0];
+    return {
+      status: 500,
+      body: { error: translate(locale, 'query.executionFailed', { tool, error }), conversationId, locale },
+    };
+  }
+
+  // Latest step with records feeds the data viewer; a listing with more records says where to continue
+  const dataResult = [...results].reverse().find(r => r.data);
+  const pageInfo = (page) => page && { nextCursor: page.nextCursor, hasMore: page.hasMore };
+
+  return {
+    status: 200,
+    body: {
+      response,
+      ...(dataResult && { data: dataResult.data, entity: dataResult.entity, ...pageInfo(dataResult.page) }),
+      ...(steps.length > 1 && {
+        steps: results.map(({ tool, action, entity, message, data, page, error }) => ({
+          tool,
+          action,
+          entity,
+          response: message,
+          data,
+          ...pageInfo(page),
+          ...(error && { error }),
+        })),
+      }),
+      ...(synthesized && { synthesized: true }),
+      conversationId,
+      remaining,
+      locale,
+      ...degradedFlag,
+      ...cacheInfo,
+    },
+  };
+};
+
+module.exports = {
+  authorizeQuery,
+  validateQueryBody,
+  processQuery,
+};
@@ -0,0 +1,291 @@
+// src/lib/routingCache.js
+// Routing instruction cache so repeated queries skip the LLM
+// - ROUTING_CACHE_ENABLED: set to "false" to disable (default: enabled)
+// - ROUTING_CACHE_TTL_MS: entry lifetime (default: 10 minutes)
+// - ROUTING_CACHE_MAX: maximum entries (default: 500)
+// - ROUTING_CACHE_SIMILARITY: "off" (exact normalized match only, default), "lexical" (word/character overlap)
+//   or "embedding" (provider embeddings, see LLM layer)
+// - ROUTING_CACHE_SIMILARITY_THRESHOLD: minimum cosine similarity for a similar match (default: 0.9)
+// Plans with destructive steps are never cached, and a similar match is only used when every parameter
+// value of the cached plan also appears in the new query ("weather in Chennai" never answers "weather in Mumbai")
+// and the new query adds no words beyond filler ("status is not pending" never gets the "status is pending" plan).
+const { LRUCache } = require('lru-cache');
+const { getAction } = require('../tools');
+const { embedText } = require('./llm');
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const CACHE_TTL_MS = readNumber('ROUTING_CACHE_TTL_MS', 10 * 60 * 1000);
+const CACHE_MAX = readNumber('ROUTING_CACHE_MAX', 500);
+
+// Shared across route bundles in the server process (see llm/keyHealth.js)
+const state = globalThis.__routingCache || (globalThis.__routingCache = {
+  entries: new LRUCache({ max: CACHE_MAX, ttl: CACHE_TTL_MS }),
+  stats: { hits: 0, similarHits: 0, misses: 0, skipped: 0 },
+});
+
+const isEnabled = () => process.env.ROUTING_CACHE_ENABLED !== 'false';
+
+const getSimilarityMode = () => {
+  const mode = (process.env.ROUTING_CACHE_SIMILARITY || 'off').toLowerCase();
+  return ['lexical', 'embedding'].includes(mode) ? mode : 'off';
+};
+
+/**
+ * Normalize a query into its cache key (case, whitespace and trailing punctuation do not matter)
+ * @param {string} query - Raw user query
+ * @returns {string} - Cache key
+ */
+const normalizeQuery = (query) => String(query || '')
+  .toLowerCase()
+  .replace(/[’']/g, "'")
+  .replace(/\s+/g, ' ')
+  .replace(/[\s?!.]+$/, '')
+  .trim();
+
+/**
+ * Build a sparse lexical vector from words and character trigrams
+ * @param {string} text - Normalized query
+ * @returns {Map<string, number>} - Term counts
+ */
+const lexicalVector = (text) => {
+  const vector = new Map();
+  const add = (term) => vector.set(term, (vector.get(term) || 0) + 1);
+
+  text.split(/[^a-z0-9$]+/).filter(Boolean).forEach(word => {
+    add(`w:${word}`);
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) add(`c:${padded.slice(i, i + 3)}`);
+  });
+  return vector;
+};
+
+// Words a similar query may add without changing what it asks for
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'me', 'my', 'i', 'you', 'can', 'could', 'would', 'please', 'pls', 'kindly', 'just', 'is', 'are',
+  'show', 'list', 'display', 'tell', 'give', 'find', 'what', "what's", 'whats',
+]);
+
+// Words that turn a query into its opposite: a similar match must have exactly the same ones
+const NEGATIONS = new Set([
+  'no', 'not', 'never', 'none', 'nor', 'without', 'except', 'excluding', 'other', 'isnt', 'arent', 'dont',
+  'doesnt', 'didnt', 'wasnt', 'werent', 'cant', 'wont', 'sin', 'excepto', 'salvo', 'nunca', 'नहीं', 'बिना', 'सिवाय',
+]);
+const isNegation = (word) => NEGATIONS.has(word) || word.endsWith("n't");
+
+/**
+ * Words of a normalized query that are not filler
+ * @param {string} normalized - Normalized query
+ * @returns {Set<string>}
+ */
+const contentWords = (normalized) => new Set(normalized
+  .split(/[^\p{L}\p{M}\p{N}$']+/u)
+  .map(word => word.replace(/^'+|'+$/g, ''))
+  .filter(word => word && !FILLER_WORDS.has(word)));
+
+/**
+ * Check whether a new query asks for no more than a cached one
+ * @param {string} normalized - Normalized new query
+ * @param {string} cachedNormalized - Normalized cached query
+ * @returns {boolean} - False when the new query has a word the cached one lacks, or lacks one of its negations
+ */
+const addsNothing = (normalized, cachedNormalized) => {
+  const words = contentWords(normalized);
+  const cachedWords = contentWords(cachedNormalized);
+  return [...words].every(word => cachedWords.has(word))
+    && [...cachedWords].filter(isNegation).every(word => words.has(word));
+};
+
+/**
+ * Cosine similarity of two vectors (dense arrays or sparse maps)
+ * @param {number[]|Map<string, number>} a - First vector
+ * @param {number[]|Map<string, number>} b - Second vector
+ * @returns {number} - Similarity between 0 and 1 for non-negative vectors
+ */
+const cosineSimilarity = (a, b) => {
+  const entriesA = a instanceof Map ? Array.from(a.entries()) : a.map((v, i) => [i, v]);
+  const lookupB = a instanceof Map ? (key) => b.get(key) || 0 : (key) => b[key] || 0;
+  const norm = (vector) => Math.sqrt((vector instanceof Map ? Array.from(vector.values()) : vector)
+    .reduce((sum, v) => sum + v * v, 0));
+
+  const dot = entriesA.reduce((sum, [key, value]) => sum + value * lookupB(key), 0);
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot / denominator;
+};
+
+/**
+ * Vectorize a query for similarity matching
+ * @param {string} normalized - Normalized query
+ * @param {string} mode - "lexical" or "embedding"
+ * @returns {Promise<*>} - Vector, or null when it cannot be computed
+ */
+const vectorize = async (normalized, mode) => {
+  if (mode === 'lexical') return lexicalVector(normalized);
+  try {
+    return await embedText(normalized);
+  } catch (error) {
+    console.warn(`Routing cache embedding failed, using exact matches only: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Collect the leaf values of a plan's parameters (entity names are inferred, so they are skipped)
+ * @param {Object} instructions - Routing instructions
+ * @returns {string[]} - Normalized values
+ */
+const collectParameterValues = (instructions) => {
+  const values = [];
+  const walk = (value, key) => {
+    if (key === 'entity' || value === null || value === undefined) return;
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => walk(v, k));
+      return;
+    }
+    // "Chennai, IN" is grounded by "chennai"
+    values.push(normalizeQuery(String(value).split(',')[0]));
+  };
+  (instructions.steps || []).forEach(step => walk(step.parameters || {}));
+  return values.filter(Boolean);
+};
+
+/**
+ * Check whether routing instructions may be cached
+ * @param {Object} instructions - Routing instructions
+ * @returns {boolean}
+ */
+const isCacheable = (instructions) => Boolean(instructions)
+  && instructions.degraded !== true
+  && !(instructions.steps || []).some(step => getAction(step.tool, step.action)?.destructive);
+
+/**
+ * Look up cached routing instructions for a query
+ * @param {string} query - Raw user query
+ * @returns {Promise<Object|null>} - { instructions, match: "exact" | "similar", similarity, cachedQuery } or null
+ */
+const lookupRouting = async (query) => {
+  if (!isEnabled()) return null;
+  const normalized = normalizeQuery(query);
+
+  const exact = state.entries.get(normalized);
+  if (exact) {
+    exact.hits++;
+    state.stats.hits++;
+    return { instructions: structuredClone(exact.instructions), match: 'exact', similarity: 1, cachedQuery: exact.query };
+  }
+
+  const mode = getSimilarityMode();
+  if (mode !== 'off' && state.entries.size > 0) {
+    const vector = await vectorize(normalized, mode);
+    const threshold = readNumber('ROUTING_CACHE_SIMILARITY_THRESHOLD', 0.9);
+    let best = null;
+
+    if (vector) {
+      state.entries.forEach((entry, key) => {
+        if (!entry.vector || entry.mode !== mode || !addsNothing(normalized, key)) return;
+        const similarity = cosineSimilarity(vector, entry.vector);
+        if (similarity >= threshold && (!best || similarity > best.similarity)) {
+          best = { entry, similarity };
+        }
+      });
+    }
+
+    // Similar wording is not enough: the new query may only drop or add filler words (checked above), and every
+    // concrete value of the cached plan must be in it
+    if (best && collectParameterValues(best.entry.instructions).every(value => normalized.includes(value))) {
+      best.entry.hits++;
+      state.stats.hits++;
+      state.stats.similarHits++;
+      return {
+        instructions: structuredClone(best.entry.instructions),
+        match: 'similar',
+        similarity: Number(best.similarity.toFixed(3)),
+        cachedQuery: best.entry.query,
+      };
+    }
+  }
+
+  state.stats.misses++;
+  return null;
+};
+
+/**
+ * Cache routing instructions for a query (destructive and degraded plans are skipped)
+ * @param {string} query - Raw user query
+ * @param {Object} instructions - Validated routing instructions
+ * @returns {Promise<boolean>} - Whether the instructions were cached
+ */
+const storeRouting = async (query, instructions) => {
+  if (!isEnabled()) return false;
+  if (!isCacheable(instructions)) {
+    state.stats.skipped++;
+    return false;
+  }
+
+  const normalized = normalizeQuery(query);
+  const mode = getSimilarityMode();
+  state.entries.set(normalized, {
+    query,
+    instructions: structuredClone(instructions),
+    mode,
+    vector: mode === 'off' ? null : await vectorize(normalized, mode),
+    cachedAt: Date.now(),
+    hits: 0,
+  });
+  return true;
+};
+
+/**
+ * Describe the cache for operators
+ * @returns {Object} - Configuration, counters and entries (most recently used first)
+ */
+const getCacheStatus = () => {
+  const now = Date.now();
+  const entries = [];
+  state.entries.forEach((entry, key) => {
+    entries.push({
+      key,
+      query: entry.query,
+      intent: entry.instructions.intent || null,
+      steps: (entry.instructions.steps || []).map(step => `${step.tool}/${step.action}`),
+      hits: entry.hits,
+      ageMs: now - entry.cachedAt,
+      remainingTtlMs: state.entries.getRemainingTTL(key),
+    });
+  });
+
+  return {
+    enabled: isEnabled(),
+    similarity: getSimilarityMode(),
+    ttlMs: CACHE_TTL_MS,
+    maxEntries: CACHE_MAX,
+    size: state.entries.size,
+    stats: { ...state.stats },
+    entries,
+  };
+};
+
+/**
+ * Remove one query from the cache, or everything
+ * @param {string} [query] - Query to remove; omit to flush the whole cache
+ * @returns {number} - Number of entries removed
+ */
+const flushRouting = (query) => {
+  if (query) {
+    return state.entries.delete(normalizeQuery(query)) ? 1 : 0;
+  }
+  const removed = state.entries.size;
+  state.entries.clear();
+  return removed;
+};
+
+module.exports = {
+  normalizeQuery,
+  lookupRouting,
+  storeRouting,
+  getCacheStatus,
+  flushRouting,
+};
@@ -0,0 +1,348 @@
+// src/lib/routingSchema.js
+// Formal schema for LLM routing output, plus parsing and validation helpers.
+// Tools, actions and parameter schemas come from the tool registry (src/tools); every router must emit them.
+
+const { getToolActions, getAction } = require('../tools');
+
+// Upper bound on how many tool calls a single query may plan
+const MAX_PLAN_STEPS = 5;
+
+// How a step can pick values out of an earlier step's records
+const REFERENCE_SELECTS = ['first', 'last', 'min', 'max', 'all', 'count'];
+
+/**
+ * Build the routing JSON Schema from the registered tools
+ * (draft-07 subset: type, enum, required, properties, additionalProperties, items, minItems, maxItems, minProperties,
+ * minimum, maximum)
+ * @returns {Object} - JSON Schema for a routing plan
+ */
+const getRoutingSchema = () => {
+  const toolActions = getToolActions();
+  const allActions = Array.from(new Set(Object.values(toolActions).flat()));
+
+  return {
+    type: 'object',
+    required: ['steps', 'insufficientInfo', 'intent'],
+    additionalProperties: false,
+    properties: {
+      steps: {
+        type: 'array',
+        maxItems: MAX_PLAN_STEPS,
+        items: {
+          type: 'object',
+          required: ['tool', 'action', 'parameters'],
+          additionalProperties: false,
+          properties: {
+            tool: { type: ['string', 'null'], enum: [...Object.keys(toolActions), null] },
+            action: { type: ['string', 'null'], enum: [...allActions, null] },
+            // Checked per tool/action against the registry (see validateStep)
+            parameters: { type: 'object' },
+          },
+        },
+      },
+      insufficientInfo: { type: 'boolean' },
+      missingInfo: { type: ['string', 'null'] },
+      guidedResponse: { type: ['string', 'null'] },
+      intent: { type: 'string' },
+      // ISO 639-1 code of the query's language ("en", "es", "hi", ...)
+      language: { type: ['string', 'null'] },
+    },
+  };
+};
+
+// A parameter value taken from an earlier step's output, e.g.
+// { "$from": 0, "select": "min", "by": "price", "field": "name" }
+const REFERENCE_SCHEMA = {
+  type: 'object',
+  required: ['$from'],
+  additionalProperties: false,
+  properties: {
+    $from: { type: 'number' },
+    select: { type: 'string', enum: REFERENCE_SELECTS },
+    by: { type: 'string' },
+    field: { type: 'string' },
+  },
+};
+
+/**
+ * Get the JSON type name of a value ("null", "array", "object", ...)
+ * @param {*} value - Any value
+ * @returns {string} - JSON type name
+ */
+const jsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} - Validation errors
+ */
+const validateAgainstSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  // "integer" accepts whole numbers only
+  const typeMatches = types.includes(jsonType(value)) || (types.includes('integer') && Number.isInteger(value));
+  if (schema.type && !typeMatches) {
+    errors.push(`${path} must be of type ${types.join(' | ')}, got ${jsonType(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (jsonType(value) === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (jsonType(value) === 'object' && schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    errors.push(`${path} must contain at least ${schema.minProperties} field(s)`);
+  }
+
+  if (jsonType(value) === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (jsonType(value) === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) {
+        errors.push(...validateAgainstSchema(value[key], schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a parameter value counts as "not provided"
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Strip registry-only keywords (required, default, description) from a parameter schema
+ * (nested properties marked required: true become the object's "required" list; other keys are not allowed)
+ * @param {Object} parameterSchema - Parameter schema from a tool definition
+ * @returns {Object} - Plain JSON Schema node
+ */
+const toJsonSchema = ({ type, enum: allowed, minProperties, properties, items, minItems, maxItems, minimum, maximum }) => ({
+  ...(type && { type }),
+  ...(allowed && { enum: allowed }),
+  ...(minProperties !== undefined && { minProperties }),
+  ...(properties && {
+    properties: Object.fromEntries(Object.entries(properties).map(([key, schema]) => [key, toJsonSchema(schema)])),
+    required: Object.keys(properties).filter(key => properties[key].required),
+    additionalProperties: false,
+  }),
+  ...(items && { items: toJsonSchema(items) }),
+  ...(minItems !== undefined && { minItems }),
+  ...(maxItems !== undefined && { maxItems }),
+  ...(minimum !== undefined && { minimum }),
+  ...(maximum !== undefined && { maximum }),
+});
+
+/**
+ * Check whether a parameter value is a reference to an earlier step
+ * @param {*} value - Parameter value
+ * @returns {boolean}
+ */
+const isReference = (value) => jsonType(value) === 'object' && '$from' in value;
+
+/**
+ * Validate every step reference nested inside a value
+ * @param {*} value - Parameter value (may contain references at any depth)
+ * @param {number} stepIndex - Index of the step that owns the value
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} - Validation errors
+ */
+const validateReferences = (value, stepIndex, path) => {
+  if (isReference(value)) {
+    const errors = validateAgainstSchema(value, REFERENCE_SCHEMA, path);
+    if (errors.length > 0) return errors;
+
+    if (!Number.isInteger(value.$from) || value.$from < 0 || value.$from >= stepIndex) {
+      errors.push(`${path}.$from must be the index of an earlier step (0 to ${stepIndex - 1}), got ${value.$from}`);
+    }
+    if ((value.select === 'min' || value.select === 'max') && !value.by) {
+      errors.push(`${path}.by is required when select is "${value.select}"`);
+    }
+    return errors;
+  }
+
+  if (jsonType(value) === 'object') {
+    return Object.keys(value).flatMap(key => validateReferences(value[key], stepIndex, `${path}.${key}`));
+  }
+
+  return [];
+};
+
+/**
+ * Validate a single plan step's tool, action and parameters against the tool registry
+ * @param {Object} step - Plan step
+ * @param {number} index - Step index
+ * @returns {string[]} - Validation errors
+ */
+const validateStep = (step, index) => {
+  const errors = [];
+  const path = `$.steps[${index}]`;
+  const { tool, action, parameters } = step;
+  const toolActions = getToolActions();
+
+  if (!tool) errors.push(`${path}.tool is required when insufficientInfo is false`);
+  if (!action) errors.push(`${path}.action is required when insufficientInfo is false`);
+  if (!tool || !action) return errors;
+
+  if (!toolActions[tool].includes(action)) {
+    errors.push(`${path}.action "${action}" is not valid for tool "${tool}"; use one of ${toolActions[tool].join(', ')}`);
+    return errors;
+  }
+
+  const declared = getAction(tool, action).parameters || {};
+
+  Object.keys(parameters).forEach(key => {
+    if (!declared[key] && !isMissing(parameters[key])) {
+      errors.push(`${path}.parameters.${key} is not a parameter of ${tool}/${action}; allowed: ${Object.keys(declared).join(', ') || 'none'}`);
+    }
+  });
+
+  Object.entries(declared).forEach(([key, schema]) => {
+    const value = parameters[key];
+    const paramPath = `${path}.parameters.${key}`;
+
+    if (isMissing(value)) {
+      if (schema.required) {
+        errors.push(`${paramPath} is required for ${tool}/${action} (or set insufficientInfo to true)`);
+      }
+      return;
+    }
+
+    if (!isReference(value)) {
+      const valueErrors = validateAgainstSchema(value, toJsonSchema(schema), paramPath);
+      errors.push(...valueErrors.map(error => (schema.required ? `${error} (or set insufficientInfo to true)` : error)));
+    }
+    errors.push(...validateReferences(value, index, paramPath));
+  });
+
+  return errors;
+};
+
+/**
+ * Validate routing instructions: schema first, then tool/action/parameter rules per step
+ * @param {Object} instructions - Parsed routing instructions
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+const validateRoutingInstructions = (instructions) => {
+  const errors = validateAgainstSchema(instructions, getRoutingSchema());
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const { steps, insufficientInfo, missingInfo } = instructions;
+
+  if (insufficientInfo) {
+    if (!missingInfo) {
+      errors.push('$.missingInfo is required when insufficientInfo is true');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  if (steps.length === 0) {
+    errors.push('$.steps must contain at least one step when insufficientInfo is false');
+  }
+
+  steps.forEach((step, index) => {
+    errors.push(...validateStep(step, index));
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Extract and parse the JSON object from a raw model response
+ * @param {string} text - Raw model output
+ * @returns {Object} - { value, errors }
+ */
+const parseRoutingResponse = (text) => {
+  // Remove markdown code blocks if present
+  const jsonText = (text || '').trim().replace(/```json\s*/g, '').replace(/```\s*/g, '');
+
+  // Find JSON object
+  const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { value: null, errors: ['Response did not contain a JSON object'] };
+  }
+
+  try {
+    return { value: JSON.parse(jsonMatch[0]), errors: [] };
+  } catch (parseError) {
+    return { value: null, errors: [`Response is not valid JSON: ${parseError.message}`] };
+  }
+};
+
+/**
+ * Fill optional fields and declared parameter defaults after validation
+ * @param {Object} instructions - Valid routing instructions
+ * @returns {Object} - Normalized routing instructions
+ */
+const normalizeRoutingInstructions = (instructions) => ({
+  missingInfo: null,
+  guidedResponse: null,
+  language: null,
+  ...instructions,
+  steps: instructions.steps.map(step => {
+    const declared = getAction(step.tool, step.action)?.parameters || {};
+    const parameters = {};
+
+    // Keep declared parameters only (undeclared ones can only be empty here), then apply defaults
+    Object.entries(declared).forEach(([key, schema]) => {
+      const value = step.parameters?.[key];
+      if (!isMissing(value)) {
+        parameters[key] = value;
+      } else if (schema.default !== undefined) {
+        parameters[key] = JSON.parse(JSON.stringify(schema.default));
+      }
+    });
+
+    return { ...step, parameters };
+  }),
+});
+
+module.exports = {
+  MAX_PLAN_STEPS,
+  getRoutingSchema,
+  REFERENCE_SELECTS,
+  isReference,
+  validateAgainstSchema,
+  validateRoutingInstructions,
+  parseRoutingResponse,
+  normalizeRoutingInstructions,
+};
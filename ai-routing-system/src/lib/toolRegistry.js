@@ -0,0 +1,101 @@
+// src/lib/toolRegistry.js
+// Tool Registry - Single source of truth for the tools the router can call.
+// The routing prompt, routing validation, plan dispatch and help text are all generated from it.
+
+const tools = new Map();
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Tool name used in routing output (e.g. "weather")
+ * @param {string} tool.description - One-line description for the routing prompt
+ * @param {Object} tool.actions - { [action]: { description, synonyms, parameters, destructive } } where
+ *   parameters is { [name]: JSON Schema node, plus "required" (boolean) and "default" },
+ *   and destructive marks actions that change or remove existing data (checked by the guardrail policy)
+ * @param {Object} tool.help - { title, capabilities: string[], examples: string[], missingInfo: string } in English;
+ *   other languages come from the message catalog under "tools.<name>" (see lib/i18n)
+ * @param {Function} tool.execute - async (action, parameters, { locale, userEmail, preferences }) =>
+ *   { message, data, entity, clarification?, insufficientInfo? }, where message is written in the requested locale;
+ *   a result with clarification ({ parameter, missingInfo, options }) asks the user to choose between options, and one
+ *   with insufficientInfo ({ missingInfo, fieldErrors }) asks for corrected input; either stops the plan
+ */
+const registerTool = (tool) => {
+  if (!tool?.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute function');
+  }
+  if (!tool.actions || Object.keys(tool.actions).length === 0) {
+    throw new Error(`Tool "${tool.name}" must declare at least one action`);
+  }
+  tools.set(tool.name, tool);
+};
+
+/**
+ * Get a registered tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} - Tool definition
+ */
+const getTool = (name) => tools.get(name);
+
+/**
+ * List all registered tools in registration order
+ * @returns {Object[]} - Tool definitions
+ */
+const listTools = () => Array.from(tools.values());
+
+/**
+ * Get the action names of every tool
+ * @returns {Object} - { [tool]: string[] }
+ */
+const getToolActions = () => Object.fromEntries(
+  listTools().map(tool => [tool.name, Object.keys(tool.actions)])
+);
+
+/**
+ * Get an action definition
+ * @param {string} toolName - Tool name
+ * @param {string} actionName - Action name
+ * @returns {Object|undefined} - Action definition
+ */
+const getAction = (toolName, actionName) => tools.get(toolName)?.actions[actionName];
+
+/**
+ * Describe tools, actions and parameters for the routing prompt
+ * @returns {Object} - Capabilities object, serialized into the prompt as JSON
+ */
+const describeTools = () => Object.fromEntries(listTools().map(tool => [
+  tool.name,
+  {
+    description: tool.description,
+    actions: Object.fromEntries(Object.entries(tool.actions).map(([name, action]) => [
+      name,
+      {
+        description: action.description,
+        parameters: Object.fromEntries(Object.entries(action.parameters || {}).map(([param, schema]) => [
+          param,
+          `${[].concat(schema.type).join(' | ')}${schema.required ? ' (required)' : ''}${schema.description ? ` - ${schema.description}` : ''}`,
+        ])),
+      },
+    ])),
+  },
+]));
+
+/**
+ * Describe the canonical action vocabulary (with synonyms) for the routing prompt
+ * @returns {string} - One line per tool
+ */
+const describeActionVocabulary = () => listTools().map(tool => {
+  const actions = Object.entries(tool.actions).map(([name, action]) =>
+    `"${name}"${action.synonyms?.length ? ` (${action.synonyms.join(' / ')})` : ''}`
+  );
+  return `- ${tool.name}: ${actions.join(', ')}`;
+}).join('\n');
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  getToolActions,
+  getAction,
+  describeTools,
+  describeActionVocabulary,
+};
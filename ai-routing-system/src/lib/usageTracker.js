@@ -0,0 +1,337 @@
+// src/lib/usageTracker.js
+// Token and cost accounting for LLM calls, aggregated per UTC day by user, model, API key and query type
+// - USER_DAILY_TOKEN_BUDGET: default tokens per user per UTC day (default: unlimited)
+// - USER_TOKEN_BUDGETS: per-user overrides, "alice@example.com:200000,bob@example.com:0" (0 = unlimited)
+// - LLM_MODEL_PRICES: USD per million tokens, "model:input:output" entries, e.g. "gemini-2.5-flash:0.30:2.50"
+// - USAGE_RETENTION_DAYS: days of aggregates kept (default: 30); ledger documents carry an expireAt date for a
+//   Firestore TTL policy, and the in-memory cache drops older days
+// The ledger lives in Firestore (llm_usage/{day}, with one users/{email} document per user) so budgets and reports
+// survive restarts and are shared by every server instance; without Firestore it is kept in memory only.
+// Budgets are checked before a query runs, so the query that crosses the budget still completes.
+const admin = require('firebase-admin');
+const { firestoreAdmin, isFirestoreReady } = require('./firebase/firebase');
+
+const COLLECTION = 'llm_usage';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cached reads are refreshed after this long, so usage recorded by other instances counts within a minute
+const CACHE_TTL_MS = 60 * 1000;
+
+const readNumber = (name, fallback) => {
+  const value = Number.parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Cache of the ledger, shared across route bundles in the server process (see llm/keyHealth.js)
+// day ("YYYY-MM-DD") -> { totals, users, models, keys, queryTypes, loadedAt, usersLoadedAt }
+const days = globalThis.__llmUsage || (globalThis.__llmUsage = new Map());
+
+const TOTAL_FIELDS = ['calls', 'promptTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 });
+
+const emptyDay = () => ({
+  totals: emptyTotals(),
+  users: new Map(),
+  models: new Map(),
+  keys: new Map(),
+  queryTypes: new Map(),
+  loadedAt: 0,
+  usersLoadedAt: new Map(),
+});
+
+const documentId = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Get the UTC day key for a timestamp
+ * @param {number} [timestamp] - Milliseconds since epoch (default: now)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+const getDayKey = (timestamp = Date.now()) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Parse "key:value" style lists from the environment
+ * @param {string} name - Variable name
+ * @returns {string[][]} - Entries split on ":"
+ */
+const parseEntries = (name) => (process.env[name] || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => entry.split(':').map(part => part.trim()));
+
+/**
+ * Estimate the cost of a call from LLM_MODEL_PRICES
+ * @param {string} model - Model name
+ * @param {Object} usage - { promptTokens, outputTokens }
+ * @returns {number|null} - USD, or null when the model has no configured price
+ */
+const estimateCost = (model, { promptTokens = 0, outputTokens = 0 } = {}) => {
+  // Prices are the last two parts, so model names may contain ":" ("llama3.1:8b:0:0")
+  const price = parseEntries('LLM_MODEL_PRICES').find(parts => parts.slice(0, -2).join(':') === model);
+  if (!price) return null;
+  const [input, output] = price.slice(-2).map(Number);
+  if (!Number.isFinite(input) || !Number.isFinite(output)) return null;
+  return (promptTokens * input + outputTokens * output) / 1e6;
+};
+
+/**
+ * Describe one generateText result for the ledger
+ * @param {Object} result - { usage, provider, model, keyIndex } from generateText
+ * @param {string} purpose - Why the call was made ("routing", "routing_repair", "synthesis")
+ * @returns {Object} - { purpose, provider, model, keyIndex, promptTokens, outputTokens, totalTokens }
+ */
+const toUsageCall = ({ usage, provider, model, keyIndex }, purpose) => {
+  const promptTokens = usage?.promptTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  return {
+    purpose,
+    provider: provider || null,
+    model: model || null,
+    keyIndex: keyIndex ?? null,
+    promptTokens,
+    outputTokens,
+    totalTokens: usage?.totalTokens || promptTokens + outputTokens,
+  };
+};
+
+const addCall = (totals, call, cost) => {
+  totals.calls++;
+  totals.promptTokens += call.promptTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.totalTokens += call.totalTokens;
+  totals.costUsd += cost || 0;
+  return totals;
+};
+
+const addTo = (map, key, call, cost) => {
+  if (!map.has(key)) map.set(key, emptyTotals());
+  return addCall(map.get(key), call, cost);
+};
+
+const pruneOldDays = () => {
+  const cutoff = getDayKey(Date.now() - readNumber('USAGE_RETENTION_DAYS', 30) * DAY_MS);
+  Array.from(days.keys()).filter(day => day < cutoff).forEach(day => days.delete(day));
+};
+
+const getDay = (dayKey) => {
+  if (!days.has(dayKey)) days.set(dayKey, emptyDay());
+  return days.get(dayKey);
+};
+
+const isFresh = (loadedAt) => Date.now() - (loadedAt || 0) < CACHE_TTL_MS;
+
+const dayDocument = (dayKey) => firestoreAdmin.collection(COLLECTION).doc(dayKey);
+
+const toTotals = (data = {}) => Object.fromEntries(TOTAL_FIELDS.map(field => [field, Number(data[field]) || 0]));
+
+const toMap = (data = {}) => new Map(Object.entries(data).map(([key, totals]) => [key, toTotals(totals)]));
+
+const toUser = (data = {}) => ({ ...toTotals(data), queryTypes: { ...data.queryTypes } });
+
+/**
+ * Write one query's calls to the Firestore ledger as increments, so concurrent instances add up
+ * @param {string} dayKey - UTC day
+ * @param {string} email - User document id
+ * @param {string} queryType - What the query did
+ * @param {Object[]} calls - Calls from toUsageCall
+ */
+const persistUsage = async (dayKey, email, queryType, calls) => {
+  const { increment } = admin.firestore.FieldValue;
+  const batch = { totals: emptyTotals(), models: new Map(), keys: new Map() };
+  calls.forEach(call => {
+    const cost = estimateCost(call.model, call);
+    addCall(batch.totals, call, cost);
+    addTo(batch.models, `${call.provider}/${call.model}`, call, cost);
+    addTo(batch.keys, `${call.provider}:${call.keyIndex}`, call, cost);
+  });
+
+  const increments = (totals) => Object.fromEntries(TOTAL_FIELDS.map(field => [field, increment(totals[field])]));
+  const incrementEach = (map) => Object.fromEntries(Array.from(map, ([key, totals]) => [key, increments(totals)]));
+  const expireAt = new Date(Date.parse(`${dayKey}T00:00:00Z`) + readNumber('USAGE_RETENTION_DAYS', 30) * DAY_MS);
+
+  const write = firestoreAdmin.batch();
+  write.set(dayDocument(dayKey), {
+    date: dayKey,
+    expireAt,
+    totals: increments(batch.totals),
+    models: incrementEach(batch.models),
+    keys: incrementEach(batch.keys),
+    queryTypes: { [queryType]: increments(batch.totals) },
+  }, { merge: true });
+  write.set(dayDocument(dayKey).collection('users').doc(email), {
+    email,
+    expireAt,
+    ...increments(batch.totals),
+    queryTypes: { [queryType]: increment(batch.totals.totalTokens) },
+  }, { merge: true });
+  await write.commit();
+};
+
+/**
+ * Record the LLM calls made for one query against the user
+ * @param {string} userEmail - Authenticated user
+ * @param {string} queryType - What the query did, e.g. "database/read", "weather/current+database/count", "help"
+ * @param {Object[]} calls - Calls from toUsageCall
+ * @returns {Promise<void>} - Settles once the ledger is written; never rejects, so callers need not wait for it
+ */
+const recordUsage = async (userEmail, queryType, calls = []) => {
+  if (calls.length === 0) return;
+
+  const dayKey = getDayKey();
+  const email = documentId(userEmail);
+  if (!days.has(dayKey)) pruneOldDays();
+  const day = getDay(dayKey);
+
+  // The cache is updated first, so this instance enforces budgets without waiting for the write
+  calls.forEach(call => {
+    const cost = estimateCost(call.model, call);
+    addCall(day.totals, call, cost);
+    addTo(day.models, `${call.provider}/${call.model}`, call, cost);
+    addTo(day.keys, `${call.provider}:${call.keyIndex}`, call, cost);
+    addTo(day.queryTypes, queryType, call, cost);
+
+    const user = addTo(day.users, email, call, cost);
+    user.queryTypes = user.queryTypes || {};
+    user.queryTypes[queryType] = (user.queryTypes[queryType] || 0) + call.totalTokens;
+  });
+
+  if (!isFirestoreReady()) return;
+  try {
+    await persistUsage(dayKey, email, queryType, calls);
+  } catch (error) {
+    // The query already ran, so a failed write is logged rather than surfaced
+    console.error('Error saving usage:', error.message);
+  }
+};
+
+/**
+ * Get one user's usage for a day, from the cache or Firestore
+ * @param {string} dayKey - UTC day
+ * @param {string} email - User document id
+ * @returns {Promise<Object|undefined>} - Totals plus queryTypes, or undefined when the user has no usage
+ */
+const loadUser = async (dayKey, email) => {
+  const day = getDay(dayKey);
+  const cached = day.users.get(email);
+  if (!isFirestoreReady() || isFresh(day.loadedAt) || isFresh(day.usersLoadedAt.get(email))) return cached;
+
+  try {
+    const doc = await dayDocument(dayKey).collection('users').doc(email).get();
+    day.usersLoadedAt.set(email, Date.now());
+    if (!doc.exists) {
+      day.users.delete(email);
+      return undefined;
+    }
+    day.users.set(email, toUser(doc.data()));
+    return day.users.get(email);
+  } catch (error) {
+    console.error('Error reading usage:', error.message);
+    return cached;
+  }
+};
+
+/**
+ * Get a whole day of usage, from the cache or Firestore
+ * @param {string} dayKey - UTC day
+ * @returns {Promise<Object|undefined>} - Cached day, or undefined when nothing was recorded
+ */
+const loadDay = async (dayKey) => {
+  const cached = days.get(dayKey);
+  if (!isFirestoreReady() || isFresh(cached?.loadedAt)) return cached;
+
+  try {
+    const [doc, users] = await Promise.all([dayDocument(dayKey).get(), dayDocument(dayKey).collection('users').get()]);
+    if (!doc.exists) return undefined;
+    const data = doc.data();
+    const day = {
+      ...emptyDay(),
+      totals: toTotals(data.totals),
+      users: new Map(users.docs.map(userDoc => [userDoc.id, toUser(userDoc.data())])),
+      models: toMap(data.models),
+      keys: toMap(data.keys),
+      queryTypes: toMap(data.queryTypes),
+      loadedAt: Date.now(),
+    };
+    days.set(dayKey, day);
+    return day;
+  } catch (error) {
+    console.error('Error reading usage:', error.message);
+    return cached;
+  }
+};
+
+/**
+ * Get a user's daily token budget
+ * @param {string} userEmail - Authenticated user
+ * @returns {number|null} - Tokens per UTC day, or null when unlimited
+ */
+const getTokenBudget = (userEmail) => {
+  const override = parseEntries('USER_TOKEN_BUDGETS').find(([email]) => email.toLowerCase() === String(userEmail).toLowerCase());
+  const budget = override ? Number.parseInt(override[1], 10) : readNumber('USER_DAILY_TOKEN_BUDGET', 0);
+  return Number.isFinite(budget) && budget > 0 ? budget : null;
+};
+
+/**
+ * Check whether a user may spend more tokens today
+ * @param {string} userEmail - Authenticated user
+ * @returns {Promise<Object>} - { allowed, used, limit, remaining, resetTime } (limit and remaining are null when unlimited)
+ */
+const checkTokenBudget = async (userEmail) => {
+  const limit = getTokenBudget(userEmail);
+  const used = (await loadUser(getDayKey(), documentId(userEmail)))?.totalTokens || 0;
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+
+  return {
+    allowed: limit === null || used < limit,
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resetTime: tomorrow.getTime(),
+  };
+};
+
+const roundCost = (totals) => ({ ...totals, costUsd: Number(totals.costUsd.toFixed(6)) });
+
+const toSortedList = (map, keyName) => Array.from(map.entries())
+  .map(([key, totals]) => ({ [keyName]: key, ...roundCost(totals) }))
+  .sort((a, b) => b.totalTokens - a.totalTokens);
+
+/**
+ * Aggregated usage report, most recent day first
+ * @param {Object} [options] - { date: last day "YYYY-MM-DD" (default: today), days: number of days (default: 1), email: only this user }
+ * @returns {Promise<Object[]>} - Per day: { date, totals, users, models, keys, queryTypes }
+ */
+const getUsageReport = async ({ date = getDayKey(), days: dayCount = 1, email = null } = {}) => {
+  const end = Date.parse(`${date}T00:00:00Z`);
+  const dayKeys = Array.from({ length: dayCount }, (_, i) => getDayKey(end - i * DAY_MS));
+
+  return Promise.all(dayKeys.map(async dayKey => {
+    if (email) {
+      const user = await loadUser(dayKey, documentId(email));
+      return { date: dayKey, totals: roundCost(user ? toTotals(user) : emptyTotals()), users: user ? [{ email, ...roundCost(user) }] : [] };
+    }
+    const day = await loadDay(dayKey);
+    if (!day) {
+      return { date: dayKey, totals: emptyTotals(), users: [], models: [], keys: [], queryTypes: [] };
+    }
+    return {
+      date: dayKey,
+      totals: roundCost(day.totals),
+      users: toSortedList(day.users, 'email'),
+      models: toSortedList(day.models, 'model'),
+      keys: toSortedList(day.keys, 'key'),
+      queryTypes: toSortedList(day.queryTypes, 'queryType'),
+    };
+  }));
+};
+
+module.exports = {
+  getDayKey,
+  estimateCost,
+  toUsageCall,
+  recordUsage,
+  getTokenBudget,
+  checkTokenBudget,
+  getUsageReport,
+};
@@ -0,0 +1,148 @@
+// src/lib/weather/cache.js
+// Weather result cache so repeated questions about a place skip the provider
+// - WEATHER_CACHE_ENABLED: set to "false" to disable (default: enabled)
+// - WEATHER_CACHE_TTL_MS: how long current conditions stay fresh (default: 10 minutes)
+// - WEATHER_FORECAST_CACHE_TTL_MS: how long forecasts stay fresh (default: 30 minutes)
+// - WEATHER_ALERTS_CACHE_TTL_MS: how long alerts and air quality stay fresh (default: 10 minutes)
+// - WEATHER_CACHE_STALE_MS: how long past that an entry is kept for when every live provider fails (default: 6 hours)
+// - WEATHER_CACHE_MAX: maximum entries (default: 1000)
+// Entries are keyed by the resolved place (rounded coordinates), the units and the locale of the descriptions.
+// A requested location is also linked to its place, so a repeated "weather in Pune" skips geocoding as well;
+// places a user picked from a clarification are not linked, so other users are still asked.
+const { LRUCache } = require('lru-cache');
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const TTL_MS = {
+  getCurrent: readNumber('WEATHER_CACHE_TTL_MS', 10 * 60 * 1000),
+  getForecast: readNumber('WEATHER_FORECAST_CACHE_TTL_MS', 30 * 60 * 1000),
+  getAlerts: readNumber('WEATHER_ALERTS_CACHE_TTL_MS', 10 * 60 * 1000),
+};
+const STALE_MS = readNumber('WEATHER_CACHE_STALE_MS', 6 * 60 * 60 * 1000);
+const CACHE_MAX = readNumber('WEATHER_CACHE_MAX', 1000);
+
+// Shared across route bundles in the server process (see llm/keyHealth.js)
+const state = globalThis.__weatherCache || (globalThis.__weatherCache = {
+  // Expired entries stay until the end of the stale window; freshness is checked on lookup
+  entries: new LRUCache({ max: CACHE_MAX, ttl: Math.max(...Object.values(TTL_MS)) + STALE_MS }),
+  // Requested location -> entry key
+  locations: new LRUCache({ max: CACHE_MAX, ttl: Math.max(...Object.values(TTL_MS)) + STALE_MS }),
+  stats: { hits: 0, misses: 0, staleServed: 0, stores: 0 },
+});
+
+const isEnabled = () => process.env.WEATHER_CACHE_ENABLED !== 'false';
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Identify a place for the cache: coordinates rounded to about a kilometre, or the name when there are none
+ * @param {Object} place - { name, region, country, latitude, longitude }
+ * @returns {string} - Place key
+ */
+const placeKey = ({ name, region, country, latitude, longitude }) => (
+  Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? `${latitude.toFixed(2)},${longitude.toFixed(2)}`
+    : normalize([name, region, country].filter(Boolean).join(', '))
+);
+
+/**
+ * Build the cache key for a request
+ * @param {Object} request - { method: "getCurrent" | "getForecast" | "getAlerts", place, units, locale }
+ * @returns {string} - Cache key
+ */
+const cacheKey = ({ method, place, units, locale }) => `${method}:${placeKey(place)}:${units}:${locale || ''}`;
+
+const locationKey = ({ method, location, units, locale }) => `${method}:${normalize(location)}:${units}:${locale || ''}`;
+
+/**
+ * Look up a cached result by resolved place, or by the requested location when the place is not known yet
+ * @param {Object} request - { method, place?, location?, units, locale }
+ * @param {Object} [options] - { allowStale: also return entries past their TTL }
+ * @returns {Object|null} - { data, ageMs, stale }, or null
+ */
+const lookupWeather = (request, { allowStale = false } = {}) => {
+  if (!isEnabled()) return null;
+
+  const key = request.place ? cacheKey(request) : state.locations.get(locationKey(request));
+  const entry = key && state.entries.get(key);
+  const now = Date.now();
+  const stale = Boolean(entry) && now - entry.fetchedAt > TTL_MS[request.method];
+
+  if (!entry || (stale && !allowStale)) {
+    if (!allowStale) state.stats.misses++;
+    return null;
+  }
+
+  state.stats[stale ? 'staleServed' : 'hits']++;
+  entry.hits++;
+  return { data: entry.data, ageMs: now - entry.fetchedAt, stale };
+};
+
+/**
+ * Cache a provider result
+ * @param {Object} request - { method, place, units, locale, location?: link this requested location to the place }
+ * @param {Object} data - Result to cache
+ */
+const storeWeather = (request, data) => {
+  if (!isEnabled()) return;
+
+  const key = cacheKey(request);
+  state.entries.set(key, { data, method: request.method, place: request.place, fetchedAt: Date.now(), hits: 0 });
+  if (request.location) {
+    state.locations.set(locationKey(request), key);
+  }
+  state.stats.stores++;
+};
+
+/**
+ * Describe the cache for operators
+ * @returns {Object} - Configuration, counters and entries (most recently used first)
+ */
+const getCacheStatus = () => {
+  const now = Date.now();
+  const entries = [];
+  state.entries.forEach((entry, key) => {
+    entries.push({
+      key,
+      method: entry.method,
+      location: entry.data.location || null,
+      provider: entry.data.provider || null,
+      hits: entry.hits,
+      ageMs: now - entry.fetchedAt,
+      stale: now - entry.fetchedAt > TTL_MS[entry.method],
+    });
+  });
+
+  const { hits, misses } = state.stats;
+  return {
+    enabled: isEnabled(),
+    ttlMs: { current: TTL_MS.getCurrent, forecast: TTL_MS.getForecast, alerts: TTL_MS.getAlerts },
+    staleMs: STALE_MS,
+    maxEntries: CACHE_MAX,
+    size: state.entries.size,
+    // Every hit is a provider call saved
+    stats: { ...state.stats, hitRate: hits + misses > 0 ? Number((hits / (hits + misses)).toFixed(3)) : null },
+    entries,
+  };
+};
+
+/**
+ * Remove everything from the cache
+ * @returns {number} - Number of entries removed
+ */
+const flushWeather = () => {
+  const removed = state.entries.size;
+  state.entries.clear();
+  state.locations.clear();
+  return removed;
+};
+
+module.exports = {
+  lookupWeather,
+  storeWeather,
+  getCacheStatus,
+  flushWeather,
+};
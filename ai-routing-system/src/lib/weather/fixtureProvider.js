@@ -0,0 +1,194 @@
+// src/lib/weather/fixtureProvider.js
+// Deterministic offline provider - simulated places and weather, for tests and machines without network
+// - WEATHER_FIXTURES: path to a JSON file with extra or replacement locations (same shape as ./fixtures.json)
+// Locations without a fixture get values derived from a hash of the name, so every call for a city agrees.
+const fs = require('fs');
+const path = require('path');
+const bundled = require('./fixtures.json');
+const { translate } = require('../i18n');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const STEP_HOURS = 3;
+const FORECAST_DAYS = 6;
+// Local time of the simulated sunrise and sunset, the same every day
+const SUNRISE_HOUR = 6.5;
+const SUNSET_HOUR = 18.5;
+
+let locations = null;
+
+/**
+ * Load the bundled fixtures plus WEATHER_FIXTURES once
+ * @returns {Object} - { [lower-case city]: fixture[] }
+ */
+const getLocations = () => {
+  if (locations) return locations;
+
+  const merged = { ...bundled.locations };
+  const fixturesPath = process.env.WEATHER_FIXTURES;
+  if (fixturesPath) {
+    const extra = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), fixturesPath), 'utf8'));
+    Object.entries(extra.locations || {}).forEach(([key, fixture]) => {
+      merged[key.toLowerCase()] = fixture;
+    });
+  }
+  // A name shared by several places is a list
+  locations = Object.fromEntries(Object.entries(merged).map(([key, entry]) => [key, [].concat(entry)]));
+  return locations;
+};
+
+/**
+ * Derive a stable fixture for a location that has none
+ * @param {string} location - Location as requested
+ * @returns {Object} - Fixture
+ */
+const deriveFixture = (location) => {
+  let seed = Array.from(location.toLowerCase()).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0, 2166136261);
+  const random = () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+
+  return {
+    name: location,
+    region: null,
+    country: null,
+    timezone: 0,
+    temp: 8 + Math.round(random() * 22),
+    humidity: 40 + Math.round(random() * 45),
+    condition: ['clearSkies', 'partlyCloudy', 'cloudy', 'overcast'][Math.floor(random() * 4)],
+    // Mostly dry, with the occasional wet day
+    dailyRainChance: Array.from({ length: FORECAST_DAYS }, () => Math.round(random() ** 2 * 10) * 10),
+    airQuality: 1 + Math.floor(random() * 3),
+  };
+};
+
+const toPlace = ({ name, region = null, country = null, latitude = null, longitude = null, population = null }) => ({
+  name, region, country, latitude, longitude, population,
+});
+
+/**
+ * Find places with a name; unknown names get a single derived place so every city answers
+ * @param {Object} request - { query: city name }
+ * @returns {Promise<Object[]>} - [{ name, region, country, latitude, longitude, population }]
+ */
+const searchPlaces = async ({ query }) => {
+  const all = getLocations();
+  const key = query.trim().toLowerCase();
+  if (all[key]) return all[key].map(toPlace);
+  // Like real geocoders, "Springfield Illinois" matches nothing; the provider layer retries with "Springfield"
+  if (all[key.split(/\s+/)[0]]) return [];
+  return [toPlace(deriveFixture(query.trim()))];
+};
+
+/**
+ * Find the fixture for a place found by searchPlaces
+ * @param {Object} place - { name, region, country }
+ * @returns {Object} - Fixture
+ */
+const findFixture = (place) => {
+  const fixtures = getLocations()[place.name.toLowerCase()] || [];
+  return fixtures.find(fixture => fixture.region === place.region && fixture.country === place.country)
+    || fixtures[0]
+    || deriveFixture(place.name);
+};
+
+// Warmest mid-afternoon, coolest before dawn
+const tempAt = (fixture, hour) => Math.round((fixture.temp + 5 * Math.sin(((hour - 9) / 24) * 2 * Math.PI)) * 10) / 10;
+
+/**
+ * Get simulated current conditions (independent of the time of day)
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { temp, feelsLike, humidity, description, condition, windKph, sunrise, sunset, offsetSeconds, observedAt }
+ */
+const getCurrent = async ({ place, locale }) => {
+  const fixture = findFixture(place);
+  const offsetMs = (fixture.timezone || 0) * 1000;
+  // Local midnight today, in UTC milliseconds
+  const midnight = Math.floor((Date.now() + offsetMs) / DAY_MS) * DAY_MS - offsetMs;
+  return {
+    temp: fixture.temp,
+    feelsLike: fixture.feelsLike ?? fixture.temp,
+    humidity: fixture.humidity,
+    description: translate(locale, `weather.conditions.${fixture.condition}`),
+    condition: fixture.condition,
+    windKph: fixture.windKph ?? 10,
+    sunrise: midnight + SUNRISE_HOUR * HOUR_MS,
+    sunset: midnight + SUNSET_HOUR * HOUR_MS,
+    offsetSeconds: fixture.timezone || 0,
+    observedAt: Date.now(),
+  };
+};
+
+/**
+ * Get a simulated forecast in 3-hour steps; values depend only on the location, the local day and the hour
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { offsetSeconds, stepHours, slots }
+ */
+const getForecast = async ({ place, locale }) => {
+  const fixture = findFixture(place);
+  const offsetMs = (fixture.timezone || 0) * 1000;
+  const stepMs = STEP_HOURS * HOUR_MS;
+  const first = Math.floor((Date.now() + offsetMs) / stepMs) * stepMs - offsetMs;
+  const today = Math.floor((Date.now() + offsetMs) / DAY_MS);
+  const chances = fixture.dailyRainChance?.length ? fixture.dailyRainChance : [0];
+
+  return {
+    offsetSeconds: fixture.timezone || 0,
+    stepHours: STEP_HOURS,
+    slots: Array.from({ length: (FORECAST_DAYS * 24) / STEP_HOURS }, (_, i) => {
+      const time = first + i * stepMs;
+      const day = Math.floor((time + offsetMs) / DAY_MS) - today;
+      const hour = new Date(time + offsetMs).getUTCHours();
+      const chanceOfRain = chances[day % chances.length];
+      const temp = tempAt(fixture, hour);
+      return {
+        time,
+        temp,
+        feelsLike: temp,
+        humidity: fixture.humidity,
+        description: translate(locale, `weather.conditions.${chanceOfRain >= 50 ? 'lightRain' : fixture.condition}`),
+        chanceOfRain,
+        rainMm: chanceOfRain >= 50 ? chanceOfRain / 100 : 0,
+        windKph: fixture.windKph ?? 10,
+      };
+    }),
+  };
+};
+
+/**
+ * Get simulated alerts (from the fixture's "alerts", active from local midnight today) and air quality
+ * @param {Object} request - { place }
+ * @returns {Promise<Object>} - { alerts: [{ event, severity, start, end, description, sender }], airQuality: { index, pm2_5, pm10 }, offsetSeconds }
+ */
+const getAlerts = async ({ place }) => {
+  const fixture = findFixture(place);
+  const offsetMs = (fixture.timezone || 0) * 1000;
+  const midnight = Math.floor((Date.now() + offsetMs) / DAY_MS) * DAY_MS - offsetMs;
+  const index = fixture.airQuality ?? 2;
+
+  return {
+    alerts: (fixture.alerts || []).map(alert => ({
+      event: alert.event,
+      severity: alert.severity || null,
+      start: midnight,
+      end: midnight + (alert.hours || 24) * HOUR_MS,
+      description: alert.description || null,
+      sender: alert.sender || null,
+    })),
+    // Particle levels typical of the index
+    airQuality: { index, pm2_5: index * 12, pm10: index * 20 },
+    offsetSeconds: fixture.timezone || 0,
+  };
+};
+
+module.exports = {
+  name: 'fixture',
+  // Answers are simulated and are labelled as such
+  simulated: true,
+  isConfigured: () => true,
+  searchPlaces,
+  getCurrent,
+  getForecast,
+  getAlerts,
+};
@@ -0,0 +1,189 @@
+// src/lib/weather/index.js
+// Weather provider layer - walks the configured providers until one answers
+// - WEATHER_PROVIDERS: comma-separated provider order (default: "openweathermap,openmeteo,fixture");
+//   providers that are not configured (openweathermap without OPENWEATHER_API_KEY) are skipped
+// - Set WEATHER_PROVIDERS=fixture for deterministic, offline answers in tests
+// Each provider implements { name, isConfigured, searchPlaces, getCurrent, getForecast } and returns canonical data:
+//   places: [{ name, region, country, latitude, longitude, population }]
+//   current: { temp, feelsLike, humidity, description, condition, windKph, sunrise, sunset, offsetSeconds, observedAt }
+//     (condition is a weather.conditions.* catalog key; times are UTC milliseconds, sunrise/sunset null when there is none)
+//   forecast: { offsetSeconds, stepHours, slots: [{ time, temp, feelsLike, humidity, description, chanceOfRain, rainMm, windKph }] }
+// Providers may also implement getAlerts (providers without it are skipped for alerts):
+//   alerts: { alerts: [{ event, severity, start, end, description, sender }] or null when the provider has none,
+//     airQuality: { index: 1 (good) - 5 (very poor), pm2_5, pm10 } or null, offsetSeconds }
+// Providers flagged "simulated" (fixture) produce made-up data; results carry the flag so answers can say so.
+// A location is geocoded before any weather is fetched; when several places share the name the result is
+// { ambiguous: true, options } instead, and the caller asks the user which one was meant (see places.js).
+// Live results are cached per place (see cache.js).
+const openWeatherMapProvider = require('./openWeatherMapProvider');
+const openMeteoProvider = require('./openMeteoProvider');
+const fixtureProvider = require('./fixtureProvider');
+const { parseLocation, formatPlace, selectPlace, rememberPlace, recallPlace, rememberOptions } = require('./places');
+const { lookupWeather, storeWeather, getCacheStatus, flushWeather } = require('./cache');
+
+const DEFAULT_ORDER = ['openweathermap', 'openmeteo', 'fixture'];
+// Providers are queried in metric units; the answer converts for display
+const UNITS = 'metric';
+
+const providers = new Map();
+
+/**
+ * Register a provider implementation
+ * @param {Object} provider - { name, isConfigured, searchPlaces, getCurrent, getForecast }, optionally { simulated }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || ['searchPlaces', 'getCurrent', 'getForecast'].some(method => typeof provider[method] !== 'function')) {
+    throw new Error('A weather provider needs a name, searchPlaces, getCurrent and getForecast');
+  }
+  providers.set(provider.name, provider);
+};
+
+[openWeatherMapProvider, openMeteoProvider, fixtureProvider].forEach(registerProvider);
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} - Provider implementation
+ */
+const getProvider = (name) => providers.get(name);
+
+/**
+ * Resolve the providers to use, in order, skipping ones that are not configured
+ * @returns {Object[]} - Provider implementations
+ */
+const getProviderChain = () => {
+  const order = (process.env.WEATHER_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  return (order.length > 0 ? order : DEFAULT_ORDER)
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) {
+        console.warn(`Unknown weather provider "${name}" in WEATHER_PROVIDERS, skipping.`);
+        return null;
+      }
+      return provider.isConfigured() ? provider : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Geocode a location with one provider
+ * @param {Object} provider - Provider implementation
+ * @param {string} location - "City" or "City, Region, Country"
+ * @param {string} locale - Language of place names
+ * @returns {Promise<Object>} - { place }, { options } or {} (see places.selectPlace)
+ */
+const resolvePlace = async (provider, location, locale) => {
+  const { city } = parseLocation(location);
+  const candidates = await provider.searchPlaces({ query: city, locale });
+  if (candidates.length > 0) {
+    return selectPlace(candidates, location);
+  }
+
+  // "Gangtok Sikkim": search the first word and treat the rest as qualifiers
+  const [first, ...rest] = city.split(/\s+/);
+  if (rest.length === 0) return {};
+  return selectPlace(await provider.searchPlaces({ query: first, locale }), [first, ...parseLocation(location).qualifiers].join(', '), rest);
+};
+
+/**
+ * Ask each provider in turn; an unknown location ends the search, other errors move on to the next provider.
+ * Cached results are used while fresh; when the live providers fail, an expired result is preferred over
+ * simulated data.
+ * @param {string} method - "getCurrent", "getForecast" or "getAlerts"
+ * @param {string} location - City name or location
+ * @param {Object} options - { locale, userEmail }
+ * @returns {Promise<Object>} - Canonical data plus { location, place, provider, simulated } and, from the cache,
+ *   { cached: true, ageMs, stale }; or { ambiguous: true, options }
+ */
+const fetchWeather = async (method, location, { locale, userEmail } = {}) => {
+  const recalled = recallPlace(userEmail, location);
+  const request = { method, location, place: recalled, units: UNITS, locale };
+  const fromCache = (entry) => {
+    rememberPlace(userEmail, location, entry.data.place);
+    return { ...entry.data, cached: true, ageMs: entry.ageMs, stale: entry.stale };
+  };
+
+  const cached = lookupWeather(request);
+  if (cached) return fromCache(cached);
+
+  let lastError = null;
+  for (const provider of getProviderChain()) {
+    if (typeof provider[method] !== 'function') continue;
+    const stale = provider.simulated && lastError && lookupWeather(request, { allowStale: true });
+    if (stale) return fromCache(stale);
+
+    try {
+      let place = recalled;
+      if (!place) {
+        const resolved = await resolvePlace(provider, location, locale);
+        if (resolved.options) {
+          rememberOptions(userEmail, resolved.options);
+          return { ambiguous: true, options: resolved.options, provider: provider.name };
+        }
+        if (!resolved.place) {
+          throw new Error(`LOCATION_NOT_FOUND: ${location}`);
+        }
+        place = resolved.place;
+      }
+
+      const data = await provider[method]({ place, locale });
+      rememberPlace(userEmail, location, place);
+      const result = { ...data, location: formatPlace(place), place, provider: provider.name, simulated: Boolean(provider.simulated) };
+      // Simulated data is free and must not outlive an outage; a place the user picked stays private to them
+      if (!provider.simulated) {
+        storeWeather({ ...request, place, location: recalled ? null : location }, result);
+      }
+      return result;
+    } catch (error) {
+      if (error.message?.startsWith('LOCATION_NOT_FOUND')) throw error;
+      lastError = error;
+      console.warn(`Weather provider ${provider.name} failed:`, error.message);
+    }
+  }
+
+  const stale = lookupWeather(request, { allowStale: true });
+  if (stale) return fromCache(stale);
+
+  throw new Error(`All weather providers failed. Last error: ${lastError?.message || 'no provider configured'}`);
+};
+
+/**
+ * Get current conditions from the first provider that answers
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { locale, userEmail: remembers the resolved place for the user's follow-ups }
+ * @returns {Promise<Object>} - { location, place, temp, feelsLike, humidity, description, condition, windKph, sunrise, sunset,
+ *   offsetSeconds, observedAt, provider, simulated }
+ *   (plus { cached, ageMs, stale } from the cache), or { ambiguous: true, options } when the user has to pick a place
+ */
+const getCurrentConditions = (location, options = {}) => fetchWeather('getCurrent', location, options);
+
+/**
+ * Get forecast slots from the first provider that answers
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { locale, userEmail }
+ * @returns {Promise<Object>} - { location, place, offsetSeconds, stepHours, slots, provider, simulated }
+ *   (plus { cached, ageMs, stale } from the cache), or { ambiguous: true, options } when the user has to pick a place
+ */
+const getForecastSlots = (location, options = {}) => fetchWeather('getForecast', location, options);
+
+/**
+ * Get active alerts and air quality from the first provider that reports them
+ * @param {string} location - City name or location
+ * @param {Object} [options] - { locale, userEmail }
+ * @returns {Promise<Object>} - { location, place, alerts, airQuality, offsetSeconds, provider, simulated }
+ *   (plus { cached, ageMs, stale } from the cache), or { ambiguous: true, options } when the user has to pick a place
+ */
+const getAlertsAndAirQuality = (location, options = {}) => fetchWeather('getAlerts', location, options);
+
+module.exports = {
+  getCurrentConditions,
+  getForecastSlots,
+  getAlertsAndAirQuality,
+  formatPlace,
+  registerProvider,
+  getProvider,
+  getProviderChain,
+  getCacheStatus,
+  flushWeather,
+};
@@ -0,0 +1,169 @@
+// src/lib/weather/openMeteoProvider.js
+// Open-Meteo provider - keyless geocoding, current conditions, an hourly forecast and air quality (no alerts)
+// - OPEN_METEO_URL: forecast API base URL, for self-hosted or compatible services (default: "https://api.open-meteo.com")
+// - OPEN_METEO_GEOCODING_URL: geocoding API base URL (default: "https://geocoding-api.open-meteo.com")
+// - OPEN_METEO_AIR_QUALITY_URL: air quality API base URL (default: "https://air-quality-api.open-meteo.com")
+const axios = require('axios');
+const { translate } = require('../i18n');
+
+const DEFAULT_URL = 'https://api.open-meteo.com';
+const DEFAULT_GEOCODING_URL = 'https://geocoding-api.open-meteo.com';
+const DEFAULT_AIR_QUALITY_URL = 'https://air-quality-api.open-meteo.com';
+
+// European AQI bands (0-20 good ... 80-100 very poor, above that extremely poor) -> 1-5 index
+const EUROPEAN_AQI_BANDS = [20, 40, 60, 80];
+
+// WMO weather interpretation codes -> weather.conditions.* catalog keys
+const CONDITION_BY_CODE = [
+  [[0], 'clearSkies'],
+  [[1, 2], 'partlyCloudy'],
+  [[3], 'overcast'],
+  [[45, 48], 'fog'],
+  [[51, 53, 55, 56, 57], 'drizzle'],
+  [[61, 66, 80], 'lightRain'],
+  [[63, 81], 'rain'],
+  [[65, 67, 82], 'heavyRain'],
+  [[71, 73, 75, 77, 85, 86], 'snow'],
+  [[95, 96, 99], 'thunderstorm'],
+];
+
+const conditionForCode = (code) => CONDITION_BY_CODE.find(([codes]) => codes.includes(code))?.[1] || null;
+
+const describeCode = (code, locale) => {
+  const condition = conditionForCode(code);
+  return condition ? translate(locale, `weather.conditions.${condition}`) : null;
+};
+
+const baseUrl = (name, fallback) => (process.env[name] || fallback).replace(/\/+$/, '');
+
+/**
+ * Find places with a name
+ * @param {Object} request - { query: city name, locale: language of the place names }
+ * @returns {Promise<Object[]>} - [{ name, region, country, countryName, latitude, longitude, population }]
+ */
+const searchPlaces = async ({ query, locale }) => {
+  const response = await axios.get(`${baseUrl('OPEN_METEO_GEOCODING_URL', DEFAULT_GEOCODING_URL)}/v1/search`, {
+    params: { name: query, count: 10, language: locale, format: 'json' },
+    timeout: 10000,
+  });
+
+  return (response.data?.results || []).map(result => ({
+    name: result.name,
+    region: result.admin1 || null,
+    country: result.country_code || null,
+    countryName: result.country || null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    population: result.population || null,
+  }));
+};
+
+/**
+ * Fetch conditions for a place
+ * @param {Object} place - { latitude, longitude }
+ * @param {Object} params - Extra query parameters ("current" / "hourly" variable lists)
+ * @returns {Promise<Object>} - Response body
+ */
+const fetchForecast = async ({ latitude, longitude }, params) => {
+  const response = await axios.get(`${baseUrl('OPEN_METEO_URL', DEFAULT_URL)}/v1/forecast`, {
+    params: { latitude, longitude, timezone: 'auto', timeformat: 'unixtime', wind_speed_unit: 'kmh', ...params },
+    timeout: 10000,
+  });
+  return response.data || {};
+};
+
+/**
+ * Get current conditions
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { temp, feelsLike, humidity, description, condition, windKph, sunrise, sunset, offsetSeconds, observedAt }
+ */
+const getCurrent = async ({ place, locale }) => {
+  const { current, daily, utc_offset_seconds: offsetSeconds } = await fetchForecast(place, {
+    current: 'temperature_2m,apparent_temperature,relative_humidity_2m,weather_code,wind_speed_10m',
+    daily: 'sunrise,sunset',
+    forecast_days: 1,
+  });
+  if (!current || current.temperature_2m === undefined) {
+    throw new Error('Invalid response from weather API');
+  }
+
+  return {
+    temp: current.temperature_2m,
+    feelsLike: current.apparent_temperature,
+    humidity: current.relative_humidity_2m,
+    description: describeCode(current.weather_code, locale),
+    condition: conditionForCode(current.weather_code),
+    windKph: Math.round(current.wind_speed_10m || 0),
+    // Polar days and nights have no sunrise or sunset
+    sunrise: daily?.sunrise?.[0] ? daily.sunrise[0] * 1000 : null,
+    sunset: daily?.sunset?.[0] ? daily.sunset[0] * 1000 : null,
+    offsetSeconds: offsetSeconds || 0,
+    observedAt: current.time ? current.time * 1000 : Date.now(),
+  };
+};
+
+/**
+ * Get the hourly forecast for the next 6 days
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { offsetSeconds, stepHours, slots }
+ */
+const getForecast = async ({ place, locale }) => {
+  const { hourly, utc_offset_seconds: offsetSeconds } = await fetchForecast(place, {
+    hourly: 'temperature_2m,apparent_temperature,relative_humidity_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m',
+    forecast_days: 6,
+  });
+  if (!Array.isArray(hourly?.time) || hourly.time.length === 0) {
+    throw new Error('Invalid response from weather API');
+  }
+
+  return {
+    offsetSeconds: offsetSeconds || 0,
+    stepHours: 1,
+    slots: hourly.time.map((time, i) => ({
+      time: time * 1000,
+      temp: hourly.temperature_2m[i],
+      feelsLike: hourly.apparent_temperature[i],
+      humidity: hourly.relative_humidity_2m[i],
+      description: describeCode(hourly.weather_code[i], locale),
+      chanceOfRain: hourly.precipitation_probability[i] ?? 0,
+      rainMm: hourly.precipitation[i] || 0,
+      windKph: Math.round(hourly.wind_speed_10m[i] || 0),
+    })),
+  };
+};
+
+/**
+ * Get the air quality index; Open-Meteo publishes no weather alerts
+ * @param {Object} request - { place }
+ * @returns {Promise<Object>} - { alerts: null, airQuality: { index (1 good - 5 very poor), pm2_5, pm10 }, offsetSeconds }
+ */
+const getAlerts = async ({ place }) => {
+  const response = await axios.get(`${baseUrl('OPEN_METEO_AIR_QUALITY_URL', DEFAULT_AIR_QUALITY_URL)}/v1/air-quality`, {
+    params: { latitude: place.latitude, longitude: place.longitude, current: 'european_aqi,pm2_5,pm10', timezone: 'auto' },
+    timeout: 10000,
+  });
+  const { current, utc_offset_seconds: offsetSeconds } = response.data || {};
+  if (!current || current.european_aqi === undefined || current.european_aqi === null) {
+    throw new Error('Invalid response from air quality API');
+  }
+
+  return {
+    alerts: null,
+    airQuality: {
+      index: EUROPEAN_AQI_BANDS.filter(limit => current.european_aqi > limit).length + 1,
+      pm2_5: current.pm2_5 ?? null,
+      pm10: current.pm10 ?? null,
+    },
+    offsetSeconds: offsetSeconds || 0,
+  };
+};
+
+module.exports = {
+  name: 'openmeteo',
+  // Keyless
+  isConfigured: () => true,
+  searchPlaces,
+  getCurrent,
+  getForecast,
+  getAlerts,
+};
@@ -0,0 +1,157 @@
+// src/lib/weather/openWeatherMapProvider.js
+// OpenWeatherMap provider - direct geocoding, current conditions, the 5 day / 3 hour forecast, air pollution and alerts
+// - OPENWEATHER_API_KEY: API key (the provider is skipped without one)
+// Alerts come from One Call 3.0, which needs its own subscription; without one only air quality is reported.
+const axios = require('axios');
+
+const BASE_URL = 'https://api.openweathermap.org';
+
+/**
+ * Call an OpenWeatherMap endpoint
+ * @param {string} endpoint - Path, e.g. "/data/2.5/weather"
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} - Response body
+ */
+const request = async (endpoint, params) => {
+  const response = await axios.get(`${BASE_URL}${endpoint}`, {
+    params: { ...params, appid: process.env.OPENWEATHER_API_KEY },
+    timeout: 10000,
+  });
+  return response.data;
+};
+
+/**
+ * Find places with a name
+ * @param {Object} request - { query: city name }
+ * @returns {Promise<Object[]>} - [{ name, region, country, latitude, longitude }]
+ */
+const searchPlaces = async ({ query }) => {
+  const results = await request('/geo/1.0/direct', { q: query, limit: 5 });
+  return (Array.isArray(results) ? results : []).map(result => ({
+    name: result.name,
+    region: result.state || null,
+    country: result.country || null,
+    latitude: result.lat,
+    longitude: result.lon,
+  }));
+};
+
+// OpenWeatherMap condition IDs (https://openweathermap.org/weather-conditions) -> weather.conditions.* catalog keys
+const conditionForId = (id) => {
+  if (id >= 200 && id < 300) return 'thunderstorm';
+  if (id >= 300 && id < 400) return 'drizzle';
+  if (id === 500 || id === 520) return 'lightRain';
+  if (id === 501 || id === 511 || id === 521) return 'rain';
+  if (id >= 502 && id < 600) return 'heavyRain';
+  if (id >= 600 && id < 700) return 'snow';
+  if (id >= 700 && id < 800) return 'fog';
+  if (id === 800) return 'clearSkies';
+  if (id === 801 || id === 802) return 'partlyCloudy';
+  if (id === 803) return 'cloudy';
+  if (id === 804) return 'overcast';
+  return null;
+};
+
+// OpenWeatherMap localizes the condition description ("lang")
+const conditionsParams = ({ latitude, longitude }, locale) => ({ lat: latitude, lon: longitude, units: 'metric', lang: locale });
+
+/**
+ * Get current conditions
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { temp, feelsLike, humidity, description, condition, windKph, sunrise, sunset, offsetSeconds, observedAt }
+ */
+const getCurrent = async ({ place, locale }) => {
+  const data = await request('/data/2.5/weather', conditionsParams(place, locale));
+  if (!data?.main) {
+    throw new Error('Invalid response from weather API');
+  }
+
+  return {
+    temp: data.main.temp,
+    feelsLike: data.main.feels_like,
+    humidity: data.main.humidity,
+    description: data.weather?.[0]?.description || data.weather?.[0]?.main || null,
+    condition: conditionForId(data.weather?.[0]?.id),
+    windKph: Math.round((data.wind?.speed || 0) * 3.6),
+    sunrise: data.sys?.sunrise ? data.sys.sunrise * 1000 : null,
+    sunset: data.sys?.sunset ? data.sys.sunset * 1000 : null,
+    offsetSeconds: data.timezone || 0,
+    observedAt: data.dt ? data.dt * 1000 : Date.now(),
+  };
+};
+
+/**
+ * Get the forecast in 3-hour steps for 5 days
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { offsetSeconds, stepHours, slots }
+ */
+const getForecast = async ({ place, locale }) => {
+  const { list, city } = await request('/data/2.5/forecast', conditionsParams(place, locale));
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Invalid response from weather API');
+  }
+
+  return {
+    offsetSeconds: city?.timezone || 0,
+    stepHours: 3,
+    slots: list.map(item => ({
+      time: item.dt * 1000,
+      temp: item.main.temp,
+      feelsLike: item.main.feels_like,
+      humidity: item.main.humidity,
+      description: item.weather?.[0]?.description || null,
+      chanceOfRain: Math.round((item.pop || 0) * 100),
+      rainMm: item.rain?.['3h'] || 0,
+      windKph: Math.round((item.wind?.speed || 0) * 3.6),
+    })),
+  };
+};
+
+/**
+ * Get active weather alerts and the air quality index
+ * @param {Object} request - { place, locale }
+ * @returns {Promise<Object>} - { alerts: [{ event, severity, start, end, description, sender }] or null when the key
+ *   has no One Call access, airQuality: { index (1 good - 5 very poor), pm2_5, pm10 }, offsetSeconds }
+ */
+const getAlerts = async ({ place, locale }) => {
+  const coordinates = { lat: place.latitude, lon: place.longitude };
+  const [pollution, oneCall] = await Promise.allSettled([
+    request('/data/2.5/air_pollution', coordinates),
+    request('/data/3.0/onecall', { ...coordinates, exclude: 'current,minutely,hourly,daily', lang: locale }),
+  ]);
+  if (pollution.status === 'rejected') throw pollution.reason;
+
+  const reading = pollution.value?.list?.[0];
+  if (!reading?.main) {
+    throw new Error('Invalid response from air pollution API');
+  }
+
+  return {
+    alerts: oneCall.status === 'fulfilled'
+      ? (oneCall.value.alerts || []).map(alert => ({
+        event: alert.event,
+        // One Call alerts carry no severity
+        severity: null,
+        start: alert.start * 1000,
+        end: alert.end * 1000,
+        description: alert.description || null,
+        sender: alert.sender_name || null,
+      }))
+      : null,
+    airQuality: {
+      index: reading.main.aqi,
+      pm2_5: reading.components?.pm2_5 ?? null,
+      pm10: reading.components?.pm10 ?? null,
+    },
+    offsetSeconds: oneCall.status === 'fulfilled' ? oneCall.value.timezone_offset || 0 : 0,
+  };
+};
+
+module.exports = {
+  name: 'openweathermap',
+  isConfigured: () => Boolean(process.env.OPENWEATHER_API_KEY),
+  searchPlaces,
+  getCurrent,
+  getForecast,
+  getAlerts,
+};
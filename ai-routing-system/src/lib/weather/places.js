@@ -0,0 +1,127 @@
+// src/lib/weather/places.js
+// Picking a place from geocoder candidates, and remembering each user's resolved places
+// - A location is "City" optionally followed by region/country qualifiers: "Springfield, Illinois, US"
+// - Several plausible candidates make the lookup ambiguous, unless one is far more populous than the rest
+// - Resolved places are kept per user for a day, so a follow-up naming the same city skips the question
+const { LRUCache } = require('lru-cache');
+
+const PLACE_MEMORY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_OPTIONS = 5;
+// A candidate this many times more populous than the next one is taken without asking
+const DOMINANT_POPULATION_RATIO = 10;
+
+// Shared across route bundles in the server process (see llm/keyHealth.js)
+const memory = globalThis.__weatherPlaces || (globalThis.__weatherPlaces = new LRUCache({
+  max: 5000,
+  ttl: PLACE_MEMORY_TTL_MS,
+}));
+
+// Case- and accent-insensitive comparison key ("São Paulo" -> "sao paulo")
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split a location into the city and its qualifiers
+ * @param {string} location - "Springfield, Illinois, US" or "Gangtok Sikkim"
+ * @returns {Object} - { city, qualifiers: string[] }
+ */
+const parseLocation = (location) => {
+  const [city, ...qualifiers] = String(location).split(',').map(part => part.trim()).filter(Boolean);
+  return { city: city || '', qualifiers };
+};
+
+/**
+ * Human-readable label for a place
+ * @param {Object} place - { name, region, country }
+ * @returns {string} - "Springfield, Illinois, US"
+ */
+const formatPlace = ({ name, region, country }) => [name, region, country]
+  .filter((part, index, parts) => part && normalize(part) !== normalize(parts[index - 1]))
+  .join(', ');
+
+const matchesQualifier = (place, qualifier) => {
+  const wanted = normalize(qualifier);
+  return [place.region, place.country, place.countryName].some(value => value && normalize(value) === wanted);
+};
+
+/**
+ * Narrow geocoder candidates down to one place
+ * @param {Object[]} candidates - [{ name, region, country, latitude, longitude, population }]
+ * @param {string} location - Location as requested
+ * @param {string[]} [extraQualifiers] - Qualifiers split off the city name ("Gangtok Sikkim" -> ["Sikkim"])
+ * @returns {Object} - { place } when resolved, { options } when ambiguous, {} when nothing matched
+ */
+const selectPlace = (candidates, location, extraQualifiers = []) => {
+  const { city, qualifiers } = parseLocation(location);
+  const allQualifiers = [...extraQualifiers, ...qualifiers];
+
+  // Geocoders also return fuzzy matches; prefer exact names when there are any
+  const exact = candidates.filter(place => normalize(place.name) === normalize(city));
+  let matches = exact.length > 0 ? exact : candidates;
+  // Qualifiers narrow the list; one that matches nothing ("IL" where the geocoder says "Illinois") is ignored
+  allQualifiers.forEach(qualifier => {
+    const narrowed = matches.filter(place => matchesQualifier(place, qualifier));
+    if (narrowed.length > 0) matches = narrowed;
+  });
+
+  // Providers list the same place more than once (different postcodes, duplicate entries)
+  const unique = [];
+  matches.forEach(place => {
+    if (!unique.some(other => formatPlace(other) === formatPlace(place))) unique.push(place);
+  });
+
+  if (unique.length <= 1) {
+    return unique.length === 1 ? { place: unique[0] } : {};
+  }
+
+  const byPopulation = [...unique].sort((a, b) => (b.population || 0) - (a.population || 0));
+  if (byPopulation[0].population && byPopulation[0].population >= DOMINANT_POPULATION_RATIO * (byPopulation[1].population || 0)) {
+    return { place: byPopulation[0] };
+  }
+
+  return { options: byPopulation.slice(0, MAX_OPTIONS) };
+};
+
+const memoryKey = (userEmail, location) => `place:${userEmail}:${normalize(location)}`;
+
+/**
+ * Remember a resolved place for a user, under the requested location, its label and its bare city name
+ * @param {string|null} userEmail - User's email address (nothing is remembered without one)
+ * @param {string} location - Location as requested
+ * @param {Object} place - Resolved place
+ */
+const rememberPlace = (userEmail, location, place) => {
+  if (!userEmail || !place) return;
+  [location, formatPlace(place), place.name].forEach(key => memory.set(memoryKey(userEmail, key), place));
+};
+
+/**
+ * Recall a place the user resolved before
+ * @param {string|null} userEmail - User's email address
+ * @param {string} location - Location as requested
+ * @returns {Object|undefined} - Place
+ */
+const recallPlace = (userEmail, location) => (userEmail ? memory.get(memoryKey(userEmail, location)) : undefined);
+
+/**
+ * Remember the places offered in a clarification under their labels, so the answer is not geocoded again
+ * @param {string|null} userEmail - User's email address
+ * @param {Object[]} options - Candidate places
+ */
+const rememberOptions = (userEmail, options) => {
+  if (!userEmail) return;
+  options.forEach(place => memory.set(memoryKey(userEmail, formatPlace(place)), place));
+};
+
+module.exports = {
+  parseLocation,
+  formatPlace,
+  selectPlace,
+  rememberPlace,
+  recallPlace,
+  rememberOptions,
+};
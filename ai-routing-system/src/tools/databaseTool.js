@@ -0,0 +1,113 @@
+// src/tools/databaseTool.js
+// Database tool definition - Firestore CRUD through the database controller
+
+const { handleDatabaseOperation, DISPLAY_LIMIT } = require('../controllers/databaseController');
+const { translate } = require('../lib/i18n');
+
+const entityParameter = {
+  type: ['string', 'null'],
+  description: 'Plural entity name, e.g. "employees", "orders", "products"',
+};
+
+const FILTERS_DESCRIPTION = 'Field equality filters; minX/maxX for ranges ("minJoinDate": "2024-01-01"); '
+  + '"joinedLastMonth": true for employees who joined in the last month';
+
+module.exports = {
+  name: 'database',
+  description: 'Create, read, update, delete and count records in the database',
+  actions: {
+    create: {
+      description: 'Add a new record',
+      synonyms: ['add', 'insert'],
+      parameters: {
+        entity: { ...entityParameter, type: 'string', required: true },
+        data: { type: 'object', required: true, minProperties: 1, description: 'Fields of the new record' },
+      },
+    },
+    read: {
+      description: 'List or display records',
+      synonyms: ['list', 'display', 'show', 'find'],
+      parameters: {
+        entity: { ...entityParameter, description: `${entityParameter.description}; null lists every record` },
+        filters: { type: 'object', default: {}, description: FILTERS_DESCRIPTION },
+        sort: {
+          type: ['object', 'null'],
+          properties: {
+            field: { type: 'string', required: true },
+            direction: { type: 'string', enum: ['asc', 'desc'] },
+          },
+          description: 'Order, e.g. {"field": "salary", "direction": "desc"} for "highest-paid" ("createdAt" for latest/oldest); direction defaults to "asc"',
+        },
+        limit: {
+          type: ['integer', 'null'],
+          minimum: 1,
+          maximum: DISPLAY_LIMIT,
+          description: `Number of records for "top N" / "latest N" (default and maximum: ${DISPLAY_LIMIT})`,
+        },
+        cursor: {
+          type: ['string', 'null'],
+          description: 'nextCursor of an earlier listing, copied exactly, for its next page ("show more"); replaces the other parameters',
+        },
+      },
+    },
+    update: {
+      description: 'Modify an existing record',
+      synonyms: ['modify', 'edit', 'change'],
+      destructive: true,
+      parameters: {
+        entity: entityParameter,
+        filters: { type: 'object', required: true, minProperties: 1, description: 'Filters (or "id") identifying the record' },
+        data: { type: 'object', required: true, minProperties: 1, description: 'Fields to change' },
+      },
+    },
+    delete: {
+      description: 'Remove a record',
+      synonyms: ['remove'],
+      destructive: true,
+      parameters: {
+        entity: entityParameter,
+        filters: { type: 'object', required: true, minProperties: 1, description: 'Filters (or "id") identifying the record' },
+      },
+    },
+    count: {
+      description: 'Count records',
+      synonyms: ['how many'],
+      parameters: {
+        entity: entityParameter,
+        filters: { type: 'object', default: {}, description: FILTERS_DESCRIPTION },
+      },
+    },
+  },
+  help: {
+    title: 'Database Operations',
+    capabilities: [
+      'Count records (employees, orders, products, etc.)',
+      'List/Display records with optional filters',
+      'Sort listings and show the top N (highest-paid, latest, cheapest)',
+      'Add new records (employees, orders, products)',
+      'Update existing records',
+      'Delete records',
+    ],
+    examples: [
+      'How many employees are there?',
+      'List all orders over $500',
+      'Top 5 highest-paid employees',
+      'Add a new employee named John Doe',
+      "Update employee John's salary to $80000",
+      'Delete product PROD-001',
+    ],
+    missingInfo: 'I need more information to help you with that database query.',
+  },
+  execute: async (action, parameters, { locale } = {}) => {
+    const entity = parameters.entity || 'records';
+    const dbResult = await handleDatabaseOperation(action, entity, parameters, { locale });
+    return {
+      message: dbResult.message || translate(locale, 'db.completed'),
+      data: dbResult.data || null,
+      // A continued listing reports the entity it started with
+      entity: dbResult.entity || entity,
+      ...(dbResult.insufficientInfo && { insufficientInfo: dbResult.insufficientInfo }),
+      ...(dbResult.page && { page: dbResult.page }),
+    };
+  },
+};
@@ -0,0 +1,10 @@
+// src/tools/index.js
+// Registers the built-in tools. New tools plug in here (or call registerTool at startup).
+
+const { registerTool } = require('../lib/toolRegistry');
+const weatherTool = require('./weatherTool');
+const databaseTool = require('./databaseTool');
+
+[weatherTool, databaseTool].forEach(registerTool);
+
+module.exports = require('../lib/toolRegistry');
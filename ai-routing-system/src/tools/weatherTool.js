@@ -0,0 +1,123 @@
+// src/tools/weatherTool.js
+// Weather tool definition - current conditions, forecasts, comparisons, alerts and air quality through the weather controller
+
+const { getWeather, getForecast, compareWeather, getWeatherAlerts } = require('../controllers/weatherController');
+
+const locationParameter = {
+  type: 'string',
+  required: true,
+  description: 'City name, normalized to "City, CountryCode" when known',
+};
+
+module.exports = {
+  name: 'weather',
+  description: 'Get current weather, a forecast (up to 5 days), weather alerts or air quality for a location, or compare locations',
+  actions: {
+    current: {
+      description: 'Get current weather information',
+      synonyms: ['check', 'show the weather'],
+      parameters: {
+        location: locationParameter,
+      },
+    },
+    forecast: {
+      description: 'Get the forecast for a future time, hourly (3-hour steps) or daily, up to 5 days ahead',
+      synonyms: ['will it rain', 'predict', 'outlook'],
+      parameters: {
+        location: locationParameter,
+        when: {
+          type: ['string', 'null'],
+          description: '"today", "tonight", "tomorrow", "day after tomorrow", "weekend", a weekday name ("friday"), "YYYY-MM-DD" or "next N days"; null for the whole 5 days',
+        },
+        partOfDay: {
+          type: ['string', 'null'],
+          enum: ['morning', 'afternoon', 'evening', 'night', null],
+          description: '"morning", "afternoon", "evening" or "night" when the query narrows the day',
+        },
+        granularity: {
+          type: ['string', 'null'],
+          enum: ['hourly', 'daily', null],
+          description: '"hourly" or "daily" only when the user asks for one; null picks by range',
+        },
+        focus: {
+          type: 'string',
+          enum: ['general', 'rain'],
+          default: 'general',
+          description: '"rain" for questions about rain, showers or needing an umbrella, else "general"',
+        },
+      },
+    },
+    compare: {
+      description: 'Compare current conditions or air quality across 2 to 5 locations and rank them',
+      synonyms: ['warmer', 'colder', 'which is', 'versus'],
+      parameters: {
+        locations: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 2,
+          maxItems: 5,
+          required: true,
+          description: 'City names, each normalized to "City, CountryCode" when known',
+        },
+        metric: {
+          type: 'string',
+          enum: ['temperature', 'feelsLike', 'humidity', 'windSpeed', 'airQuality'],
+          default: 'temperature',
+          description: 'Value to rank by: "temperature" (warmer / colder), "feelsLike", "humidity", "windSpeed" (windier) or "airQuality" (cleaner air, pollution)',
+        },
+        order: {
+          type: 'string',
+          enum: ['desc', 'asc'],
+          default: 'desc',
+          description: '"desc" to put the highest value first (warmest, windiest, most polluted), "asc" for the lowest first (coldest, calmest, cleanest air)',
+        },
+      },
+    },
+    alerts: {
+      description: 'Get active weather alerts (warnings) and the air quality index for a location',
+      synonyms: ['warnings', 'air quality', 'AQI', 'pollution'],
+      parameters: {
+        location: locationParameter,
+      },
+    },
+  },
+  help: {
+    title: 'Weather Information',
+    capabilities: [
+      'Get current weather for any city or location',
+      'Check temperature, conditions, and humidity',
+      'Get hourly or daily forecasts up to 5 days ahead, including the chance of rain',
+      'Compare current weather or air quality across several cities',
+      'Check active weather alerts and air quality',
+    ],
+    examples: [
+      'Tell me the weather in San Francisco',
+      'Will it rain in Pune tomorrow afternoon?',
+      "What's the forecast for Goa this weekend?",
+      'Is it warmer in Delhi or Mumbai right now?',
+      'Any severe weather warnings for Chennai?',
+    ],
+    missingInfo: 'I need a location to check the weather. Please specify a city or location.',
+  },
+  execute: async (action, parameters, { locale, userEmail, preferences } = {}) => {
+    if (action === 'forecast') {
+      const { when, partOfDay, granularity, focus } = parameters;
+      const forecast = await getForecast(parameters.location, { when, partOfDay, granularity, focus, locale, userEmail, preferences });
+      return { ...forecast, entity: forecast.data ? 'forecast' : null };
+    }
+
+    if (action === 'compare') {
+      const { metric, order } = parameters;
+      const comparison = await compareWeather(parameters.locations, { metric, order, locale, userEmail, preferences });
+      return { ...comparison, entity: comparison.data ? 'weatherComparison' : null };
+    }
+
+    if (action === 'alerts') {
+      const alerts = await getWeatherAlerts(parameters.location, { locale, userEmail });
+      return { ...alerts, entity: alerts.data ? 'weatherAlerts' : null };
+    }
+
+    const weather = await getWeather(parameters.location, { locale, userEmail, preferences });
+    return { ...weather, entity: weather.data ? 'weather' : null };
+  },
+};